@@ -0,0 +1,435 @@
+import { BaseBenchmark } from '../core/BaseBenchmark.js';
+import { WebGPUMemoryBenchmark } from './WebGPUMemoryBenchmark.js';
+import { WebGL2MemoryBenchmark } from './WebGL2MemoryBenchmark.js';
+import { AllocationError, FailureType } from '../core/AllocationError.js';
+import { RunStoppedError } from '../core/RunControl.js';
+import { createDetachedCanvas } from '../utils/canvas.js';
+import { DEFAULT_TEXTURE_FORMAT, textureByteSize } from '../utils/textureFormats.js';
+
+// Once one API has run out of memory, the others adding less than this fraction of what was
+// held at that point means they draw from the same budget
+const SHARED_BUDGET_TOLERANCE = 0.1;
+
+/**
+ * Combined WebGPU + WebGL2 Benchmark
+ * Runs WebGPU and WebGL2 side by side, each on its own canvas, and hands a scenario's allocations
+ * to them in turn. When one runs out of memory the others carry on alone, so the run ends at the
+ * joint limit, and how much the others could still allocate tells whether the APIs share a budget.
+ */
+export class CombinedMemoryBenchmark extends BaseBenchmark {
+    /**
+     * @param {Object} options - { canvas } for WebGPU, { webgl2Canvas } for WebGL2 (default: a detached one),
+     *                           or { backends } to combine other backend instances
+     */
+    constructor(options = {}) {
+        const backends = options.backends || [
+            new WebGPUMemoryBenchmark({ canvas: options.canvas, logToConsole: false }),
+            new WebGL2MemoryBenchmark({ canvas: options.webgl2Canvas || createDetachedCanvas(256, 256), logToConsole: false })
+        ];
+        super(backends.map(backend => backend.apiName).join(' + '), options);
+        this.backends = backends;
+        this.initialized = false;
+        // Next backend in turn, and the ones that ran out of memory until they release something
+        this.turn = 0;
+        this.exhausted = new Set();
+        // Combined total when each backend first ran out of memory in the current run
+        this.exhaustedAt = new Map();
+
+        this.backends.forEach(backend => {
+            // Running out of memory is handled here by moving on to the next backend
+            backend.tolerateOutOfMemory = true;
+            backend.addEventListener('log', (event) => this.log(event.detail.message, event.detail.type));
+            backend.addEventListener('failure', (event) => {
+                this.recordFailure(event.detail.type, `${backend.apiName}: ${event.detail.message}`);
+            });
+        });
+    }
+
+    /**
+     * Supported when every combined API is
+     */
+    async checkSupport() {
+        for (const backend of this.backends) {
+            if (!await backend.checkSupport()) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Initialize every API; the first one renders to this benchmark's canvas
+     */
+    async initialize() {
+        if (this.initialized) return true;
+
+        // The host may have replaced the canvas since the first backend was initialized on it
+        const [first] = this.backends;
+        if (this.canvas && first.canvas !== this.canvas) {
+            first.canvas = this.canvas;
+            first.initialized = false;
+        }
+
+        for (const backend of this.backends) {
+            if (!await backend.initialize()) {
+                this.log(`❌ ${backend.apiName} could not be initialized alongside the others`, 'error');
+                return false;
+            }
+        }
+
+        this.log(`✅ ${this.apiName} initialized side by side`, 'success');
+        this.initialized = true;
+        return true;
+    }
+
+    /**
+     * Start a new test on every API
+     * @param {Object} scenario - Normalized scenario being run
+     */
+    startTest(scenario) {
+        super.startTest(scenario);
+        this.exhausted.clear();
+        this.exhaustedAt.clear();
+        this.backends.forEach((backend, index) => {
+            backend.failure = null;
+            backend.seed = (this.seed + index) >>> 0;
+            backend.seedIndex = 0;
+        });
+    }
+
+    /**
+     * Stop the current test, reporting how the APIs shared the memory
+     * @param {string|null} stopReason - Why the run stopped, if not by failure
+     * @param {Object} options - { cancelled: true } when the run was stopped through its RunControl
+     */
+    stopTest(stopReason = null, options = {}) {
+        this.report?.setCombined(this.assessBudgets());
+        super.stopTest(stopReason, options);
+    }
+
+    /**
+     * Compare what the other APIs allocated after the first one ran out of memory with what was held then
+     * @returns {Object} { backends, firstExhaustedBytes, addedBytes, budget } where budget is 'shared',
+     *          'separate' or 'inconclusive'
+     */
+    assessBudgets() {
+        const result = {
+            backends: this.backends.map(backend => ({
+                api: backend.apiName,
+                heldBytes: backend.allocatedMemory,
+                exhaustedAtBytes: this.exhaustedAt.get(backend) ?? null
+            })),
+            firstExhaustedBytes: null,
+            addedBytes: null,
+            budget: 'inconclusive'
+        };
+        this.log(`📊 ${result.backends.map(({ api, heldBytes }) => `${api} held ${this.formatBytes(heldBytes)}`).join(', ')}`, 'info');
+
+        if (this.exhaustedAt.size === 0) {
+            this.log('📏 No API ran out of memory, so whether they share a budget is unknown', 'info');
+            return result;
+        }
+
+        const [first, firstBytes] = [...this.exhaustedAt].sort((a, b) => a[1] - b[1])[0];
+        const endBytes = this.failure ? this.failure.allocatedMemory : this.allocatedMemory;
+        const others = this.backends.filter(backend => backend !== first).map(backend => backend.apiName).join(' and ');
+        result.firstExhaustedBytes = firstBytes;
+        result.addedBytes = endBytes - firstBytes;
+
+        const added = `after ${first.apiName} ran out at ${this.formatBytes(firstBytes)}, ${others} allocated ` +
+            `${this.formatBytes(result.addedBytes)} more`;
+        if (result.addedBytes > firstBytes * SHARED_BUDGET_TOLERANCE) {
+            result.budget = 'separate';
+            this.log(`🔓 Separate budgets: ${added}`, 'info');
+        } else if (this.exhaustedAt.size === this.backends.length) {
+            result.budget = 'shared';
+            this.log(`🤝 One shared budget: ${added}`, 'info');
+        }
+        return result;
+    }
+
+    /**
+     * Next backend in turn that has memory left and accepts the allocation
+     * @param {Function} accepts - Filter on backends
+     * @returns {BaseBenchmark|null} Backend, or null if none is left
+     */
+    pickBackend(accepts) {
+        for (let step = 0; step < this.backends.length; step++) {
+            const index = (this.turn + step) % this.backends.length;
+            const backend = this.backends[index];
+            if (!this.exhausted.has(backend) && accepts(backend)) {
+                this.turn = (index + 1) % this.backends.length;
+                return backend;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Hand an allocation to the backends in turn, moving on to the next one when a backend runs out
+     * of memory; the allocation only fails once every backend has
+     * @param {string} kind - Resource kind ('buffer' or 'texture')
+     * @param {number} size - Size in bytes
+     * @param {Function} accepts - Filter on backends able to make this allocation
+     * @param {Function} allocate - Makes the allocation on a backend
+     * @param {Object} options - Allocation options, for the control
+     * @returns {Promise<*>} Resource created by the backend that took the allocation
+     */
+    async delegate(kind, size, accepts, allocate, options) {
+        options.control?.throwIfStopped();
+        this.throwIfFailed();
+        await this.checkpointAllocation(kind, size);
+        const startedAt = performance.now();
+
+        let backend = this.pickBackend(accepts);
+        while (backend) {
+            try {
+                const resource = await allocate(backend);
+                const info = backend.resourceInfo.get(resource);
+                this.recordAllocation(kind, resource, info.size, startedAt, {
+                    ...info,
+                    api: backend.apiName,
+                    description: `${info.description || this.formatBytes(info.size)} on ${backend.apiName}`
+                });
+                return resource;
+            } catch (error) {
+                if (error instanceof RunStoppedError) throw error;
+                if (!(error instanceof AllocationError) || error.type !== FailureType.OUT_OF_MEMORY) {
+                    this.failAllocation(kind, size, startedAt, error);
+                }
+                this.markExhausted(backend);
+                backend = this.pickBackend(accepts);
+                if (!backend) {
+                    this.failAllocation(kind, size, startedAt, error);
+                }
+            }
+        }
+
+        const error = new AllocationError(FailureType.OUT_OF_MEMORY, `No API left with memory for a ${this.formatBytes(size)} ${kind}`);
+        this.failAllocation(kind, size, startedAt, error);
+    }
+
+    /**
+     * Record a failed allocation and throw its error
+     */
+    failAllocation(kind, size, startedAt, error) {
+        if (this.failure) {
+            // The backend's own failure already arrived through its 'failure' event
+            this.addTimelineEntry(kind, size, startedAt, 'failed', error.message);
+        } else {
+            this.recordAllocationFailure(kind, size, startedAt, error);
+        }
+        throw error;
+    }
+
+    /**
+     * Stop handing allocations to a backend that ran out of memory
+     * @param {BaseBenchmark} backend - Backend that ran out
+     */
+    markExhausted(backend) {
+        // Allocations in flight on the same backend run out one after another
+        if (this.exhausted.has(backend)) return;
+        this.exhausted.add(backend);
+        if (!this.exhaustedAt.has(backend)) {
+            this.exhaustedAt.set(backend, this.allocatedMemory);
+        }
+        const left = this.backends.filter(candidate => !this.exhausted.has(candidate)).map(candidate => candidate.apiName);
+        if (left.length > 0) {
+            this.log(`🔀 ${backend.apiName} ran out of memory at ${this.formatBytes(this.allocatedMemory)} combined; ` +
+                `continuing on ${left.join(' and ')}`, 'info');
+        }
+    }
+
+    /**
+     * Allocate a buffer on the next API in turn
+     * @param {number} size - Size in bytes
+     * @param {Object} options - { usage, mappedAtCreation, hint, control }
+     */
+    async allocateBuffer(size, options = {}) {
+        if (!this.initialized) {
+            await this.initialize();
+        }
+        return this.delegate('buffer', size, () => true, backend => backend.allocateBuffer(size, options), options);
+    }
+
+    /**
+     * Allocate a texture on the next API in turn that supports its format
+     * @param {number} width - Width in pixels
+     * @param {number} height - Height in pixels
+     * @param {Object} options - { format, mipLevels, layers, dimension, control }
+     */
+    async allocateTexture(width, height, options = {}) {
+        if (!this.initialized) {
+            await this.initialize();
+        }
+        const format = options.format || DEFAULT_TEXTURE_FORMAT;
+        return this.delegate('texture', textureByteSize(format, width, height, options),
+            backend => backend.supportsTextureFormat(format), backend => backend.allocateTexture(width, height, options), options);
+    }
+
+    /**
+     * Backend that created a resource
+     * @param {*} resource - Buffer or texture
+     */
+    ownerOf(resource) {
+        return this.backends.find(backend => backend.resourceInfo.has(resource));
+    }
+
+    /**
+     * Release one allocation on the API that made it, which can take allocations again
+     * @param {*} resource - Buffer or texture
+     */
+    releaseResource(resource) {
+        const owner = this.ownerOf(resource);
+        if (owner) {
+            owner.releaseResource(resource);
+            this.exhausted.delete(owner);
+        }
+        this.forgetResource(resource);
+    }
+
+    /**
+     * Clear all allocated memory on every API
+     */
+    clearMemory() {
+        this.log(`🧹 Clearing ${this.apiName} memory...`, 'info');
+        this.stopTextureDisplay();
+        this.backends.forEach(backend => backend.clearMemory());
+        this.exhausted.clear();
+        this.forgetResources();
+        this.log(`✅ ${this.apiName} memory cleared`, 'success');
+    }
+
+    /**
+     * Release every allocation and every API's device or context
+     */
+    dispose() {
+        this.stopBufferTouching();
+        this.stopTextureDisplay();
+        this.backends.forEach(backend => backend.dispose());
+        this.forgetResources();
+        this.initialized = false;
+    }
+
+    /**
+     * Another combined benchmark made of a sibling of each API
+     */
+    createSibling() {
+        return new CombinedMemoryBenchmark({ backends: this.backends.map(backend => backend.createSibling()), logToConsole: false });
+    }
+
+    /**
+     * Supported if any API can allocate the format
+     */
+    supportsTextureFormat(format) {
+        return this.backends.some(backend => backend.supportsTextureFormat(format));
+    }
+
+    /**
+     * Probes measure the first API alone
+     */
+    getAdvertisedLimits() {
+        return this.backends[0].getAdvertisedLimits();
+    }
+
+    async probeBuffer(size) {
+        return this.backends[0].probeBuffer(size);
+    }
+
+    async probeTexture(dimension) {
+        return this.backends[0].probeTexture(dimension);
+    }
+
+    /**
+     * Read back a sample from the API that made the resource
+     */
+    async readSample(resource, info, sample) {
+        const owner = this.ownerOf(resource);
+        if (!owner) {
+            throw new Error('Resource no longer exists');
+        }
+        return owner.readSample(resource, owner.resourceInfo.get(resource), sample);
+    }
+
+    /**
+     * Touch every API's buffers at once
+     * @returns {Promise<Object>} { touched, skipped, bytes, checksum } summed over the APIs
+     */
+    async touchBuffers() {
+        const passes = await Promise.all(this.backends.map(backend => backend.touchBuffers()));
+        return passes.reduce((total, pass) => ({
+            touched: total.touched + pass.touched,
+            skipped: total.skipped + pass.skipped,
+            bytes: total.bytes + pass.bytes,
+            checksum: (total.checksum ^ pass.checksum) >>> 0
+        }), { touched: 0, skipped: 0, bytes: 0, checksum: 0 });
+    }
+
+    async waitForIdle() {
+        await Promise.all(this.backends.map(backend => backend.waitForIdle()));
+    }
+
+    /**
+     * Show each API's textures on its own canvas
+     */
+    startTextureDisplay() {
+        this.backends.forEach(backend => backend.startTextureDisplay());
+        // Each backend runs its own display; this only marks the display as running
+        this.renderInterval = this.backends.map(backend => backend.renderInterval);
+    }
+
+    stopTextureDisplay() {
+        this.backends.forEach(backend => backend.stopTextureDisplay());
+        this.renderInterval = null;
+    }
+
+    /**
+     * Whether any API was lost and can attempt recovery
+     */
+    canRecover() {
+        return this.backends.some(backend => backend.canRecover());
+    }
+
+    /**
+     * Recover every lost API
+     * @returns {Promise<boolean>} True if all of them are usable again
+     */
+    async recover() {
+        let recovered = true;
+        for (const backend of this.backends.filter(candidate => candidate.canRecover())) {
+            recovered = await backend.recover() && recovered;
+        }
+
+        // Whatever a recovered API held was lost with its device or context
+        this.resourceInfo.forEach((info, resource) => {
+            if (!this.ownerOf(resource)) {
+                this.forgetResource(resource);
+            }
+        });
+        this.exhausted.clear();
+        return recovered;
+    }
+
+    /**
+     * Describe every API's device for reports
+     */
+    getDeviceInfo() {
+        const devices = this.backends.map(backend => ({ api: backend.apiName, ...backend.getDeviceInfo() }));
+        const name = (device) => device.renderer || device.description || device.device || device.vendor || 'unknown';
+        return {
+            description: devices.map(device => `${device.api}: ${name(device)}`).join(' + '),
+            devices
+        };
+    }
+
+    /**
+     * Every API's limits, prefixed with its name
+     */
+    getLimits() {
+        const limits = {};
+        this.backends.forEach(backend => {
+            Object.entries(backend.getLimits()).forEach(([name, value]) => {
+                limits[`${backend.apiName}.${name}`] = value;
+            });
+        });
+        return limits;
+    }
+}
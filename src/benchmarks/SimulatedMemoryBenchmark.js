@@ -0,0 +1,620 @@
+import { BaseBenchmark } from '../core/BaseBenchmark.js';
+import { CanvasRenderer } from '../renderers/CanvasRenderer.js';
+import { AllocationError, FailureType } from '../core/AllocationError.js';
+import { createRandomBufferData, createSeededRandom } from '../utils/formatters.js';
+import { sampleBufferRegions } from '../utils/verification.js';
+import { PhaseTimer } from '../utils/latency.js';
+import { getTextureFormat, describeTexture } from '../utils/textureFormats.js';
+import { DEFAULT_BUFFER_USAGE, getBufferUsage, describeBufferUsage } from '../utils/bufferUsages.js';
+
+// Simulated buffers keep only this many bytes of real contents, enough for verification samples
+const CONTENT_SIZE = 64 * 1024;
+
+/**
+ * Default simulated device: a 2GB budget with desktop-like limits
+ *
+ * memoryBytes: total memory; allocations past it fail with `failure`
+ * failure: what exceeding the budget causes ('out-of-memory', 'validation', 'device-lost' or 'context-lost')
+ * failAtAllocation: fail the Nth allocation since initialization or recovery regardless of the budget
+ * failureDelayMs: when > 0 the failing allocation appears to succeed and the error is reported this much later,
+ *                 like an uncaptured error or a device lost in the background; its contents read back as zeros
+ * advertised: { maxBufferSize, maxTextureDimension } reported to probes in place of the real limits
+ * leakFraction: fraction of each released allocation that never returns to the budget, like a driver
+ *               leaking on free; leaked memory is only reclaimed when the device is lost and restored
+ * releaseDelayMs: time released memory takes to return to the budget, like a driver freeing lazily
+ * latency: allocation time in ms = (baseMs + perMBMs * MB) * (1 + pressureFactor * usage^pressureExponent),
+ *          varied by +/- jitter, where usage is the fraction of the budget in use
+ * restoreDelayMs: time a lost device takes to come back in recover()
+ * processMemoryBytes: memory shared by this device and its siblings (see createSibling), like a per-process
+ *                     limit; null to give every device only its own memoryBytes
+ * maxContexts: most live devices in the process; initializing one more loses the oldest with context-lost,
+ *              as browsers do with WebGL contexts. null for no limit
+ */
+export const DEFAULT_SIMULATION = {
+    memoryBytes: 2 * 1024 * 1024 * 1024,
+    maxBufferSize: 256 * 1024 * 1024,
+    maxTextureDimension: 8192,
+    features: ['texture-compression-bc'],
+    failure: FailureType.OUT_OF_MEMORY,
+    failAtAllocation: null,
+    failureDelayMs: 0,
+    advertised: {},
+    leakFraction: 0,
+    releaseDelayMs: 0,
+    latency: { baseMs: 1, perMBMs: 0.02, pressureFactor: 10, pressureExponent: 4, jitter: 0.1 },
+    restoreDelayMs: 100,
+    processMemoryBytes: null,
+    maxContexts: null,
+    seed: 1
+};
+
+const SIMULATED_FAILURES = [
+    FailureType.OUT_OF_MEMORY, FailureType.VALIDATION, FailureType.DEVICE_LOST, FailureType.CONTEXT_LOST
+];
+
+/**
+ * Simulated Memory Benchmark Implementation
+ * Models a GPU memory budget in JavaScript so the controller, scenarios and reports
+ * can run without a GPU, and so failure modes can be reproduced on demand
+ */
+export class SimulatedMemoryBenchmark extends BaseBenchmark {
+    /**
+     * @param {Object} options - { canvas, simulation } where simulation overrides DEFAULT_SIMULATION,
+     *                           { process } to share a process with other simulated devices
+     */
+    constructor(options = {}) {
+        super('Simulated', options);
+        const simulation = options.simulation || {};
+        this.simulation = {
+            ...DEFAULT_SIMULATION,
+            ...simulation,
+            advertised: { ...DEFAULT_SIMULATION.advertised, ...simulation.advertised },
+            latency: { ...DEFAULT_SIMULATION.latency, ...simulation.latency }
+        };
+        if (!SIMULATED_FAILURES.includes(this.simulation.failure)) {
+            throw new Error(`Simulated failure must be one of ${SIMULATED_FAILURES.join(', ')}`);
+        }
+
+        this.random = createSeededRandom(this.simulation.seed);
+        this.renderer = null;
+        this.initialized = false;
+        // Failure type of a lost device, or null while usable
+        this.lost = null;
+        // Bytes committed by allocations, including ones whose latency is still running
+        this.committedBytes = 0;
+        // Bytes released but never returned to the budget (see leakFraction)
+        this.leakedBytes = 0;
+        // Bytes released but not yet returned to the budget (see releaseDelayMs)
+        this.pendingReleaseBytes = 0;
+        this.releaseTimers = new Set();
+        this.allocationIndex = 0;
+        // Simulated devices sharing processMemoryBytes and maxContexts, oldest first
+        this.process = options.process || { devices: [] };
+    }
+
+    /**
+     * The simulated backend runs anywhere
+     */
+    async checkSupport() {
+        this.log('✅ Simulated GPU available', 'success');
+        return true;
+    }
+
+    /**
+     * Initialize the simulated device and, when there is a canvas, its renderer
+     */
+    async initialize() {
+        if (this.initialized) return true;
+
+        this.renderer = this.canvas ? new CanvasRenderer(this.canvas) : null;
+
+        const { memoryBytes, failure, failAtAllocation, failureDelayMs } = this.simulation;
+        const limits = this.getAdvertisedLimits();
+        this.log('✅ Simulated GPU initialized successfully', 'success');
+        this.log(`📊 Device Limits:`, 'info');
+        this.log(`   Memory Budget: ${this.formatBytes(memoryBytes)}`, 'info');
+        this.log(`   Max Buffer Size: ${this.formatBytes(limits.maxBufferSize)}`, 'info');
+        this.log(`   Max Texture Dimension 2D: ${limits.maxTextureDimension}px`, 'info');
+        this.log(`   Failure: ${failure}${failAtAllocation ? ` at allocation ${failAtAllocation}` : ''}` +
+            `${failureDelayMs > 0 ? `, reported after ${failureDelayMs}ms` : ''}`, 'info');
+        if (this.simulation.leakFraction > 0) {
+            this.log(`   Leak: ${(this.simulation.leakFraction * 100).toFixed(1)}% of every release`, 'info');
+        }
+        if (this.simulation.releaseDelayMs > 0) {
+            this.log(`   Release delay: ${this.simulation.releaseDelayMs}ms`, 'info');
+        }
+        if (this.simulation.processMemoryBytes !== null) {
+            this.log(`   Process Budget: ${this.formatBytes(this.simulation.processMemoryBytes)}`, 'info');
+        }
+        if (this.simulation.maxContexts !== null) {
+            this.log(`   Max Live Devices: ${this.simulation.maxContexts}`, 'info');
+        }
+
+        this.initialized = true;
+        this.joinProcess();
+        return true;
+    }
+
+    /**
+     * Count this device as the newest live one in its process, losing the oldest live device
+     * once there are more than maxContexts
+     */
+    joinProcess() {
+        this.leaveProcess();
+        this.process.devices.push(this);
+
+        const { maxContexts } = this.simulation;
+        const live = this.process.devices.filter(device => !device.lost);
+        if (maxContexts !== null && live.length > maxContexts) {
+            live[0].evict(maxContexts);
+        }
+    }
+
+    /**
+     * Stop counting this device in its process
+     */
+    leaveProcess() {
+        const index = this.process.devices.indexOf(this);
+        if (index !== -1) {
+            this.process.devices.splice(index, 1);
+        }
+    }
+
+    /**
+     * Lose the device because too many devices are live
+     * @param {number} maxContexts - Live device limit that was exceeded
+     */
+    evict(maxContexts) {
+        this.lost = FailureType.CONTEXT_LOST;
+        this.stopTextureDisplay();
+        this.stopBufferTouching();
+        this.recordFailure(FailureType.CONTEXT_LOST, `Simulated device evicted: more than ${maxContexts} live devices`);
+    }
+
+    /**
+     * Bytes committed by every live device in the process
+     */
+    processCommittedBytes() {
+        return this.process.devices
+            .filter(device => !device.lost)
+            .reduce((total, device) => total + device.committedBytes, 0);
+    }
+
+    /**
+     * Why an allocation of this size does not fit, or null if it fits
+     * @param {number} size - Size in bytes
+     * @returns {string|null} Budget that would be exceeded
+     */
+    exceededBudget(size) {
+        const { memoryBytes, processMemoryBytes } = this.simulation;
+        if (this.committedBytes + size > memoryBytes) {
+            return `${this.formatBytes(memoryBytes)} budget`;
+        }
+        if (processMemoryBytes !== null && this.processCommittedBytes() + size > processMemoryBytes) {
+            return `${this.formatBytes(processMemoryBytes)} process budget`;
+        }
+        return null;
+    }
+
+    /**
+     * Time an allocation of this size takes at the current memory pressure
+     * @param {number} size - Size in bytes
+     * @returns {number} Latency in ms
+     */
+    latencyFor(size) {
+        const { baseMs, perMBMs, pressureFactor, pressureExponent, jitter } = this.simulation.latency;
+        const usage = Math.min(1, this.committedBytes / this.simulation.memoryBytes);
+        const latency = (baseMs + perMBMs * size / (1024 * 1024)) * (1 + pressureFactor * Math.pow(usage, pressureExponent));
+        return latency * (1 + jitter * (this.random() * 2 - 1));
+    }
+
+    /**
+     * Wait for an allocation's latency, then commit its memory or fail
+     * @param {number} size - Size in bytes
+     * @param {string} label - Allocation description for error messages
+     * @returns {Promise<Object>} { delayedFailure } where delayedFailure is set when the error is reported later
+     */
+    async simulateAllocation(size, label) {
+        if (this.lost) {
+            throw new AllocationError(this.lost, 'Simulated device is lost');
+        }
+
+        const latency = this.latencyFor(size);
+        if (latency > 0) {
+            await new Promise(resolve => setTimeout(resolve, latency));
+        }
+        if (this.lost) {
+            throw new AllocationError(this.lost, 'Simulated device is lost');
+        }
+
+        const { failAtAllocation, failureDelayMs } = this.simulation;
+        this.allocationIndex++;
+        const exhausted = this.exceededBudget(size);
+        const forced = failAtAllocation !== null && this.allocationIndex >= failAtAllocation;
+
+        if (!exhausted && !forced) {
+            this.committedBytes += size;
+            return { delayedFailure: false };
+        }
+
+        const message = exhausted
+            ? `Simulated ${exhausted} exceeded by ${label}`
+            : `Simulated failure at allocation ${this.allocationIndex}`;
+
+        if (failureDelayMs > 0) {
+            // The allocation looks fine; the error surfaces later, as it would from an uncaptured error
+            setTimeout(() => this.failDevice(message), failureDelayMs);
+            this.committedBytes += size;
+            return { delayedFailure: true };
+        }
+
+        this.loseDeviceIfConfigured();
+        throw new AllocationError(this.simulation.failure, message);
+    }
+
+    /**
+     * Report a delayed failure as the run's failure
+     * @param {string} message - Failure description
+     */
+    failDevice(message) {
+        this.loseDeviceIfConfigured();
+        this.recordFailure(this.simulation.failure, message);
+    }
+
+    /**
+     * Mark the device lost when the configured failure is a loss
+     */
+    loseDeviceIfConfigured() {
+        const failure = this.simulation.failure;
+        if (failure !== FailureType.DEVICE_LOST && failure !== FailureType.CONTEXT_LOST) return;
+        if (this.lost) return;
+
+        this.lost = failure;
+        this.stopTextureDisplay();
+        this.stopBufferTouching();
+    }
+
+    /**
+     * Whether the simulated device was lost and can be restored
+     */
+    canRecover() {
+        return !!this.lost;
+    }
+
+    /**
+     * Restore a lost device after the configured delay; every allocation is lost with it
+     * @returns {Promise<boolean>} True if restored
+     */
+    async recover() {
+        if (!this.lost) return true;
+
+        this.log('🔄 Restoring simulated device...', 'info');
+        await new Promise(resolve => setTimeout(resolve, this.simulation.restoreDelayMs));
+
+        this.forgetResources();
+        this.releaseTimers.forEach(timer => clearTimeout(timer));
+        this.releaseTimers.clear();
+        this.committedBytes = 0;
+        this.leakedBytes = 0;
+        this.pendingReleaseBytes = 0;
+        this.allocationIndex = 0;
+        this.lost = null;
+        this.joinProcess();
+        this.log('♻️ Simulated device restored', 'success');
+        return true;
+    }
+
+    /**
+     * Start texture display rendering
+     */
+    startTextureDisplay() {
+        if (this.renderInterval) clearInterval(this.renderInterval);
+
+        this.renderInterval = setInterval(() => {
+            if (this.renderer && this.textures.length > 0) {
+                this.renderer.renderTextureGrid(this.getDisplayTextures());
+            }
+        }, 100);
+    }
+
+    /**
+     * "Read" every buffer, taking the time a pass over their bytes would
+     * @returns {Promise<Object>} { touched, skipped, bytes, checksum }
+     */
+    async touchBuffers() {
+        const result = { touched: 0, skipped: 0, bytes: 0, checksum: 0 };
+        for (const buffer of this.buffers) {
+            result.touched++;
+            result.bytes += buffer.size;
+            result.checksum = (result.checksum ^ buffer.seed) >>> 0;
+        }
+
+        const latency = this.simulation.latency.perMBMs * result.bytes / (1024 * 1024);
+        await new Promise(resolve => setTimeout(resolve, latency));
+        return result;
+    }
+
+    /**
+     * Allocate a simulated buffer
+     * @param {number} size - Buffer size in bytes
+     * @param {Object} options - { usage, mappedAtCreation, hint } (usage preset defaults to storage)
+     */
+    async allocateBuffer(size, options = {}) {
+        if (!this.initialized) {
+            await this.initialize();
+        }
+
+        const usage = options.usage || DEFAULT_BUFFER_USAGE;
+        getBufferUsage(usage);
+        const description = describeBufferUsage({ usage, mappedAtCreation: options.mappedAtCreation, hint: options.hint });
+        const seed = this.nextSeed();
+
+        options.control?.throwIfStopped();
+        this.throwIfFailed();
+        await this.checkpointAllocation('buffer', size);
+        const startedAt = performance.now();
+        const timer = new PhaseTimer(startedAt);
+
+        try {
+            if (size > this.simulation.maxBufferSize) {
+                throw new AllocationError(FailureType.VALIDATION,
+                    `Buffer size ${size} exceeds maxBufferSize ${this.simulation.maxBufferSize}`);
+            }
+
+            const contents = createRandomBufferData(Math.min(size, CONTENT_SIZE), seed);
+            timer.mark('generate');
+            // The modelled latency rises with pressure, as waiting for real uploads to complete does
+            const { delayedFailure } = await this.simulateAllocation(size, `a ${this.formatBytes(size)} buffer`);
+            timer.mark('complete');
+            const buffer = { kind: 'buffer', size, seed, contents, evicted: delayedFailure };
+
+            this.recordAllocation('buffer', buffer, size, startedAt, {
+                usage,
+                mappedAtCreation: !!options.mappedAtCreation,
+                hint: options.hint || null,
+                seed,
+                samples: sampleBufferRegions(contents),
+                description,
+                phases: timer.phases
+            });
+
+            this.log(`📦 Allocated Simulated buffer: ${this.formatBytes(size)} ${description}`, 'info');
+            return buffer;
+        } catch (error) {
+            this.log(`🚨 Simulated buffer allocation failed: ${error.message}`, 'error');
+            this.recordAllocationFailure('buffer', size, startedAt, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Whether the simulated device has the feature a format requires
+     * @param {string} format - WebGPU format name
+     */
+    supportsTextureFormat(format) {
+        const info = getTextureFormat(format);
+        return !info.feature || this.simulation.features.includes(info.feature);
+    }
+
+    /**
+     * Allocate a simulated texture
+     * @param {number} width - Texture width
+     * @param {number} height - Texture height
+     * @param {Object} options - { format, mipLevels, layers, dimension } (defaults to a single rgba8unorm image)
+     */
+    async allocateTexture(width, height, options = {}) {
+        if (!this.initialized) {
+            await this.initialize();
+        }
+
+        const layout = describeTexture(width, height, options);
+        const textureSize = layout.byteSize;
+        const seed = this.nextSeed();
+
+        options.control?.throwIfStopped();
+        this.throwIfFailed();
+        await this.checkpointAllocation('texture', textureSize);
+        const startedAt = performance.now();
+        const timer = new PhaseTimer(startedAt);
+
+        try {
+            if (!this.supportsTextureFormat(layout.format)) {
+                throw new AllocationError(FailureType.VALIDATION,
+                    `${layout.format} requires the ${getTextureFormat(layout.format).feature} feature`);
+            }
+            const maxDimension = this.simulation.maxTextureDimension;
+            if (layout.width > maxDimension || layout.height > maxDimension) {
+                throw new AllocationError(FailureType.VALIDATION,
+                    `Texture size ${layout.width}x${layout.height} exceeds maxTextureDimension2D ${maxDimension}`);
+            }
+
+            await this.simulateAllocation(textureSize, `a ${layout.description} texture`);
+            timer.mark('complete');
+            const texture = { kind: 'texture', size: textureSize, seed, color: `hsl(${seed % 360}, 70%, 50%)` };
+
+            // Texture contents aren't modelled, so they have no verification samples
+            this.recordAllocation('texture', texture, textureSize, startedAt, {
+                format: layout.format,
+                width: layout.width,
+                height: layout.height,
+                layers: layout.layers,
+                dimension: layout.dimension,
+                mipLevelCount: layout.mipLevelCount,
+                displayable: layout.displayable,
+                seed,
+                samples: null,
+                description: layout.description,
+                phases: timer.phases
+            });
+
+            this.log(`🖼️ Allocated Simulated texture: ${layout.description} (${this.formatBytes(textureSize)})`, 'info');
+            return texture;
+        } catch (error) {
+            this.log(`🚨 Simulated texture allocation failed: ${error.message}`, 'error');
+            this.recordAllocationFailure('texture', textureSize, startedAt, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Read back a buffer sample; allocations whose failure was delayed read back as zeros
+     */
+    async readSample(resource, info, sample) {
+        if (this.lost) {
+            throw new Error('Simulated device is lost');
+        }
+        if (resource.evicted) {
+            return new Uint8Array(sample.length);
+        }
+        return resource.contents.slice(sample.offset, sample.offset + sample.length);
+    }
+
+    /**
+     * Try a buffer of this size against the budget without keeping it
+     * @param {number} size - Buffer size in bytes
+     * @returns {Promise<boolean>} True if the allocation would succeed
+     */
+    async probeBuffer(size) {
+        return this.probe(size, size <= this.simulation.maxBufferSize, `${this.formatBytes(size)} buffer`);
+    }
+
+    /**
+     * Try a square rgba8unorm texture against the budget without keeping it
+     * @param {number} dimension - Texture width and height in pixels
+     * @returns {Promise<boolean>} True if the allocation would succeed
+     */
+    async probeTexture(dimension) {
+        const fitsLimits = dimension <= this.simulation.maxTextureDimension;
+        return this.probe(dimension * dimension * 4, fitsLimits, `${dimension}x${dimension} texture`);
+    }
+
+    /**
+     * Shared probe logic: wait for the allocation latency, then check limits and budget
+     */
+    async probe(size, fitsLimits, label) {
+        await new Promise(resolve => setTimeout(resolve, this.latencyFor(size)));
+
+        const exceeded = this.exceededBudget(size);
+        let reason = null;
+        if (this.lost) reason = 'Simulated device is lost';
+        else if (!fitsLimits) reason = 'exceeds the device limits';
+        else if (exceeded) reason = `exceeds the ${exceeded}`;
+
+        if (reason) {
+            this.log(`   ${label} failed: ${reason}`, 'warning');
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Describe the simulated device for reports
+     */
+    getDeviceInfo() {
+        return {
+            vendor: 'simulated',
+            architecture: '',
+            device: '',
+            description: `Simulated GPU (${this.formatBytes(this.simulation.memoryBytes)} budget, ${this.simulation.failure})`
+        };
+    }
+
+    /**
+     * Get the simulated limits for reports
+     */
+    getLimits() {
+        return {
+            memoryBytes: this.simulation.memoryBytes,
+            maxBufferSize: this.simulation.maxBufferSize,
+            maxTextureDimension2D: this.simulation.maxTextureDimension
+        };
+    }
+
+    /**
+     * Get the limits the simulated device advertises, which may differ from the real ones
+     * @returns {Object} { maxBufferSize, maxTextureDimension }
+     */
+    getAdvertisedLimits() {
+        const { advertised } = this.simulation;
+        return {
+            maxBufferSize: advertised.maxBufferSize ?? this.simulation.maxBufferSize,
+            maxTextureDimension: advertised.maxTextureDimension ?? this.simulation.maxTextureDimension
+        };
+    }
+
+    /**
+     * Release one allocation
+     * @param {Object} resource - Simulated buffer or texture
+     */
+    releaseResource(resource) {
+        const info = this.resourceInfo.get(resource);
+        if (!info) return;
+
+        this.returnToBudget(info.size);
+        this.forgetResource(resource);
+    }
+
+    /**
+     * Return released memory to the budget, less the configured leak, once releaseDelayMs has passed
+     * @param {number} size - Bytes released
+     */
+    returnToBudget(size) {
+        const { leakFraction, releaseDelayMs } = this.simulation;
+        const leaked = size * leakFraction;
+        const returned = size - leaked;
+        this.leakedBytes += leaked;
+
+        if (releaseDelayMs <= 0) {
+            this.committedBytes -= returned;
+            return;
+        }
+
+        this.pendingReleaseBytes += returned;
+        const timer = setTimeout(() => {
+            this.releaseTimers.delete(timer);
+            this.pendingReleaseBytes -= returned;
+            this.committedBytes -= returned;
+        }, releaseDelayMs);
+        this.releaseTimers.add(timer);
+    }
+
+    /**
+     * Nothing runs on a simulated GPU; yield once so callers see the same async shape
+     */
+    async waitForIdle() {
+        await new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    /**
+     * Another simulated device with the same simulation, sharing this one's process
+     */
+    createSibling() {
+        return new SimulatedMemoryBenchmark({ simulation: this.simulation, process: this.process, logToConsole: false });
+    }
+
+    /**
+     * Release every allocation and leave the process
+     */
+    dispose() {
+        super.dispose();
+        this.leaveProcess();
+    }
+
+    /**
+     * Clear all allocated memory
+     */
+    clearMemory() {
+        this.log('🧹 Clearing Simulated memory...', 'info');
+        this.stopTextureDisplay();
+
+        // Everything committed that is neither leaked nor already on its way back is live
+        this.returnToBudget(this.committedBytes - this.leakedBytes - this.pendingReleaseBytes);
+        this.forgetResources();
+
+        if (this.renderer) {
+            this.renderer.clear();
+        }
+
+        this.log('✅ Simulated memory cleared', 'success');
+    }
+}
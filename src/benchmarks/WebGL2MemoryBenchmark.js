@@ -1,16 +1,50 @@
 import { BaseBenchmark } from '../core/BaseBenchmark.js';
 import { WebGL2Renderer } from '../renderers/WebGL2Renderer.js';
-import { createRandomTextureData } from '../utils/formatters.js';
+import { WebGL2BufferToucher } from '../renderers/WebGL2BufferToucher.js';
+import { createRandomTextureData, createRandomBufferData } from '../utils/formatters.js';
+import { AllocationError, FailureType } from '../core/AllocationError.js';
+import { matchesPattern, sampleBufferRegions, sampleTextureRows } from '../utils/verification.js';
+import {
+    DEFAULT_TEXTURE_FORMAT, getTextureFormat, describeTexture
+} from '../utils/textureFormats.js';
+import { DEFAULT_BUFFER_USAGE, getBufferUsage, describeBufferUsage } from '../utils/bufferUsages.js';
+import { createDetachedCanvas } from '../utils/canvas.js';
+import { PhaseTimer } from '../utils/latency.js';
+
+// How long to wait for the browser to restore a lost context
+const CONTEXT_RESTORE_TIMEOUT = 10000;
+
+// Uploads for probe allocations are written in chunks of this size
+const PROBE_CHUNK_SIZE = 16 * 1024 * 1024;
+
+/**
+ * View upload bytes as the typed array texImage2D expects for a pixel type
+ * @param {WebGL2RenderingContext} gl - Context owning the enums
+ * @param {number} type - GL pixel type
+ * @param {Uint8Array} data - Upload bytes
+ */
+function typedArrayForGLType(gl, type, data) {
+    switch (type) {
+        case gl.HALF_FLOAT: return new Uint16Array(data.buffer, data.byteOffset, data.byteLength >> 1);
+        case gl.FLOAT: return new Float32Array(data.buffer, data.byteOffset, data.byteLength >> 2);
+        case gl.UNSIGNED_INT: return new Uint32Array(data.buffer, data.byteOffset, data.byteLength >> 2);
+        default: return data;
+    }
+}
 
 /**
  * WebGL2 Memory Benchmark Implementation
  */
 export class WebGL2MemoryBenchmark extends BaseBenchmark {
-    constructor() {
-        super('WebGL2');
+    constructor(options = {}) {
+        super('WebGL2', options);
+        this.deviceLabel = 'context';
         this.gl = null;
         this.renderer = null;
+        this.toucher = null;
         this.initialized = false;
+        this.contextLost = false;
+        this.listeningCanvas = null;
     }
 
     /**
@@ -19,17 +53,14 @@ export class WebGL2MemoryBenchmark extends BaseBenchmark {
     async checkSupport() {
         try {
             // Test WebGL2 support without interfering with existing contexts
-            const testCanvas = document.createElement('canvas');
-            const testGl = testCanvas.getContext('webgl2');
+            const testCanvas = createDetachedCanvas();
+            const testGl = testCanvas && testCanvas.getContext('webgl2');
             
             if (!testGl) {
                 this.log('❌ WebGL2 not supported in this browser', 'error');
                 return false;
             }
             
-            // Clean up test canvas
-            testCanvas.remove();
-            
             this.log('✅ WebGL2 support detected', 'success');
             
             if (this.isIOSSafari()) {
@@ -56,9 +87,13 @@ export class WebGL2MemoryBenchmark extends BaseBenchmark {
                 return false;
             }
 
+            this.watchContext(this.canvas);
+            this.contextLost = false;
+
             // Initialize renderer
             this.renderer = new WebGL2Renderer(this.gl, this.canvas);
             await this.renderer.initialize();
+            this.toucher = new WebGL2BufferToucher(this.gl);
             
             this.log('✅ WebGL2 initialized successfully', 'success');
             this.log(`📊 WebGL2 Limits:`, 'info');
@@ -73,6 +108,110 @@ export class WebGL2MemoryBenchmark extends BaseBenchmark {
         }
     }
 
+    /**
+     * Listen for context loss and restoration on the canvas
+     * @param {HTMLCanvasElement} canvas - Canvas owning the context
+     */
+    watchContext(canvas) {
+        if (this.listeningCanvas === canvas) return;
+        this.listeningCanvas = canvas;
+        
+        canvas.addEventListener('webglcontextlost', (event) => {
+            // Prevent the default so the browser is allowed to restore the context
+            event.preventDefault();
+            if (canvas !== this.canvas) return;
+            
+            this.contextLost = true;
+            this.stopTextureDisplay();
+            this.stopBufferTouching();
+            this.recordFailure(FailureType.CONTEXT_LOST, 'WebGL2 context was lost');
+        });
+        
+        canvas.addEventListener('webglcontextrestored', async () => {
+            if (canvas !== this.canvas) return;
+            
+            // Every resource died with the old context
+            this.forgetResources();
+            
+            this.renderer = new WebGL2Renderer(this.gl, this.canvas);
+            await this.renderer.initialize();
+            this.toucher = new WebGL2BufferToucher(this.gl);
+            this.contextLost = false;
+            this.log('♻️ WebGL2 context restored', 'success');
+        });
+    }
+
+    /**
+     * Drain the GL error queue
+     */
+    clearGLErrors() {
+        while (this.gl.getError() !== this.gl.NO_ERROR) { /* drain */ }
+    }
+
+    /**
+     * Check the GL error queue after an operation
+     * @param {string} operation - Operation name for the error message
+     */
+    checkGLError(operation) {
+        const error = this.gl.getError();
+        if (error === this.gl.NO_ERROR) return;
+        
+        // Drain remaining errors so they are not attributed to the next operation
+        this.clearGLErrors();
+        
+        if (error === this.gl.OUT_OF_MEMORY) {
+            throw new AllocationError(FailureType.OUT_OF_MEMORY, `${operation}: GL_OUT_OF_MEMORY`);
+        }
+        if (error === this.gl.CONTEXT_LOST_WEBGL || this.gl.isContextLost()) {
+            throw new AllocationError(FailureType.CONTEXT_LOST, `${operation}: context lost`);
+        }
+        throw new AllocationError(FailureType.VALIDATION, `${operation}: GL error 0x${error.toString(16)}`);
+    }
+
+    /**
+     * Whether the context was lost and can attempt restoration
+     */
+    canRecover() {
+        return this.contextLost;
+    }
+
+    /**
+     * Wait for the lost context to be restored
+     * @returns {Promise<boolean>} True if restored
+     */
+    async recover() {
+        if (!this.contextLost) return true;
+        
+        this.log('🔄 Attempting to restore WebGL2 context...', 'info');
+        
+        const restored = new Promise((resolve) => {
+            const timeout = setTimeout(() => resolve(false), CONTEXT_RESTORE_TIMEOUT);
+            this.canvas.addEventListener('webglcontextrestored', () => {
+                clearTimeout(timeout);
+                resolve(true);
+            }, { once: true });
+        });
+        
+        // Only honoured when the loss was simulated; otherwise the browser restores on its own
+        const loseContext = this.gl.getExtension('WEBGL_lose_context');
+        if (loseContext) {
+            try {
+                loseContext.restoreContext();
+            } catch (e) {
+                console.warn('restoreContext failed:', e);
+            }
+        }
+        
+        if (!await restored) {
+            this.log('❌ WebGL2 context was not restored', 'error');
+            return false;
+        }
+        
+        // Wait for the restore listener to rebuild the renderer
+        await new Promise(resolve => setTimeout(resolve, 0));
+        return !this.contextLost;
+    }
+
     /**
      * Start texture display rendering
      */
@@ -81,93 +220,468 @@ export class WebGL2MemoryBenchmark extends BaseBenchmark {
         
         this.renderInterval = setInterval(() => {
             if (this.textures.length > 0) {
-                this.renderer.renderTextureGrid(this.textures);
+                this.renderer.renderTextureGrid(this.getDisplayTextures());
             }
         }, 100);
     }
 
+    /**
+     * Fetch every buffer as vertex data
+     * @returns {Promise<Object>} { touched, skipped, bytes, checksum }
+     */
+    async touchBuffers() {
+        const entries = [];
+        let skipped = 0;
+        for (const buffer of this.buffers) {
+            const info = this.resourceInfo.get(buffer);
+            // Element array buffers can't be bound as vertex data
+            if (info.usage === 'index') {
+                skipped++;
+            } else {
+                entries.push({ buffer, size: info.size });
+            }
+        }
+        return { ...this.toucher.touch(entries), skipped };
+    }
+
+    /**
+     * Wait on a fence for every command issued so far; polled so the page stays responsive
+     */
+    async waitForIdle() {
+        const gl = this.gl;
+        if (!gl || gl.isContextLost()) return;
+        
+        const sync = gl.fenceSync(gl.SYNC_GPU_COMMANDS_COMPLETE, 0);
+        gl.flush();
+        try {
+            while (gl.clientWaitSync(sync, 0, 0) === gl.TIMEOUT_EXPIRED) {
+                await new Promise(resolve => setTimeout(resolve, 1));
+            }
+        } finally {
+            gl.deleteSync(sync);
+        }
+    }
+
     /**
      * Allocate a WebGL2 buffer
      * @param {number} size - Buffer size in bytes
+     * @param {Object} options - { usage, hint } (usage preset defaults to storage; hint overrides its GL usage hint)
      */
-    async allocateBuffer(size) {
+    async allocateBuffer(size, options = {}) {
         if (!this.gl) {
             await this.initialize();
         }
         
+        const usage = options.usage || DEFAULT_BUFFER_USAGE;
+        const { target: targetName, hint: defaultHint } = getBufferUsage(usage).webgl2;
+        const hint = options.hint || defaultHint;
+        const target = this.gl[targetName];
+        const description = describeBufferUsage({ usage, hint });
+        const seed = this.nextSeed();
+        
+        options.control?.throwIfStopped();
+        this.throwIfFailed();
+        await this.checkpointAllocation('buffer', size);
+        const startedAt = performance.now();
+        
+        const timer = new PhaseTimer(startedAt);
+        let buffer = null;
         try {
-            // Create WebGL buffer
-            const buffer = this.gl.createBuffer();
-            this.gl.bindBuffer(this.gl.ARRAY_BUFFER, buffer);
+            // Clear stale errors so they are not attributed to this allocation
+            this.clearGLErrors();
             
-            // Create JavaScript array for upload (will be garbage collected after upload)
-            const arrayBuffer = new ArrayBuffer(size);
-            const dataView = new Uint8Array(arrayBuffer);
+            // Create WebGL buffer
+            buffer = this.gl.createBuffer();
+            this.gl.bindBuffer(target, buffer);
+            timer.mark('create');
             
-            // Fill with random data
-            for (let i = 0; i < size; i++) {
-                dataView[i] = Math.floor(Math.random() * 256);
-            }
+            // Create JavaScript array for upload (will be garbage collected after upload).
+            // The data is generated in whole words, so only the buffer's own size is uploaded
+            const data = createRandomBufferData(Math.ceil(size / 4) * 4, seed);
+            timer.mark('generate');
             
             // Upload to WebGL buffer
-            this.gl.bufferData(this.gl.ARRAY_BUFFER, dataView, this.gl.STATIC_DRAW);
+            this.gl.bufferData(target, data, this.gl[hint], 0, size);
+            this.checkGLError('bufferData');
+            // Pixel pack/unpack and element array bindings affect later reads, uploads and draws
+            this.gl.bindBuffer(target, null);
+            timer.mark('upload');
+            // Completion time grows first when the driver starts paging under memory pressure
+            await this.waitForIdle();
+            timer.mark('complete');
             
             // Don't store the JavaScript array - let it be garbage collected
-            this.buffers.push(buffer);
-            this.allocatedMemory += size;
-            this.lastAllocationTime = Date.now();
-            this.updateMetrics();
+            this.recordAllocation('buffer', buffer, size, startedAt, {
+                usage,
+                hint,
+                seed,
+                samples: sampleBufferRegions(data.subarray(0, size)),
+                description,
+                phases: timer.phases
+            });
             
-            this.log(`📦 Allocated WebGL2 buffer: ${this.formatBytes(size)} VRAM`, 'info');
+            this.log(`📦 Allocated WebGL2 buffer: ${this.formatBytes(size)} ${description} VRAM`, 'info');
             return buffer;
         } catch (error) {
+            if (buffer) this.gl.deleteBuffer(buffer);
             this.log(`🚨 WebGL2 buffer allocation failed: ${error.message}`, 'error');
+            this.recordAllocationFailure('buffer', size, startedAt, error);
             throw error;
         }
     }
 
     /**
-     * Allocate a WebGL2 texture
+     * Whether the context can create textures of a format
+     * @param {string} format - WebGPU format name
+     */
+    supportsTextureFormat(format) {
+        const info = getTextureFormat(format).webgl2;
+        return !info.extension || (!!this.gl && !!this.gl.getExtension(info.extension));
+    }
+
+    /**
+     * Resolve a format's GL enums, including extension constants for compressed formats
+     * @param {string} format - WebGPU format name
+     * @returns {Object} { internalFormat, format, type, compressed }
+     */
+    getGLFormat(format) {
+        const info = getTextureFormat(format).webgl2;
+        if (info.extension) {
+            const extension = this.gl.getExtension(info.extension);
+            return { internalFormat: extension[info.internalFormat], compressed: true };
+        }
+        return {
+            internalFormat: this.gl[info.internalFormat],
+            format: this.gl[info.format],
+            type: this.gl[info.type],
+            compressed: false
+        };
+    }
+
+    /**
+     * Allocate a WebGL2 texture with immutable storage
      * @param {number} width - Texture width
      * @param {number} height - Texture height
+     * @param {Object} options - { format, mipLevels, layers, dimension } (defaults to a single rgba8unorm image)
      */
-    async allocateTexture(width, height) {
+    async allocateTexture(width, height, options = {}) {
         if (!this.gl) {
             await this.initialize();
         }
         
+        const gl = this.gl;
+        const layout = describeTexture(width, height, options);
+        const { format, levels } = layout;
+        const textureSize = layout.byteSize;
+        const seed = this.nextSeed();
+        
+        options.control?.throwIfStopped();
+        this.throwIfFailed();
+        await this.checkpointAllocation('texture', textureSize);
+        const startedAt = performance.now();
+        
+        const timer = new PhaseTimer(startedAt);
+        let texture = null;
         try {
-            const texture = this.gl.createTexture();
-            this.gl.bindTexture(this.gl.TEXTURE_2D, texture);
+            if (!this.supportsTextureFormat(format)) {
+                throw new AllocationError(FailureType.VALIDATION, `${format} requires ${getTextureFormat(format).webgl2.extension}`);
+            }
+            
+            this.clearGLErrors();
             
-            const textureSize = width * height * 4;
-            const data = createRandomTextureData(width, height);
+            const target = layout.dimension === '3d' ? gl.TEXTURE_3D
+                : layout.dimension === '2d-array' ? gl.TEXTURE_2D_ARRAY
+                : gl.TEXTURE_2D;
+            const is2D = target === gl.TEXTURE_2D;
+            const glFormat = this.getGLFormat(format);
             
-            this.gl.texImage2D(
-                this.gl.TEXTURE_2D, 0, this.gl.RGBA,
-                width, height, 0,
-                this.gl.RGBA, this.gl.UNSIGNED_BYTE, data
-            );
+            texture = gl.createTexture();
+            gl.bindTexture(target, texture);
+            if (is2D) {
+                gl.texStorage2D(target, layout.mipLevelCount, glFormat.internalFormat, layout.width, layout.height);
+            } else {
+                gl.texStorage3D(target, layout.mipLevelCount, glFormat.internalFormat, layout.width, layout.height, layout.layers);
+            }
+            this.checkGLError(is2D ? 'texStorage2D' : 'texStorage3D');
+            timer.mark('create');
+            
+            // One image's worth of data is reused for every layer, slice and mip level.
+            // Random pixels look like noise on screen; other formats just need their bytes filled
+            const imageSize = levels[0].byteSize;
+            const data = format === DEFAULT_TEXTURE_FORMAT ? createRandomTextureData(layout.width, layout.height, seed)
+                : glFormat.compressed ? createRandomBufferData(Math.ceil(imageSize / 4) * 4, seed)
+                : typedArrayForGLType(gl, glFormat.type, createRandomBufferData(Math.ceil(imageSize / 4) * 4, seed));
+            timer.mark('generate');
             
-            this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_MIN_FILTER, this.gl.LINEAR);
-            this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_MAG_FILTER, this.gl.LINEAR);
-            this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_WRAP_S, this.gl.CLAMP_TO_EDGE);
-            this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_WRAP_T, this.gl.CLAMP_TO_EDGE);
+            // Rows are tightly packed; the default 4-byte row alignment breaks e.g. r8unorm images of odd widths
+            gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1);
+            for (const level of levels) {
+                // Compressed uploads must be exactly the size of the image
+                const image = glFormat.compressed ? data.subarray(0, level.byteSize) : data;
+                for (let z = 0; z < level.depthOrLayers; z++) {
+                    if (is2D && glFormat.compressed) {
+                        gl.compressedTexSubImage2D(target, level.level, 0, 0, level.width, level.height, glFormat.internalFormat, image);
+                    } else if (is2D) {
+                        gl.texSubImage2D(target, level.level, 0, 0, level.width, level.height, glFormat.format, glFormat.type, image);
+                    } else if (glFormat.compressed) {
+                        gl.compressedTexSubImage3D(target, level.level, 0, 0, z, level.width, level.height, 1, glFormat.internalFormat, image);
+                    } else {
+                        gl.texSubImage3D(target, level.level, 0, 0, z, level.width, level.height, 1, glFormat.format, glFormat.type, image);
+                    }
+                }
+            }
+            this.checkGLError(is2D ? 'texSubImage2D' : 'texSubImage3D');
+            
+            // Float and depth textures are not filterable without extensions
+            const filter = format === DEFAULT_TEXTURE_FORMAT ? gl.LINEAR : gl.NEAREST;
+            gl.texParameteri(target, gl.TEXTURE_MIN_FILTER, filter);
+            gl.texParameteri(target, gl.TEXTURE_MAG_FILTER, filter);
+            gl.texParameteri(target, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+            gl.texParameteri(target, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+            timer.mark('upload');
+            await this.waitForIdle();
+            timer.mark('complete');
             
             // Don't store the JavaScript array - let it be garbage collected
-            this.textures.push(texture);
-            this.allocatedMemory += textureSize;
-            this.lastAllocationTime = Date.now();
-            this.updateMetrics();
+            this.recordAllocation('texture', texture, textureSize, startedAt, {
+                format,
+                width: layout.width,
+                height: layout.height,
+                layers: layout.layers,
+                dimension: layout.dimension,
+                mipLevelCount: layout.mipLevelCount,
+                seed,
+                // readPixels only returns the uploaded bytes unchanged for RGBA8
+                samples: format === DEFAULT_TEXTURE_FORMAT ? sampleTextureRows(data, levels[0]) : null,
+                displayable: layout.displayable,
+                description: layout.description,
+                phases: timer.phases
+            });
             
-            this.log(`🖼️ Allocated WebGL2 texture: ${width}x${height} (${this.formatBytes(textureSize)} VRAM)`, 'info');
+            this.log(`🖼️ Allocated WebGL2 texture: ${layout.description} (${this.formatBytes(textureSize)} VRAM)`, 'info');
             return texture;
         } catch (error) {
+            if (texture) gl.deleteTexture(texture);
             this.log(`🚨 WebGL2 texture allocation failed: ${error.message}`, 'error');
+            this.recordAllocationFailure('texture', textureSize, startedAt, error);
             throw error;
         }
     }
 
+    /**
+     * Describe the renderer for reports
+     */
+    getDeviceInfo() {
+        if (!this.gl) return {};
+        
+        // Unmasked names are only available where the extension is exposed
+        const debugInfo = this.gl.getExtension('WEBGL_debug_renderer_info');
+        return {
+            vendor: this.gl.getParameter(debugInfo ? debugInfo.UNMASKED_VENDOR_WEBGL : this.gl.VENDOR),
+            renderer: this.gl.getParameter(debugInfo ? debugInfo.UNMASKED_RENDERER_WEBGL : this.gl.RENDERER),
+            version: this.gl.getParameter(this.gl.VERSION),
+            shadingLanguageVersion: this.gl.getParameter(this.gl.SHADING_LANGUAGE_VERSION)
+        };
+    }
+
+    /**
+     * Get the context's size limits for reports
+     */
+    getLimits() {
+        if (!this.gl) return {};
+        
+        const names = [
+            'MAX_TEXTURE_SIZE', 'MAX_3D_TEXTURE_SIZE', 'MAX_ARRAY_TEXTURE_LAYERS', 'MAX_CUBE_MAP_TEXTURE_SIZE',
+            'MAX_RENDERBUFFER_SIZE', 'MAX_UNIFORM_BLOCK_SIZE', 'MAX_ELEMENT_INDEX', 'MAX_SAMPLES'
+        ];
+        const limits = {};
+        names.forEach(name => {
+            limits[name] = this.gl.getParameter(this.gl[name]);
+        });
+        return limits;
+    }
+
+    /**
+     * Get the limits advertised by the context (WebGL2 has no buffer size limit)
+     * @returns {Object} { maxBufferSize, maxTextureDimension }
+     */
+    getAdvertisedLimits() {
+        return {
+            maxBufferSize: null,
+            maxTextureDimension: this.gl.getParameter(this.gl.MAX_TEXTURE_SIZE)
+        };
+    }
+
+    /**
+     * Read a region of a buffer back to the CPU
+     * @param {WebGLBuffer} buffer - Buffer to read
+     * @param {number} offset - Byte offset
+     * @param {number} length - Byte length
+     * @returns {Promise<Uint8Array>} Bytes read back
+     */
+    async readBufferRegion(buffer, offset, length) {
+        const bytes = new Uint8Array(length);
+        this.gl.bindBuffer(this.gl.COPY_READ_BUFFER, buffer);
+        this.gl.getBufferSubData(this.gl.COPY_READ_BUFFER, offset, bytes);
+        this.gl.bindBuffer(this.gl.COPY_READ_BUFFER, null);
+        this.checkGLError('getBufferSubData');
+        return bytes;
+    }
+
+    /**
+     * Read a single-row region of an RGBA8 texture back through a framebuffer
+     * @param {WebGLTexture} texture - Texture to read
+     * @param {number} x - First pixel column
+     * @param {number} y - Pixel row
+     * @param {number} width - Pixel count
+     * @param {number|null} layer - Layer or slice to read for array and 3D textures
+     * @returns {Promise<Uint8Array>} RGBA bytes read back
+     */
+    async readTextureRow(texture, x, y, width, layer = null) {
+        const bytes = new Uint8Array(width * 4);
+        const framebuffer = this.gl.createFramebuffer();
+        try {
+            this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, framebuffer);
+            if (layer === null) {
+                this.gl.framebufferTexture2D(this.gl.FRAMEBUFFER, this.gl.COLOR_ATTACHMENT0, this.gl.TEXTURE_2D, texture, 0);
+            } else {
+                this.gl.framebufferTextureLayer(this.gl.FRAMEBUFFER, this.gl.COLOR_ATTACHMENT0, texture, 0, layer);
+            }
+            this.gl.readPixels(x, y, width, 1, this.gl.RGBA, this.gl.UNSIGNED_BYTE, bytes);
+            this.checkGLError('readPixels');
+            return bytes;
+        } finally {
+            this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, null);
+            this.gl.deleteFramebuffer(framebuffer);
+        }
+    }
+
+    /**
+     * Read back a verification sample recorded at upload
+     * @param {WebGLBuffer|WebGLTexture} resource - Allocated resource
+     * @param {Object} info - Resource description
+     * @param {Object} sample - Buffer { offset, length } or texture { y } sample
+     * @returns {Promise<Uint8Array>} Bytes read back
+     */
+    async readSample(resource, info, sample) {
+        if (info.kind === 'buffer') {
+            return this.readBufferRegion(resource, sample.offset, sample.length);
+        }
+        return this.readTextureRow(resource, 0, sample.y, info.width, info.dimension === '2d' ? null : 0);
+    }
+
+    /**
+     * Try to create, fill and verify a buffer, then release it
+     * @param {number} size - Buffer size in bytes, multiple of 4
+     * @returns {Promise<boolean>} True if the buffer was usable
+     */
+    async probeBuffer(size) {
+        let buffer = null;
+        try {
+            this.clearGLErrors();
+            const chunk = createRandomBufferData(Math.min(size, PROBE_CHUNK_SIZE));
+            
+            buffer = this.gl.createBuffer();
+            this.gl.bindBuffer(this.gl.ARRAY_BUFFER, buffer);
+            this.gl.bufferData(this.gl.ARRAY_BUFFER, size, this.gl.STATIC_DRAW);
+            this.checkGLError('bufferData');
+            
+            for (let offset = 0; offset < size; offset += chunk.byteLength) {
+                const length = Math.min(chunk.byteLength, size - offset);
+                this.gl.bufferSubData(this.gl.ARRAY_BUFFER, offset, chunk, 0, length);
+            }
+            this.checkGLError('bufferSubData');
+            
+            // The tail is written last, so it is the most likely to be missing
+            const sampleLength = Math.min(256, size);
+            const sampleOffset = size - sampleLength;
+            const sample = await this.readBufferRegion(buffer, sampleOffset, sampleLength);
+            return matchesPattern(sample, chunk, sampleOffset);
+        } catch (error) {
+            this.log(`   ${this.formatBytes(size)} buffer failed: ${error.message}`, 'warning');
+            return false;
+        } finally {
+            if (buffer) this.gl.deleteBuffer(buffer);
+            this.gl.finish();
+        }
+    }
+
+    /**
+     * Try to create, fill and verify a square RGBA8 texture, then release it
+     * @param {number} dimension - Texture width and height in pixels
+     * @returns {Promise<boolean>} True if the texture was usable
+     */
+    async probeTexture(dimension) {
+        let texture = null;
+        try {
+            this.clearGLErrors();
+            const rowsPerChunk = Math.max(1, Math.min(dimension, Math.floor(PROBE_CHUNK_SIZE / (dimension * 4))));
+            const chunk = createRandomTextureData(dimension, rowsPerChunk);
+            
+            texture = this.gl.createTexture();
+            this.gl.bindTexture(this.gl.TEXTURE_2D, texture);
+            this.gl.texStorage2D(this.gl.TEXTURE_2D, 1, this.gl.RGBA8, dimension, dimension);
+            this.checkGLError('texStorage2D');
+            
+            for (let y = 0; y < dimension; y += rowsPerChunk) {
+                const rows = Math.min(rowsPerChunk, dimension - y);
+                this.gl.texSubImage2D(
+                    this.gl.TEXTURE_2D, 0, 0, y, dimension, rows,
+                    this.gl.RGBA, this.gl.UNSIGNED_BYTE, chunk
+                );
+            }
+            this.checkGLError('texSubImage2D');
+            
+            // Sample the last row, which is written last
+            const sampleWidth = Math.min(64, dimension);
+            const x = dimension - sampleWidth;
+            const y = dimension - 1;
+            const sample = await this.readTextureRow(texture, x, y, sampleWidth);
+            return matchesPattern(sample, chunk, ((y % rowsPerChunk) * dimension + x) * 4);
+        } catch (error) {
+            this.log(`   ${dimension}x${dimension} texture failed: ${error.message}`, 'warning');
+            return false;
+        } finally {
+            if (texture) this.gl.deleteTexture(texture);
+            this.gl.finish();
+        }
+    }
+
+    /**
+     * Delete one buffer or texture
+     * @param {WebGLBuffer|WebGLTexture} resource - Resource to release
+     */
+    releaseResource(resource) {
+        const info = this.resourceInfo.get(resource);
+        try {
+            if (info && info.kind === 'texture') {
+                this.gl.deleteTexture(resource);
+            } else {
+                this.gl.deleteBuffer(resource);
+            }
+        } catch (e) {
+            console.warn('Failed to delete resource:', e);
+        }
+        this.forgetResource(resource);
+    }
+
+    /**
+     * Release every allocation, then lose the context so it stops counting against the
+     * browser's limit on live contexts straight away rather than when the canvas is collected
+     */
+    dispose() {
+        super.dispose();
+        // Detach first so the context loss listener ignores the deliberate loss
+        this.canvas = null;
+        const loseContext = this.gl && this.gl.getExtension('WEBGL_lose_context');
+        if (loseContext) {
+            loseContext.loseContext();
+        }
+        this.gl = null;
+        this.renderer = null;
+        this.toucher = null;
+    }
+
     /**
      * Clear all allocated memory
      */
@@ -193,10 +707,7 @@ export class WebGL2MemoryBenchmark extends BaseBenchmark {
             }
         });
         
-        this.buffers = [];
-        this.textures = [];
-        this.allocatedMemory = 0;
-        this.updateMetrics();
+        this.forgetResources();
         
         // Clear the canvas
         if (this.renderer) {
@@ -1,17 +1,47 @@
 import { BaseBenchmark } from '../core/BaseBenchmark.js';
 import { WebGPURenderer } from '../renderers/WebGPURenderer.js';
+import { WebGPUBufferToucher } from '../renderers/WebGPUBufferToucher.js';
 import { createRandomTextureData, createRandomBufferData } from '../utils/formatters.js';
+import { AllocationError, FailureType } from '../core/AllocationError.js';
+import { PhaseTimer } from '../utils/latency.js';
+import { matchesPattern, sampleBufferRegions, sampleTextureRows } from '../utils/verification.js';
+import {
+    DEFAULT_TEXTURE_FORMAT, COMPRESSION_FEATURES, getTextureFormat, describeTexture, textureImageLayout
+} from '../utils/textureFormats.js';
+import { DEFAULT_BUFFER_USAGE, getBufferUsage, describeBufferUsage } from '../utils/bufferUsages.js';
+
+// Uploads for probe allocations are written in chunks of this size
+const PROBE_CHUNK_SIZE = 16 * 1024 * 1024;
+
+/**
+ * Classify a GPUError into a FailureType
+ * @param {GPUError} error - Error reported by the device
+ * @returns {string} Failure type
+ */
+function classifyGPUError(error) {
+    if (typeof GPUOutOfMemoryError !== 'undefined' && error instanceof GPUOutOfMemoryError) {
+        return FailureType.OUT_OF_MEMORY;
+    }
+    if (typeof GPUValidationError !== 'undefined' && error instanceof GPUValidationError) {
+        return FailureType.VALIDATION;
+    }
+    return FailureType.INTERNAL;
+}
 
 /**
  * WebGPU Memory Benchmark Implementation
  */
 export class WebGPUMemoryBenchmark extends BaseBenchmark {
-    constructor() {
-        super('WebGPU');
+    constructor(options = {}) {
+        super('WebGPU', options);
         this.device = null;
         this.adapter = null;
+        this.adapterInfo = null;
         this.renderer = null;
+        this.toucher = null;
         this.initialized = false;
+        // Set when the device is lost; everything created on it is unusable until recover()
+        this.deviceLost = false;
     }
 
     /**
@@ -61,17 +91,40 @@ export class WebGPUMemoryBenchmark extends BaseBenchmark {
                 return false;
             }
 
-            this.device = await this.adapter.requestDevice();
+            // adapter.info replaced requestAdapterInfo() in newer browsers
+            this.adapterInfo = this.adapter.info ||
+                (this.adapter.requestAdapterInfo ? await this.adapter.requestAdapterInfo() : null);
+            
+            // Ask for the adapter's maximum sizes rather than the spec defaults
+            const adapterLimits = this.adapter.limits;
+            this.device = await this.adapter.requestDevice({
+                // Enable whichever compressed texture families the adapter offers
+                requiredFeatures: COMPRESSION_FEATURES.filter(feature => this.adapter.features.has(feature)),
+                requiredLimits: {
+                    maxBufferSize: adapterLimits.maxBufferSize,
+                    maxStorageBufferBindingSize: adapterLimits.maxStorageBufferBindingSize,
+                    maxTextureDimension2D: adapterLimits.maxTextureDimension2D
+                }
+            });
+            this.watchDevice(this.device);
+            
+            // Nothing created on a lost device survives on the new one
+            if (this.deviceLost) {
+                this.forgetResources();
+                this.deviceLost = false;
+            }
             
             // Initialize renderer
             this.renderer = new WebGPURenderer(this.device, this.canvas);
             await this.renderer.initialize();
+            this.toucher = new WebGPUBufferToucher(this.device);
             
             const limits = this.adapter.limits;
             this.log('✅ WebGPU initialized successfully', 'success');
             this.log(`📊 Device Limits:`, 'info');
             this.log(`   Max Buffer Size: ${this.formatBytes(limits.maxBufferSize)}`, 'info');
             this.log(`   Max Texture Dimension 2D: ${limits.maxTextureDimension2D}px`, 'info');
+            this.log(`   Compressed Textures: ${COMPRESSION_FEATURES.filter(feature => this.device.features.has(feature)).join(', ') || 'none'}`, 'info');
             
             this.initialized = true;
             return true;
@@ -81,6 +134,107 @@ export class WebGPUMemoryBenchmark extends BaseBenchmark {
         }
     }
 
+    /**
+     * Listen for asynchronous failures reported outside of error scopes
+     * @param {GPUDevice} device - Device to watch
+     */
+    watchDevice(device) {
+        device.lost.then((info) => {
+            // Devices are destroyed deliberately when switching APIs
+            if (info.reason === 'destroyed' || device !== this.device) return;
+            
+            this.deviceLost = true;
+            this.stopTextureDisplay();
+            this.stopBufferTouching();
+            this.recordFailure(FailureType.DEVICE_LOST, info.message || 'GPU device was lost');
+        });
+        
+        device.addEventListener('uncapturederror', (event) => {
+            this.recordFailure(classifyGPUError(event.error), event.error.message);
+        });
+    }
+
+    /**
+     * Whether the device was lost and a new one can be requested
+     */
+    canRecover() {
+        return this.deviceLost;
+    }
+
+    /**
+     * Replace a lost device: request a new adapter and device, reconfigure the canvas context
+     * for it and rebuild the renderer. Every resource died with the old device.
+     * @returns {Promise<boolean>} True if a new device is ready
+     */
+    async recover() {
+        if (!this.deviceLost) return true;
+        
+        this.log('🔄 Requesting a new WebGPU device...', 'info');
+        this.stopTextureDisplay();
+        this.stopBufferTouching();
+        
+        if (this.renderer && this.renderer.context) {
+            this.renderer.context.unconfigure();
+        }
+        this.renderer = null;
+        this.toucher = null;
+        this.device = null;
+        this.adapter = null;
+        this.initialized = false;
+        
+        if (!await this.initialize()) {
+            this.log('❌ Could not create a new WebGPU device', 'error');
+            return false;
+        }
+        
+        this.log('♻️ WebGPU device recreated', 'success');
+        return true;
+    }
+
+    /**
+     * Refuse to allocate on a lost device, where creation silently returns invalid objects
+     */
+    throwIfLost() {
+        if (this.deviceLost) {
+            throw new AllocationError(FailureType.DEVICE_LOST, 'WebGPU device is lost; restore it before allocating');
+        }
+    }
+
+    /**
+     * Run GPU work inside out-of-memory and validation error scopes
+     * @param {Function} work - Synchronous function issuing GPU commands
+     * @returns {Promise<*>} Result of work, rejected with AllocationError on GPU error
+     */
+    async withErrorScopes(work) {
+        this.device.pushErrorScope('out-of-memory');
+        this.device.pushErrorScope('validation');
+        
+        let result;
+        let thrown = null;
+        try {
+            result = work();
+        } catch (error) {
+            thrown = error;
+        }
+        
+        // Pop both scopes synchronously (innermost first) so concurrent
+        // allocations cannot interleave their own scopes in between
+        const [validationError, outOfMemoryError] = await Promise.all([
+            this.device.popErrorScope(),
+            this.device.popErrorScope()
+        ]);
+        
+        if (outOfMemoryError) {
+            throw new AllocationError(FailureType.OUT_OF_MEMORY, outOfMemoryError.message);
+        }
+        if (validationError) {
+            throw new AllocationError(FailureType.VALIDATION, validationError.message);
+        }
+        if (thrown) throw thrown;
+        
+        return result;
+    }
+
     /**
      * Start texture display rendering
      */
@@ -89,87 +243,482 @@ export class WebGPUMemoryBenchmark extends BaseBenchmark {
         
         this.renderInterval = setInterval(() => {
             if (this.textures.length > 0) {
-                this.renderer.renderTextureGrid(this.textures);
+                this.renderer.renderTextureGrid(this.getDisplayTextures());
             }
         }, 100);
     }
 
+    /**
+     * Read every buffer in a compute pass
+     * @returns {Promise<Object>} { touched, skipped, bytes, checksum }
+     */
+    async touchBuffers() {
+        return this.toucher.touch(this.buffers);
+    }
+
+    /**
+     * Wait for the queue to finish everything submitted so far
+     */
+    async waitForIdle() {
+        if (this.device) {
+            await this.device.queue.onSubmittedWorkDone();
+        }
+    }
+
     /**
      * Allocate a WebGPU buffer
      * @param {number} size - Buffer size in bytes
+     * @param {Object} options - { usage, mappedAtCreation } (usage preset defaults to storage)
      */
-    async allocateBuffer(size) {
+    async allocateBuffer(size, options = {}) {
         if (!this.device) {
             await this.initialize();
         }
         
+        const usage = options.usage || DEFAULT_BUFFER_USAGE;
+        const usageFlags = getBufferUsage(usage).webgpu.reduce((flags, name) => flags | GPUBufferUsage[name], 0);
+        // Buffers that cannot be copied into are filled while mapped
+        const mappedAtCreation = !!options.mappedAtCreation || !(usageFlags & GPUBufferUsage.COPY_DST);
+        const description = describeBufferUsage({ usage, mappedAtCreation });
+        const seed = this.nextSeed();
+        
+        options.control?.throwIfStopped();
+        this.throwIfFailed();
+        await this.checkpointAllocation('buffer', size);
+        const startedAt = performance.now();
+        
+        const timer = new PhaseTimer(startedAt);
+        let buffer = null;
         try {
-            const buffer = this.device.createBuffer({
-                size: size,
-                usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
-                mappedAtCreation: false
-            });
-            
-            const data = createRandomBufferData(size);
-            this.device.queue.writeBuffer(buffer, 0, data);
+            this.throwIfLost();
+            const data = createRandomBufferData(size, seed);
+            timer.mark('generate');
             
-            // Ensure the operation is submitted
-            const commandEncoder = this.device.createCommandEncoder();
-            this.device.queue.submit([commandEncoder.finish()]);
+            await this.withErrorScopes(() => {
+                try {
+                    buffer = this.device.createBuffer({
+                        size: size,
+                        usage: usageFlags,
+                        mappedAtCreation
+                    });
+                } catch (error) {
+                    // mappedAtCreation throws a RangeError when the mapping itself cannot be allocated
+                    if (error instanceof RangeError) throw new AllocationError(FailureType.OUT_OF_MEMORY, error.message);
+                    throw error;
+                }
+                timer.mark('create');
+                
+                if (mappedAtCreation) {
+                    new Uint8Array(buffer.getMappedRange()).set(data);
+                    buffer.unmap();
+                } else {
+                    this.device.queue.writeBuffer(buffer, 0, data);
+                }
+                
+                // Ensure the operation is submitted
+                const commandEncoder = this.device.createCommandEncoder();
+                this.device.queue.submit([commandEncoder.finish()]);
+            });
+            timer.mark('upload');
+            // Completion time grows first when the driver starts paging under memory pressure
+            await this.device.queue.onSubmittedWorkDone();
+            timer.mark('complete');
             
-            this.buffers.push(buffer);
-            this.allocatedMemory += size;
-            this.lastAllocationTime = Date.now();
-            this.updateMetrics();
+            this.recordAllocation('buffer', buffer, size, startedAt, {
+                usage,
+                mappedAtCreation,
+                seed,
+                samples: sampleBufferRegions(data),
+                description,
+                phases: timer.phases
+            });
             
-            this.log(`📦 Allocated WebGPU buffer: ${this.formatBytes(size)} VRAM`, 'info');
+            this.log(`📦 Allocated WebGPU buffer: ${this.formatBytes(size)} ${description} VRAM`, 'info');
             return buffer;
         } catch (error) {
+            if (buffer) buffer.destroy();
             this.log(`🚨 WebGPU buffer allocation failed: ${error.message}`, 'error');
+            this.recordAllocationFailure('buffer', size, startedAt, error);
             throw error;
         }
     }
 
+    /**
+     * Whether the device can create textures of a format
+     * @param {string} format - WebGPU format name
+     */
+    supportsTextureFormat(format) {
+        const info = getTextureFormat(format);
+        return !info.feature || (!!this.device && this.device.features.has(info.feature));
+    }
+
     /**
      * Allocate a WebGPU texture
      * @param {number} width - Texture width
      * @param {number} height - Texture height
+     * @param {Object} options - { format, mipLevels, layers, dimension } (defaults to a single rgba8unorm image)
      */
-    async allocateTexture(width, height) {
+    async allocateTexture(width, height, options = {}) {
         if (!this.device) {
             await this.initialize();
         }
         
+        const layout = describeTexture(width, height, options);
+        const { format, levels } = layout;
+        const formatInfo = getTextureFormat(format);
+        const textureSize = layout.byteSize;
+        const seed = this.nextSeed();
+        
+        options.control?.throwIfStopped();
+        this.throwIfFailed();
+        await this.checkpointAllocation('texture', textureSize);
+        const startedAt = performance.now();
+        
+        const timer = new PhaseTimer(startedAt);
+        let texture = null;
         try {
-            const texture = this.device.createTexture({
-                size: [width, height, 1],
-                format: 'rgba8unorm',
-                usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST | GPUTextureUsage.RENDER_ATTACHMENT
-            });
+            this.throwIfLost();
+            if (!this.supportsTextureFormat(format)) {
+                throw new AllocationError(FailureType.VALIDATION, `${format} requires the ${formatInfo.feature} feature`);
+            }
+            
+            let usage = GPUTextureUsage.TEXTURE_BINDING;
+            if (formatInfo.depth) {
+                usage |= GPUTextureUsage.RENDER_ATTACHMENT;
+            } else {
+                // COPY_SRC lets verification read the texture back
+                usage |= GPUTextureUsage.COPY_DST | GPUTextureUsage.COPY_SRC;
+                if (format === DEFAULT_TEXTURE_FORMAT) usage |= GPUTextureUsage.RENDER_ATTACHMENT;
+            }
             
-            const textureSize = width * height * 4;
-            const data = createRandomTextureData(width, height);
+            // One image's worth of data is reused for every layer, slice and mip level.
+            // Random pixels look like noise on screen; other formats just need their bytes filled
+            const imageSize = levels[0].byteSize;
+            const data = formatInfo.depth ? null
+                : format === DEFAULT_TEXTURE_FORMAT ? createRandomTextureData(layout.width, layout.height, seed)
+                : createRandomBufferData(Math.ceil(imageSize / 4) * 4, seed);
+            timer.mark('generate');
             
-            this.device.queue.writeTexture(
-                { texture: texture },
-                data,
-                { bytesPerRow: width * 4, rowsPerImage: height },
-                { width, height, depthOrArrayLayers: 1 }
-            );
+            await this.withErrorScopes(() => {
+                texture = this.device.createTexture({
+                    size: [layout.width, layout.height, layout.layers],
+                    dimension: layout.dimension === '3d' ? '3d' : '2d',
+                    mipLevelCount: layout.mipLevelCount,
+                    format,
+                    usage
+                });
+                timer.mark('create');
+                
+                if (formatInfo.depth) {
+                    this.clearDepthTexture(texture, levels);
+                } else {
+                    for (const level of levels) {
+                        for (let z = 0; z < level.depthOrLayers; z++) {
+                            this.device.queue.writeTexture(
+                                { texture, mipLevel: level.level, origin: [0, 0, z] },
+                                data,
+                                { bytesPerRow: level.bytesPerRow, rowsPerImage: level.rows },
+                                // Copies of compressed formats cover whole blocks
+                                { width: level.physicalWidth, height: level.physicalHeight, depthOrArrayLayers: 1 }
+                            );
+                        }
+                    }
+                }
+            });
+            timer.mark('upload');
+            await this.device.queue.onSubmittedWorkDone();
+            timer.mark('complete');
             
-            this.textures.push(texture);
-            this.allocatedMemory += textureSize;
-            this.lastAllocationTime = Date.now();
-            this.updateMetrics();
+            this.recordAllocation('texture', texture, textureSize, startedAt, {
+                format,
+                width: layout.width,
+                height: layout.height,
+                layers: layout.layers,
+                dimension: layout.dimension,
+                mipLevelCount: layout.mipLevelCount,
+                seed,
+                // Depth textures are cleared rather than uploaded, so there is nothing to compare
+                samples: data ? sampleTextureRows(data, levels[0], formatInfo.blockHeight) : null,
+                displayable: layout.displayable,
+                description: layout.description,
+                phases: timer.phases
+            });
             
-            this.log(`🖼️ Allocated WebGPU texture: ${width}x${height} (${this.formatBytes(textureSize)} VRAM)`, 'info');
+            this.log(`🖼️ Allocated WebGPU texture: ${layout.description} (${this.formatBytes(textureSize)} VRAM)`, 'info');
             return texture;
         } catch (error) {
+            if (texture) texture.destroy();
             this.log(`🚨 WebGPU texture allocation failed: ${error.message}`, 'error');
+            this.recordAllocationFailure('texture', textureSize, startedAt, error);
             throw error;
         }
     }
 
+    /**
+     * Commit a depth texture by clearing every mip level and layer.
+     * Depth formats cannot be written by copies.
+     * @param {GPUTexture} texture - Depth texture
+     * @param {Array} levels - Mip levels from describeTexture
+     */
+    clearDepthTexture(texture, levels) {
+        const commandEncoder = this.device.createCommandEncoder();
+        for (const level of levels) {
+            for (let layer = 0; layer < level.depthOrLayers; layer++) {
+                const renderPass = commandEncoder.beginRenderPass({
+                    colorAttachments: [],
+                    depthStencilAttachment: {
+                        view: texture.createView({
+                            dimension: '2d',
+                            baseMipLevel: level.level,
+                            mipLevelCount: 1,
+                            baseArrayLayer: layer,
+                            arrayLayerCount: 1
+                        }),
+                        depthClearValue: Math.random(),
+                        depthLoadOp: 'clear',
+                        depthStoreOp: 'store'
+                    }
+                });
+                renderPass.end();
+            }
+        }
+        this.device.queue.submit([commandEncoder.finish()]);
+    }
+
+    /**
+     * Describe the adapter for reports
+     */
+    getDeviceInfo() {
+        const info = this.adapterInfo || {};
+        return {
+            vendor: info.vendor || '',
+            architecture: info.architecture || '',
+            device: info.device || '',
+            description: info.description || ''
+        };
+    }
+
+    /**
+     * Get every adapter limit for reports
+     */
+    getLimits() {
+        const limits = {};
+        if (!this.adapter) return limits;
+        
+        for (const name in this.adapter.limits) {
+            limits[name] = this.adapter.limits[name];
+        }
+        return limits;
+    }
+
+    /**
+     * Get the limits advertised by the adapter
+     * @returns {Object} { maxBufferSize, maxTextureDimension }
+     */
+    getAdvertisedLimits() {
+        const limits = this.adapter.limits;
+        return {
+            maxBufferSize: limits.maxBufferSize,
+            maxTextureDimension: limits.maxTextureDimension2D
+        };
+    }
+
+    /**
+     * Copy a region of a buffer into a staging buffer and read it back
+     * @param {GPUBuffer} buffer - Buffer with COPY_SRC usage
+     * @param {number} offset - Byte offset, multiple of 4
+     * @param {number} length - Byte length, multiple of 4
+     * @returns {Promise<Uint8Array>} Bytes read back
+     */
+    async readBufferRegion(buffer, offset, length) {
+        // Readback buffers can't be copied from, but can be mapped directly
+        if (buffer.usage & GPUBufferUsage.MAP_READ) {
+            await buffer.mapAsync(GPUMapMode.READ, offset, length);
+            const bytes = new Uint8Array(buffer.getMappedRange(offset, length)).slice();
+            buffer.unmap();
+            return bytes;
+        }
+        
+        let staging = null;
+        try {
+            await this.withErrorScopes(() => {
+                staging = this.device.createBuffer({
+                    size: length,
+                    usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST
+                });
+                const commandEncoder = this.device.createCommandEncoder();
+                commandEncoder.copyBufferToBuffer(buffer, offset, staging, 0, length);
+                this.device.queue.submit([commandEncoder.finish()]);
+            });
+            
+            await staging.mapAsync(GPUMapMode.READ);
+            const bytes = new Uint8Array(staging.getMappedRange()).slice();
+            staging.unmap();
+            return bytes;
+        } finally {
+            if (staging) staging.destroy();
+        }
+    }
+
+    /**
+     * Copy a single block row of a texture's first image into a staging buffer and read it back
+     * @param {GPUTexture} texture - Texture with COPY_SRC usage
+     * @param {number} x - First pixel column, a multiple of the block width
+     * @param {number} y - First pixel row, a multiple of the block height
+     * @param {number} width - Pixel count, a multiple of the block width
+     * @param {string} format - Texture format (defaults to rgba8unorm)
+     * @returns {Promise<Uint8Array>} Bytes read back
+     */
+    async readTextureRow(texture, x, y, width, format = DEFAULT_TEXTURE_FORMAT) {
+        const { blockHeight } = getTextureFormat(format);
+        const rowBytes = textureImageLayout(format, width, blockHeight).bytesPerRow;
+        // bytesPerRow must be a multiple of 256
+        const bytesPerRow = Math.ceil(rowBytes / 256) * 256;
+        let staging = null;
+        try {
+            await this.withErrorScopes(() => {
+                staging = this.device.createBuffer({
+                    size: bytesPerRow,
+                    usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST
+                });
+                const commandEncoder = this.device.createCommandEncoder();
+                commandEncoder.copyTextureToBuffer(
+                    { texture, origin: { x, y, z: 0 } },
+                    { buffer: staging, bytesPerRow },
+                    { width, height: blockHeight, depthOrArrayLayers: 1 }
+                );
+                this.device.queue.submit([commandEncoder.finish()]);
+            });
+            
+            await staging.mapAsync(GPUMapMode.READ);
+            const bytes = new Uint8Array(staging.getMappedRange(), 0, rowBytes).slice();
+            staging.unmap();
+            return bytes;
+        } finally {
+            if (staging) staging.destroy();
+        }
+    }
+
+    /**
+     * Read back a verification sample recorded at upload
+     * @param {GPUBuffer|GPUTexture} resource - Allocated resource
+     * @param {Object} info - Resource description
+     * @param {Object} sample - Buffer { offset, length } or texture { y } sample
+     * @returns {Promise<Uint8Array>} Bytes read back
+     */
+    async readSample(resource, info, sample) {
+        if (info.kind === 'buffer') {
+            return this.readBufferRegion(resource, sample.offset, sample.length);
+        }
+        return this.readTextureRow(resource, 0, sample.y, info.width, info.format);
+    }
+
+    /**
+     * Try to create, fill and verify a buffer, then release it
+     * @param {number} size - Buffer size in bytes, multiple of 4
+     * @returns {Promise<boolean>} True if the buffer was usable
+     */
+    async probeBuffer(size) {
+        let buffer = null;
+        try {
+            const chunk = createRandomBufferData(Math.min(size, PROBE_CHUNK_SIZE));
+            
+            await this.withErrorScopes(() => {
+                buffer = this.device.createBuffer({
+                    size,
+                    usage: GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST
+                });
+                for (let offset = 0; offset < size; offset += chunk.byteLength) {
+                    this.device.queue.writeBuffer(buffer, offset, chunk, 0, Math.min(chunk.byteLength, size - offset));
+                }
+            });
+            
+            // The tail is written last, so it is the most likely to be missing
+            const sampleLength = Math.min(256, size);
+            const sampleOffset = size - sampleLength;
+            const sample = await this.readBufferRegion(buffer, sampleOffset, sampleLength);
+            return matchesPattern(sample, chunk, sampleOffset);
+        } catch (error) {
+            this.log(`   ${this.formatBytes(size)} buffer failed: ${error.message}`, 'warning');
+            return false;
+        } finally {
+            if (buffer) buffer.destroy();
+            await this.device.queue.onSubmittedWorkDone();
+        }
+    }
+
+    /**
+     * Try to create, fill and verify a square rgba8unorm texture, then release it
+     * @param {number} dimension - Texture width and height in pixels
+     * @returns {Promise<boolean>} True if the texture was usable
+     */
+    async probeTexture(dimension) {
+        let texture = null;
+        try {
+            const rowsPerChunk = Math.max(1, Math.min(dimension, Math.floor(PROBE_CHUNK_SIZE / (dimension * 4))));
+            const chunk = createRandomTextureData(dimension, rowsPerChunk);
+            
+            await this.withErrorScopes(() => {
+                texture = this.device.createTexture({
+                    size: [dimension, dimension, 1],
+                    format: 'rgba8unorm',
+                    usage: GPUTextureUsage.COPY_SRC | GPUTextureUsage.COPY_DST
+                });
+                for (let y = 0; y < dimension; y += rowsPerChunk) {
+                    const rows = Math.min(rowsPerChunk, dimension - y);
+                    this.device.queue.writeTexture(
+                        { texture, origin: { x: 0, y, z: 0 } },
+                        chunk,
+                        { bytesPerRow: dimension * 4, rowsPerImage: rowsPerChunk },
+                        { width: dimension, height: rows, depthOrArrayLayers: 1 }
+                    );
+                }
+            });
+            
+            // Sample the bottom-right corner, which is written last
+            const sampleWidth = Math.min(64, dimension);
+            const x = dimension - sampleWidth;
+            const y = dimension - 1;
+            const sample = await this.readTextureRow(texture, x, y, sampleWidth);
+            return matchesPattern(sample, chunk, ((y % rowsPerChunk) * dimension + x) * 4);
+        } catch (error) {
+            this.log(`   ${dimension}x${dimension} texture failed: ${error.message}`, 'warning');
+            return false;
+        } finally {
+            if (texture) texture.destroy();
+            await this.device.queue.onSubmittedWorkDone();
+        }
+    }
+
+    /**
+     * Destroy one buffer or texture
+     * @param {GPUBuffer|GPUTexture} resource - Resource to release
+     */
+    releaseResource(resource) {
+        try {
+            resource.destroy();
+        } catch (e) {
+            console.warn('Failed to destroy resource:', e);
+        }
+        this.forgetResource(resource);
+    }
+
+    /**
+     * Release every allocation, then destroy the device
+     */
+    dispose() {
+        super.dispose();
+        if (this.renderer && this.renderer.context) {
+            this.renderer.context.unconfigure();
+        }
+        // Deliberate destruction is ignored by the device lost handler
+        this.device?.destroy();
+        this.renderer = null;
+        this.toucher = null;
+        this.device = null;
+        this.adapter = null;
+    }
+
     /**
      * Clear all allocated memory
      */
@@ -195,10 +744,7 @@ export class WebGPUMemoryBenchmark extends BaseBenchmark {
             }
         });
         
-        this.buffers = [];
-        this.textures = [];
-        this.allocatedMemory = 0;
-        this.updateMetrics();
+        this.forgetResources();
         
         // Clear the canvas
         if (this.renderer) {
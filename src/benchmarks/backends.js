@@ -0,0 +1,51 @@
+import { BaseBenchmark, BACKEND_METHODS } from '../core/BaseBenchmark.js';
+import { WebGPUMemoryBenchmark } from './WebGPUMemoryBenchmark.js';
+import { WebGL2MemoryBenchmark } from './WebGL2MemoryBenchmark.js';
+import { SimulatedMemoryBenchmark } from './SimulatedMemoryBenchmark.js';
+import { CombinedMemoryBenchmark } from './CombinedMemoryBenchmark.js';
+
+const BACKENDS = new Map();
+
+/**
+ * Make a backend available under a name
+ * @param {string} name - Backend name, e.g. 'webgpu'
+ * @param {Function} Backend - BaseBenchmark subclass implementing every method in BACKEND_METHODS
+ */
+export function registerBackend(name, Backend) {
+    if (!(Backend.prototype instanceof BaseBenchmark)) {
+        throw new Error(`Backend "${name}" must extend BaseBenchmark`);
+    }
+    const missing = BACKEND_METHODS.filter(method => Backend.prototype[method] === BaseBenchmark.prototype[method]);
+    if (missing.length > 0) {
+        throw new Error(`Backend "${name}" does not implement ${missing.join(', ')}`);
+    }
+    BACKENDS.set(name, Backend);
+}
+
+/**
+ * Names of the registered backends
+ * @returns {Array<string>} Backend names in registration order
+ */
+export function backendNames() {
+    return [...BACKENDS.keys()];
+}
+
+/**
+ * Create a backend by name
+ * @param {string} name - Registered backend name
+ * @param {Object} options - Constructor options ({ canvas }, plus { simulation } for the simulated backend
+ *                           and { webgl2Canvas } for the combined one)
+ * @returns {BaseBenchmark} New backend instance
+ */
+export function createBackend(name, options = {}) {
+    const Backend = BACKENDS.get(name);
+    if (!Backend) {
+        throw new Error(`Unknown backend "${name}"; expected one of ${backendNames().join(', ')}`);
+    }
+    return new Backend(options);
+}
+
+registerBackend('webgpu', WebGPUMemoryBenchmark);
+registerBackend('webgl2', WebGL2MemoryBenchmark);
+registerBackend('simulated', SimulatedMemoryBenchmark);
+registerBackend('combined', CombinedMemoryBenchmark);
@@ -0,0 +1,26 @@
+/**
+ * Failure classifications reported as the outcome of a run
+ */
+export const FailureType = {
+    OUT_OF_MEMORY: 'out-of-memory',
+    VALIDATION: 'validation',
+    DEVICE_LOST: 'device-lost',
+    CONTEXT_LOST: 'context-lost',
+    INTERNAL: 'internal',
+    EXCEPTION: 'exception'
+};
+
+/**
+ * Error thrown when the GPU rejects an allocation
+ */
+export class AllocationError extends Error {
+    /**
+     * @param {string} type - One of FailureType
+     * @param {string} message - Error message
+     */
+    constructor(type, message) {
+        super(message);
+        this.name = 'AllocationError';
+        this.type = type;
+    }
+}
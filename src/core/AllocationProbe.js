@@ -0,0 +1,149 @@
+import { normalizeScenario } from '../scenarios/scenarioSchema.js';
+import { RunControl, RunStoppedError } from './RunControl.js';
+
+// Probe textures are RGBA8
+const TEXTURE_BYTES_PER_PIXEL = 4;
+
+/**
+ * Finds the largest single buffer and square texture a backend will actually deliver.
+ * Sizes are doubled until an attempt fails, then bisected between the last success
+ * and the first failure. Each attempt is created, uploaded, verified and released.
+ */
+export class AllocationProbe {
+    /**
+     * @param {BaseBenchmark} benchmark - Backend to probe
+     * @param {Object} scenario - Probe scenario object
+     * @param {RunControl} control - Stops or pauses the probe between attempts
+     */
+    constructor(benchmark, scenario, control = new RunControl()) {
+        this.benchmark = benchmark;
+        this.scenario = normalizeScenario(scenario);
+        this.control = control;
+        this.result = null;
+    }
+
+    /**
+     * Run the probe for each requested resource kind
+     */
+    async run() {
+        const benchmark = this.benchmark;
+        const probe = this.scenario.probe;
+        const advertised = benchmark.getAdvertisedLimits();
+
+        benchmark.startTest(this.scenario);
+        benchmark.log(`🔍 Probing largest single allocation...`, 'info');
+
+        this.result = { advertised };
+
+        try {
+            if (probe.kinds.includes('buffer')) {
+                // Buffer sizes must stay a multiple of 4 bytes
+                const limit = Math.floor(Math.min(advertised.maxBufferSize ?? Infinity, probe.maxBytes) / 4) * 4;
+                const largest = await this.search('buffer', probe.bufferStart, limit, probe.bufferPrecision,
+                    (size) => benchmark.probeBuffer(size));
+                this.result.maxBufferSize = largest;
+                this.report('buffer', largest, advertised.maxBufferSize, probe.bufferPrecision, size => benchmark.formatBytes(size));
+            }
+
+            if (probe.kinds.includes('texture') && benchmark.isRunning) {
+                // The largest square texture that stays within maxBytes
+                const limit = Math.min(advertised.maxTextureDimension ?? Infinity,
+                    Math.floor(Math.sqrt(probe.maxBytes / TEXTURE_BYTES_PER_PIXEL)));
+                const largest = await this.search('texture', probe.textureStart, limit, probe.texturePrecision,
+                    (dimension) => benchmark.probeTexture(dimension));
+                this.result.maxTextureDimension = largest;
+                this.report('texture', largest, advertised.maxTextureDimension, probe.texturePrecision, dimension => `${dimension}x${dimension}px`);
+            }
+        } catch (error) {
+            if (error instanceof RunStoppedError) {
+                benchmark.log(`⏹️ ${error.message}, stopping probe`, 'warning');
+            } else {
+                benchmark.log(`💥 Probe failed: ${error.message}`, 'error');
+            }
+        }
+
+        benchmark.probeResult = this.result;
+        benchmark.stopTest(this.control.stopReason, { cancelled: this.control.stopped });
+    }
+
+    /**
+     * Exponential search followed by bisection
+     * @param {string} kind - Resource kind, for logging and checkpoints
+     * @param {number} start - First size to try
+     * @param {number} limit - Largest size to try
+     * @param {number} precision - Stop bisecting when the bounds are this close
+     * @param {Function} attempt - async (size) => boolean
+     * @returns {Promise<number>} Largest size that succeeded, 0 if none did
+     */
+    async search(kind, start, limit, precision, attempt) {
+        let good = 0;
+        let bad = null;
+        let size = Math.min(start, limit);
+
+        // Grow until an attempt fails or the advertised limit is reached
+        while (bad === null) {
+            if (!await this.tryAttempt(kind, size, attempt)) {
+                bad = size;
+            } else {
+                good = size;
+                if (size >= limit) return good;
+                size = Math.min(size * 2, limit);
+            }
+        }
+
+        // Bisect between the last success and the first failure
+        while (bad - good > precision) {
+            const middle = this.align(good + (bad - good) / 2, precision);
+            if (middle <= good || middle >= bad) break;
+
+            if (await this.tryAttempt(kind, middle, attempt)) {
+                good = middle;
+            } else {
+                bad = middle;
+            }
+        }
+
+        return good;
+    }
+
+    /**
+     * Checkpoint and run a single attempt
+     */
+    async tryAttempt(kind, size, attempt) {
+        const benchmark = this.benchmark;
+        await this.control.waitWhilePaused();
+        this.control.throwIfStopped();
+        if (!benchmark.isRunning) throw new Error('Probe stopped');
+        benchmark.throwIfFailed();
+
+        const bytes = kind === 'buffer' ? size : size * size * TEXTURE_BYTES_PER_PIXEL;
+        const label = kind === 'buffer' ? benchmark.formatBytes(size) : `${size}x${size}px`;
+        await benchmark.checkpointAllocation(kind, bytes);
+
+        const startedAt = performance.now();
+        const success = await attempt(size);
+        benchmark.addTimelineEntry(kind, bytes, startedAt, success ? 'ok' : 'failed', `probe ${label}`);
+        benchmark.log(`   ${success ? '✅' : '❌'} ${kind} ${label}`, success ? 'info' : 'warning');
+        return success;
+    }
+
+    /**
+     * Round a size down to a multiple of the precision
+     */
+    align(size, precision) {
+        return Math.floor(size / precision) * precision;
+    }
+
+    /**
+     * Log the largest delivered size against the advertised limit
+     */
+    report(kind, largest, advertised, precision, format) {
+        const benchmark = this.benchmark;
+        const advertisedText = advertised ? format(advertised) : 'n/a';
+        benchmark.log(`📏 Largest ${kind}: ${largest ? format(largest) : 'none'} (advertised ${advertisedText})`, 'success');
+
+        if (advertised && advertised - largest > precision) {
+            benchmark.log(`⚠️ ${benchmark.apiName} advertises ${advertisedText} ${kind}s but only delivered ${largest ? format(largest) : 'none'}`, 'warning');
+        }
+    }
+}
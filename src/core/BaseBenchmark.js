@@ -1,41 +1,76 @@
 import { formatBytes, isIOSSafari } from '../utils/formatters.js';
+import { createDetachedCanvas } from '../utils/canvas.js';
+import { checksum, isZeroFilled } from '../utils/verification.js';
+import { RunCheckpoint } from './RunCheckpoint.js';
+import { AllocationError, FailureType } from './AllocationError.js';
+import { RunReport } from './RunReport.js';
+import { MemorySampler } from './MemorySampler.js';
+import { ALLOCATION_PHASES } from '../utils/latency.js';
 
 /**
- * Base class for benchmark implementations
- * Contains common functionality shared between WebGPU and WebGL2 benchmarks
+ * Methods every backend implements; see "Backend interface" below
  */
-export class BaseBenchmark {
-    constructor(apiName) {
+export const BACKEND_METHODS = [
+    'checkSupport', 'initialize', 'allocateBuffer', 'allocateTexture', 'releaseResource', 'clearMemory',
+    'supportsTextureFormat', 'getAdvertisedLimits', 'probeBuffer', 'probeTexture',
+    'readSample', 'touchBuffers', 'waitForIdle', 'startTextureDisplay'
+];
+
+/**
+ * Base class for benchmark backends
+ * Contains the bookkeeping shared by all backends (WebGPU, WebGL2, simulated) and never
+ * touches the DOM; hosts listen to its events instead:
+ * - 'log': { message, type, timestamp } for every log line
+ * - 'metrics': { allocatedMemory, bufferCount, textureCount, allocationRate } when totals change
+ * - 'runstate': { running } when a test starts or stops
+ * - 'timeline': whenever the current run report changes
+ * - 'failure': the failure record when a run's first failure is recorded
+ */
+export class BaseBenchmark extends EventTarget {
+    /**
+     * @param {string} apiName - Name shown in logs and reports
+     * @param {Object} options - { canvas } to render the texture display into,
+     *                           { logToConsole: false } to leave log lines to 'log' listeners only,
+     *                           { checkpointKey } to keep crash checkpoints apart from other benchmarks,
+     *                           { checkpointStorage } to keep them somewhere other than localStorage
+     */
+    constructor(apiName, options = {}) {
+        super();
         this.apiName = apiName;
+        // What one instance holds, in logs and multi-device results: a device, or a context for WebGL2
+        this.deviceLabel = 'device';
         this.buffers = [];
         this.textures = [];
+        // Per-resource description (format, size, ...) keyed by GPU resource
+        this.resourceInfo = new Map();
         this.allocatedMemory = 0;
         this.isRunning = false;
         this.startTime = null;
         this.lastAllocationTime = null;
+        this.checkpoint = new RunCheckpoint(options.checkpointStorage || globalThis.localStorage, options.checkpointKey);
+        this.failure = null;
+        this.report = null;
+        this.probeResult = null;
+        // Set by runners that fill until allocation fails on purpose: out-of-memory then
+        // rejects the allocation without becoming the run's failure
+        this.tolerateOutOfMemory = false;
+        this.logToConsole = options.logToConsole !== false;
+        // Seed for reproducible upload contents; each allocation derives its own from it
+        this.seed = 0;
+        this.seedIndex = 0;
         
-        // Rendering properties
-        this.canvas = null;
+        // Rendering properties; the canvas is handed in by whoever hosts the benchmark
+        this.canvas = options.canvas || null;
         this.context = null;
         this.currentTextureIndex = 0;
         this.renderInterval = null;
         
-        // UI elements (shared across implementations)
-        this.statusElement = document.getElementById('api-status');
-        this.startButton = document.getElementById('start-test');
-        this.stressButton = document.getElementById('stress-test');
-        this.clearButton = document.getElementById('clear-memory');
-        this.clearLogButton = document.getElementById('clear-log');
-        this.logElement = document.getElementById('log');
-        this.renderTitleElement = document.getElementById('render-title');
+        // Buffer touching keeps buffers in use so they can't be paged out while idle
+        this.touchInterval = null;
+        this.touchStats = null;
         
-        this.allocatedMemoryElement = document.getElementById('allocated-memory');
-        this.bufferCountElement = document.getElementById('buffer-count');
-        this.textureCountElement = document.getElementById('texture-count');
-        this.allocationRateElement = document.getElementById('allocation-rate');
-
-        // Get canvas for rendering
-        this.canvas = document.getElementById('render-canvas');
+        // Samples page memory alongside the GPU allocations while a test runs
+        this.memorySampler = null;
     }
 
     /**
@@ -53,51 +88,337 @@ export class BaseBenchmark {
     }
 
     /**
-     * Log message to UI and console
+     * Log message to console and to 'log' listeners
      * @param {string} message - Message to log
      * @param {string} type - Message type (info, error, warning, success)
      */
     log(message, type = 'info') {
-        const timestamp = new Date().toLocaleTimeString();
-        const logEntry = document.createElement('div');
-        logEntry.textContent = `[${timestamp}] [${this.apiName}] ${message}`;
-        logEntry.className = type;
-        
-        this.logElement.appendChild(logEntry);
-        this.logElement.scrollTop = this.logElement.scrollHeight;
+        this.dispatchEvent(new CustomEvent('log', { detail: { message, type, timestamp: Date.now() } }));
+        if (this.logToConsole) {
+            console.log(`[${this.apiName} Benchmark] ${message}`);
+        }
         
-        console.log(`[${this.apiName} Benchmark] ${message}`);
+        if (this.report && this.isRunning && (type === 'warning' || type === 'error')) {
+            this.report.addEvent(type, message);
+            this.dispatchEvent(new CustomEvent('timeline'));
+        }
     }
 
     /**
-     * Update metrics display
+     * Notify 'metrics' listeners of the current totals
      */
     updateMetrics() {
-        this.allocatedMemoryElement.textContent = this.formatBytes(this.allocatedMemory);
-        this.bufferCountElement.textContent = this.buffers.length.toString();
-        this.textureCountElement.textContent = this.textures.length.toString();
-        
+        this.dispatchEvent(new CustomEvent('metrics', { detail: this.getMetrics() }));
+    }
+
+    /**
+     * Current totals plus the allocation rate of the run in MB/s (null before the first run)
+     */
+    getMetrics() {
+        let allocationRate = null;
         if (this.lastAllocationTime && this.startTime) {
             const timeDiff = (Date.now() - this.startTime) / 1000;
-            const rate = timeDiff > 0 ? (this.allocatedMemory / (1024 * 1024)) / timeDiff : 0;
-            this.allocationRateElement.textContent = `${rate.toFixed(2)} MB/s`;
+            allocationRate = timeDiff > 0 ? (this.allocatedMemory / (1024 * 1024)) / timeDiff : 0;
+        }
+        return { ...this.getTotals(), allocationRate };
+    }
+
+    /**
+     * Checkpoint current totals before an allocation is attempted
+     * @param {string} kind - Resource kind ('buffer' or 'texture')
+     * @param {number} size - Size of the allocation in bytes
+     * @returns {Promise} Resolves once the checkpoint is stored, so the allocation can start
+     */
+    async checkpointAllocation(kind, size) {
+        this.checkpoint.update(this.getTotals(), { kind, size });
+        await this.checkpoint.written();
+    }
+
+    /**
+     * Checkpoint current totals after an allocation succeeded
+     */
+    checkpointTotals() {
+        this.checkpoint.update(this.getTotals());
+    }
+
+    /**
+     * Get current allocation totals
+     */
+    getTotals() {
+        return {
+            allocatedMemory: this.allocatedMemory,
+            bufferCount: this.buffers.length,
+            textureCount: this.textures.length
+        };
+    }
+
+    /**
+     * Track a successful allocation and add it to the run's timeline
+     * @param {string} kind - Resource kind ('buffer' or 'texture')
+     * @param {*} resource - GPU resource
+     * @param {number} size - Size in bytes
+     * @param {number} startedAt - performance.now() when the allocation started
+     * @param {Object} info - Resource description; info.description and info.phases (PhaseTimer phases)
+     *                      are added to the timeline
+     */
+    recordAllocation(kind, resource, size, startedAt, info = {}) {
+        (kind === 'buffer' ? this.buffers : this.textures).push(resource);
+        this.resourceInfo.set(resource, { kind, size, ...info });
+        this.allocatedMemory += size;
+        this.lastAllocationTime = Date.now();
+        this.updateMetrics();
+        this.checkpointTotals();
+        this.addTimelineEntry(kind, size, startedAt, 'ok', info.description || '', info.phases);
+    }
+
+    /**
+     * Seed for the next allocation's contents, derived from the run seed
+     * @returns {number} 32-bit seed
+     */
+    nextSeed() {
+        return (this.seed + Math.imul(this.seedIndex++, 0x9E3779B9)) >>> 0;
+    }
+
+    /**
+     * Read back sampled regions of every allocation and compare them with the
+     * checksums taken at upload. Allocations without samples are skipped.
+     * @returns {Promise<Object>} { verified, corrupted, missing, skipped, problems }
+     */
+    async verifyResidency() {
+        const resources = [...this.buffers, ...this.textures];
+        const result = { verified: 0, corrupted: 0, missing: 0, skipped: 0, problems: [] };
+        this.log(`🔎 Verifying ${resources.length} allocations by reading them back...`, 'info');
+        
+        for (const resource of resources) {
+            const info = this.resourceInfo.get(resource);
+            if (!info || !info.samples) {
+                result.skipped++;
+                continue;
+            }
+            
+            const { status, detail } = await this.verifyResource(resource, info);
+            result[status]++;
+            if (status !== 'verified') {
+                result.problems.push({ kind: info.kind, size: info.size, description: info.description || '', status, detail });
+                this.log(`❌ ${status === 'missing' ? 'Missing' : 'Corrupted'} ${info.kind} ` +
+                    `${info.description || this.formatBytes(info.size)}: ${detail}`, 'error');
+            }
+        }
+        
+        this.log(`🔎 Verification: ${result.verified} intact, ${result.corrupted} corrupted, ` +
+            `${result.missing} missing, ${result.skipped} not verifiable`,
+            result.corrupted || result.missing ? 'warning' : 'success');
+        this.report?.setVerification(result);
+        this.dispatchEvent(new CustomEvent('timeline'));
+        return result;
+    }
+
+    /**
+     * Compare one allocation's samples with what reads back
+     * @returns {Promise<Object>} { status: 'verified' | 'corrupted' | 'missing', detail }
+     */
+    async verifyResource(resource, info) {
+        for (const sample of info.samples) {
+            let bytes;
+            try {
+                bytes = await this.readSample(resource, info, sample);
+            } catch (error) {
+                return { status: 'missing', detail: `read back failed: ${error.message}` };
+            }
+            
+            if (checksum(bytes) !== sample.checksum) {
+                const where = info.kind === 'buffer' ? `offset ${sample.offset}` : `row ${sample.y}`;
+                return isZeroFilled(bytes)
+                    ? { status: 'missing', detail: `${where} reads back as zeros` }
+                    : { status: 'corrupted', detail: `${where} does not match its upload checksum` };
+            }
         }
+        return { status: 'verified' };
+    }
+
+    /**
+     * Drop all resource bookkeeping after the resources were released or lost
+     */
+    forgetResources() {
+        // During a run, each resource leaves the timeline as freed
+        const now = performance.now();
+        this.resourceInfo.forEach(info => {
+            this.allocatedMemory -= info.size;
+            this.addTimelineEntry(info.kind, info.size, now, 'freed', info.description || '');
+        });
+        this.buffers = [];
+        this.textures = [];
+        this.resourceInfo.clear();
+        this.allocatedMemory = 0;
+        this.updateMetrics();
+    }
+
+    /**
+     * Drop one resource's bookkeeping after it was released, adding the release to the timeline
+     * @param {*} resource - GPU resource
+     */
+    forgetResource(resource) {
+        const info = this.resourceInfo.get(resource);
+        if (!info) return;
+
+        const resources = info.kind === 'buffer' ? this.buffers : this.textures;
+        resources.splice(resources.indexOf(resource), 1);
+        this.resourceInfo.delete(resource);
+        this.allocatedMemory -= info.size;
+        this.updateMetrics();
+        this.checkpointTotals();
+        this.addTimelineEntry(info.kind, info.size, performance.now(), 'freed', info.description || '');
+    }
+
+    /**
+     * Textures the grid display can sample (plain 2D RGBA8)
+     * @returns {Array} Displayable textures
+     */
+    getDisplayTextures() {
+        return this.textures.filter(texture => {
+            const info = this.resourceInfo.get(texture);
+            return !info || info.displayable;
+        });
+    }
+
+    /**
+     * Add a failed allocation to the timeline and record it as the run's failure
+     * @param {string} kind - Resource kind ('buffer' or 'texture')
+     * @param {number} size - Size in bytes
+     * @param {number} startedAt - performance.now() when the allocation started
+     * @param {Error} error - Error thrown by the allocation
+     */
+    recordAllocationFailure(kind, size, startedAt, error) {
+        this.addTimelineEntry(kind, size, startedAt, 'failed', error.message);
+        if (this.tolerateOutOfMemory && error instanceof AllocationError && error.type === FailureType.OUT_OF_MEMORY) {
+            return;
+        }
+        this.recordAllocationError(error);
+    }
+
+    /**
+     * Add an entry to the current run report's timeline
+     * @param {Object|null} phases - Milliseconds per allocation phase, from a PhaseTimer
+     */
+    addTimelineEntry(kind, size, startedAt, status, detail, phases = null) {
+        if (!this.report || !this.isRunning) return;
+
+        this.report.addAllocation({
+            kind,
+            size,
+            cumulativeBytes: this.allocatedMemory,
+            latencyMs: performance.now() - startedAt,
+            status,
+            detail,
+            ...(phases && { phases })
+        });
+        this.dispatchEvent(new CustomEvent('timeline'));
+    }
+
+    /**
+     * Record the first failure of the current run; later failures are only logged
+     * @param {string} type - One of FailureType
+     * @param {string} message - Failure description
+     */
+    recordFailure(type, message) {
+        if (this.failure) {
+            this.log(`⚠️ Further ${type} error: ${message}`, 'warning');
+            return;
+        }
+
+        this.failure = {
+            type,
+            message,
+            time: Date.now(),
+            ...this.getTotals()
+        };
+        this.log(`🎯 First failure (${type}) at ${this.formatBytes(this.allocatedMemory)}: ${message}`, 'error');
+        this.dispatchEvent(new CustomEvent('failure', { detail: this.failure }));
+    }
+
+    /**
+     * Record an error thrown by an allocation as the run's failure
+     * @param {Error} error - Error thrown by the allocation
+     */
+    recordAllocationError(error) {
+        const type = error instanceof AllocationError ? error.type : FailureType.EXCEPTION;
+        this.recordFailure(type, error.message);
+    }
+
+    /**
+     * Refuse further allocations once a failure has been recorded
+     */
+    throwIfFailed() {
+        if (this.failure) {
+            throw new AllocationError(this.failure.type, `${this.apiName} already failed: ${this.failure.message}`);
+        }
+    }
+
+    /**
+     * Start a new test
+     * @param {Object} scenario - Normalized scenario being run
+     */
+    startTest(scenario) {
+        this.isRunning = true;
+        this.startTime = Date.now();
+        this.lastAllocationTime = Date.now();
+        this.failure = null;
+        this.probeResult = null;
+        this.seed = scenario.seed ?? 0;
+        this.seedIndex = 0;
+        this.report = new RunReport({
+            api: this.apiName,
+            device: this.getDeviceInfo(),
+            limits: this.getLimits(),
+            scenario
+        });
+        
+        this.checkpoint.begin(this.apiName, scenario.id, this.getTotals());
+        if (scenario.memorySampling) {
+            this.startMemorySampling(scenario.memorySampling.intervalMs);
+        }
+        this.dispatchEvent(new CustomEvent('runstate', { detail: { running: true } }));
+        this.dispatchEvent(new CustomEvent('timeline'));
     }
 
     /**
      * Stop the current test
+     * @param {string|null} stopReason - Why the run stopped, if not by failure
+     * @param {Object} options - { cancelled: true } when the run was stopped through its RunControl
      */
-    stopTest() {
+    stopTest(stopReason = null, { cancelled = false } = {}) {
+        const outcome = this.failure ? this.failure.type : (cancelled ? 'stopped' : 'completed');
+        this.checkpoint.finish(outcome);
+        this.stopMemorySampling();
+        this.report?.finish({
+            failure: this.failure,
+            outcome,
+            stopReason,
+            totals: this.getTotals(),
+            probe: this.probeResult
+        });
+        this.dispatchEvent(new CustomEvent('timeline'));
         this.isRunning = false;
-        this.startButton.disabled = false;
-        this.stressButton.disabled = false;
+        this.dispatchEvent(new CustomEvent('runstate', { detail: { running: false } }));
         
         this.stopTextureDisplay();
+        this.stopBufferTouching();
         
         const duration = (Date.now() - this.startTime) / 1000;
         this.log(`⏱️ Test completed in ${duration.toFixed(2)} seconds`, 'info');
         this.log(`📈 Final allocation: ${this.formatBytes(this.allocatedMemory)}`, 'info');
         this.log(`📊 Total buffers: ${this.buffers.length}, Total textures: ${this.textures.length}`, 'info');
+        this.logMemoryPeaks();
+        this.logLatency();
+        
+        if (this.failure) {
+            this.log(`🏁 Result: ${this.failure.type} at ${this.formatBytes(this.failure.allocatedMemory)} ` +
+                `(${this.failure.bufferCount} buffers, ${this.failure.textureCount} textures)`, 'warning');
+        } else if (cancelled) {
+            this.log(`🏁 Result: stopped (${stopReason})`, 'warning');
+        } else {
+            this.log('🏁 Result: completed without allocation failure', 'success');
+        }
         
         if (this.textures.length > 0) {
             this.log(`💡 Use "Clear Memory" to free allocated resources.`, 'info');
@@ -114,11 +435,183 @@ export class BaseBenchmark {
         }
     }
 
-    // Abstract methods to be implemented by subclasses
+    /**
+     * Read every allocated buffer on the GPU at a fixed interval
+     * @param {number} intervalMs - Time between touch passes
+     */
+    startBufferTouching(intervalMs) {
+        this.stopBufferTouching();
+        this.touchStats = { intervalMs, passes: 0, lastPass: null, lastDurationMs: 0 };
+        
+        // Skip ticks while a pass is still running rather than queueing them up
+        let busy = false;
+        this.touchInterval = setInterval(async () => {
+            if (busy || this.buffers.length === 0) return;
+            busy = true;
+            const startedAt = performance.now();
+            try {
+                this.touchStats.lastPass = await this.touchBuffers();
+                this.touchStats.lastDurationMs = performance.now() - startedAt;
+                this.touchStats.passes++;
+            } catch (error) {
+                console.warn('Buffer touch pass failed:', error);
+            } finally {
+                busy = false;
+            }
+        }, intervalMs);
+        
+        this.log(`👆 Touching every buffer each ${intervalMs}ms to keep it resident`, 'info');
+    }
+
+    /**
+     * Stop touching buffers and log what the last pass covered
+     */
+    stopBufferTouching() {
+        if (!this.touchInterval) return;
+        clearInterval(this.touchInterval);
+        this.touchInterval = null;
+        
+        const { passes, lastPass, lastDurationMs } = this.touchStats;
+        if (lastPass) {
+            const skipped = lastPass.skipped ? `, ${lastPass.skipped} not GPU-readable` : '';
+            this.log(`👆 ${passes} touch passes; the last read ${this.formatBytes(lastPass.bytes)} from ` +
+                `${lastPass.touched} buffers in ${lastDurationMs.toFixed(1)}ms${skipped} ` +
+                `(checksum 0x${lastPass.checksum.toString(16).padStart(8, '0')})`, 'info');
+        }
+    }
+
+    /**
+     * Sample JS heap, page and staging memory into the run report at a fixed interval
+     * @param {number} intervalMs - Time between samples
+     */
+    startMemorySampling(intervalMs) {
+        this.stopMemorySampling();
+        this.memorySampler = new MemorySampler(() => this.allocatedMemory);
+        const { sources } = this.memorySampler;
+        this.report?.setMemory({ intervalMs, sources });
+        
+        const names = [
+            sources.jsHeap && 'JS heap',
+            sources.userAgent && 'page memory',
+            sources.staging && 'upload arrays'
+        ].filter(Boolean);
+        const isolation = sources.userAgent ? '' : '; page memory needs cross-origin isolation (COOP/COEP headers)';
+        this.log(`🧠 Sampling ${names.length > 0 ? names.join(', ') : 'GPU totals only'} every ${intervalMs}ms${isolation}`, 'info');
+        
+        this.memorySampler.start(intervalMs, (sample) => {
+            if (!this.report || !this.isRunning) return;
+            this.report.addMemorySample(sample);
+            this.dispatchEvent(new CustomEvent('timeline'));
+        });
+    }
+
+    /**
+     * Take a last memory sample and stop sampling
+     */
+    stopMemorySampling() {
+        if (!this.memorySampler) return;
+        this.memorySampler.stop();
+        this.memorySampler = null;
+    }
+
+    /**
+     * Log the highest memory readings of the finished run next to its GPU peak
+     */
+    logMemoryPeaks() {
+        const peaks = this.report?.memory?.peaks;
+        if (!peaks) return;
+        
+        const readings = [
+            ['JS heap', peaks.jsHeapUsedBytes],
+            ['page', peaks.userAgentBytes],
+            ['upload arrays', peaks.stagingBytes]
+        ].filter(([, bytes]) => bytes !== null).map(([name, bytes]) => `${name} ${this.formatBytes(bytes)}`);
+        if (readings.length === 0) return;
+        this.log(`🧠 Memory peaks: ${readings.join(', ')}, GPU ${this.formatBytes(peaks.gpuBytes ?? 0)}`, 'info');
+    }
+
+    /**
+     * Log the p50/p95/p99 latency of the finished run's allocations, in total and per measured phase
+     */
+    logLatency() {
+        const latency = this.report?.latency;
+        if (!latency) return;
+        
+        const parts = ['total', ...ALLOCATION_PHASES].filter(phase => latency.phases[phase]).map(phase => {
+            const { p50, p95, p99 } = latency.phases[phase];
+            return `${phase} ${[p50, p95, p99].map(ms => ms.toFixed(1)).join('/')}`;
+        });
+        this.log(`⏱️ Allocation latency p50/p95/p99 (ms): ${parts.join(', ')}`, 'info');
+    }
+
+    /**
+     * Whether the API was lost and can attempt recovery
+     */
+    canRecover() {
+        return false;
+    }
+
+    /**
+     * Attempt to recover a lost device or context
+     * @returns {Promise<boolean>} True if recovered
+     */
+    async recover() {
+        return false;
+    }
+
+    /**
+     * Create another instance of this backend with a device or context of its own. It renders to a
+     * detached canvas, so the page replacing its canvas does not affect it.
+     * @returns {BaseBenchmark} New backend, not yet initialized
+     */
+    createSibling() {
+        return new this.constructor({ canvas: createDetachedCanvas(256, 256), logToConsole: false });
+    }
+
+    /**
+     * Release every allocation and the device or context itself; the backend is unusable afterwards
+     */
+    dispose() {
+        this.stopBufferTouching();
+        this.stopMemorySampling();
+        if (this.initialized) {
+            this.clearMemory();
+        }
+        this.initialized = false;
+    }
+
+    /**
+     * Describe the adapter or renderer for reports
+     * @returns {Object} Device description
+     */
+    getDeviceInfo() {
+        return {};
+    }
+
+    /**
+     * Get the API limits for reports
+     * @returns {Object} Limit name to value
+     */
+    getLimits() {
+        return {};
+    }
+
+    // Backend interface: abstract methods every backend implements (listed in BACKEND_METHODS).
+    // Allocation methods record what they create through recordAllocation and failures through
+    // recordAllocationFailure, rejecting with an AllocationError typed by FailureType.
+
+    /**
+     * Whether the backend can run in this environment
+     * @returns {Promise<boolean>} True if supported
+     */
     async checkSupport() { 
         throw new Error('Must implement checkSupport'); 
     }
     
+    /**
+     * Acquire the device or context; safe to call again once initialized
+     * @returns {Promise<boolean>} True if ready for allocations
+     */
     async initialize() { 
         throw new Error('Must implement initialize'); 
     }
@@ -127,19 +620,102 @@ export class BaseBenchmark {
         throw new Error('Must implement initializeRendering'); 
     }
     
-    async allocateBuffer(size) { 
+    /**
+     * Allocate and fill a buffer
+     * @param {number} size - Size in bytes
+     * @param {Object} options - { usage, mappedAtCreation, hint, control }; a stopped control
+     *                           (RunControl) makes it throw RunStoppedError before allocating
+     */
+    async allocateBuffer(size, options = {}) { 
         throw new Error('Must implement allocateBuffer'); 
     }
     
-    async allocateTexture(width, height) { 
+    /**
+     * Allocate and fill a texture
+     * @param {number} width - Width in pixels
+     * @param {number} height - Height in pixels
+     * @param {Object} options - { format, mipLevels, layers, dimension, control }
+     */
+    async allocateTexture(width, height, options = {}) { 
         throw new Error('Must implement allocateTexture'); 
     }
     
+    /**
+     * Release one allocation and forget it (see forgetResource)
+     * @param {*} resource - Buffer or texture returned by allocateBuffer or allocateTexture
+     */
+    releaseResource(resource) { 
+        throw new Error('Must implement releaseResource'); 
+    }
+    
+    /**
+     * Release every allocation and forget it
+     */
     clearMemory() { 
         throw new Error('Must implement clearMemory'); 
     }
     
+    /**
+     * @param {string} format - WebGPU format name
+     * @returns {boolean} True if textures of this format can be allocated
+     */
+    supportsTextureFormat(format) { 
+        throw new Error('Must implement supportsTextureFormat'); 
+    }
+    
+    /**
+     * @returns {Object} { maxBufferSize, maxTextureDimension } as the API advertises them
+     */
+    getAdvertisedLimits() { 
+        throw new Error('Must implement getAdvertisedLimits'); 
+    }
+    
+    /**
+     * Try a single buffer allocation and release it again
+     * @param {number} size - Size in bytes
+     * @returns {Promise<boolean>} True if the allocation succeeded
+     */
+    async probeBuffer(size) { 
+        throw new Error('Must implement probeBuffer'); 
+    }
+    
+    /**
+     * Try a single square RGBA8 texture allocation and release it again
+     * @param {number} dimension - Width and height in pixels
+     * @returns {Promise<boolean>} True if the allocation succeeded
+     */
+    async probeTexture(dimension) { 
+        throw new Error('Must implement probeTexture'); 
+    }
+    
+    /**
+     * Read back one sample recorded at allocation
+     * @returns {Promise<Uint8Array>} Bytes now stored in the sampled region
+     */
+    async readSample(resource, info, sample) { 
+        throw new Error('Must implement readSample'); 
+    }
+    
+    /**
+     * Read every allocated buffer once
+     * @returns {Promise<Object>} { touched, skipped, bytes, checksum }
+     */
+    async touchBuffers() { 
+        throw new Error('Must implement touchBuffers'); 
+    }
+    
+    /**
+     * Resolve once the GPU has finished all work submitted so far, including releases
+     * @returns {Promise<void>}
+     */
+    async waitForIdle() { 
+        throw new Error('Must implement waitForIdle'); 
+    }
+    
+    /**
+     * Start showing allocated textures; must set renderInterval while the display runs
+     */
     startTextureDisplay() { 
         throw new Error('Must implement startTextureDisplay'); 
     }
-} 
\ No newline at end of file
+} 
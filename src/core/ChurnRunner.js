@@ -0,0 +1,201 @@
+import { ScenarioRunner } from './ScenarioRunner.js';
+import { RunControl, RunStoppedError } from './RunControl.js';
+import { createSeededRandom } from '../utils/formatters.js';
+
+/**
+ * Runs a churn scenario: holds a live set of mixed allocations at a target size while repeatedly
+ * freeing part of it and allocating replacements, and fills up to the ceiling every few cycles to
+ * see whether the freed memory came back. A ceiling that keeps dropping is flagged as a leak; one
+ * that drops and then levels off points at fragmentation.
+ */
+export class ChurnRunner extends ScenarioRunner {
+    /**
+     * @param {BaseBenchmark} benchmark - Backend to allocate from
+     * @param {Object} scenario - Churn scenario object
+     * @param {RunControl} control - Stops or pauses the run between allocations
+     */
+    constructor(benchmark, scenario, control = new RunControl()) {
+        super(benchmark, scenario, control);
+        // Free order and entry picks are seeded so a churn pattern can be replayed
+        this.random = createSeededRandom(this.scenario.seed);
+        this.entries = [...this.scenario.churn.allocations];
+        // Resources held by the churn, oldest first, as { resource, size }
+        this.live = [];
+        this.liveBytes = 0;
+        this.result = null;
+    }
+
+    /**
+     * Fill to the target, then churn for the configured number of cycles
+     */
+    async run() {
+        const benchmark = this.benchmark;
+        const churn = this.scenario.churn;
+        benchmark.startTest(this.scenario);
+        benchmark.log(`🔁 Starting churn "${this.scenario.name}": ${churn.cycles} cycles holding ` +
+            `${benchmark.formatBytes(churn.targetBytes)}, ${Math.round(churn.turnover * 100)}% turnover, ` +
+            `${churn.freeOrder} frees`, 'info');
+        if (this.scenario.touch) {
+            benchmark.startBufferTouching(this.scenario.touch.intervalMs);
+        }
+
+        this.result = {
+            targetBytes: churn.targetBytes,
+            cycles: 0,
+            allocated: 0,
+            freed: 0,
+            ceilings: [],
+            ceilingDrop: 0,
+            verdict: 'inconclusive'
+        };
+
+        try {
+            await this.refill();
+            await this.measureCeiling();
+
+            for (let cycle = 1; cycle <= churn.cycles; cycle++) {
+                await this.churnCycle();
+                this.result.cycles = cycle;
+
+                if (cycle === churn.cycles || (churn.measureEvery > 0 && cycle % churn.measureEvery === 0)) {
+                    await this.measureCeiling();
+                }
+                if (churn.delayMs > 0) {
+                    await this.control.sleep(churn.delayMs);
+                }
+            }
+        } catch (error) {
+            if (!(error instanceof RunStoppedError)) {
+                benchmark.log(`💥 Churn failed: ${error.message}`, 'error');
+            }
+        }
+
+        this.assess();
+        benchmark.report?.setChurn(this.result);
+        await this.finish();
+    }
+
+    /**
+     * Free part of the live set, then allocate replacements up to the target
+     */
+    async churnCycle() {
+        const { targetBytes, turnover } = this.scenario.churn;
+        const keepBytes = targetBytes * (1 - turnover);
+
+        while (this.live.length > 0 && this.liveBytes > keepBytes) {
+            await this.checkControl();
+            this.free(this.pickVictim());
+        }
+        await this.refill();
+    }
+
+    /**
+     * Allocate randomly picked entries until the live set reaches the target
+     */
+    async refill() {
+        const targetBytes = this.scenario.churn.targetBytes;
+
+        while (this.liveBytes < targetBytes) {
+            await this.checkControl();
+            const entry = this.entries[Math.floor(this.random() * this.entries.length)];
+            const promise = this.allocate(entry);
+            if (!promise) {
+                this.entries.splice(this.entries.indexOf(entry), 1);
+                if (this.entries.length === 0) {
+                    throw new Error('No churn allocation is supported');
+                }
+                continue;
+            }
+
+            const resource = await promise;
+            const size = this.benchmark.resourceInfo.get(resource).size;
+            this.live.push({ resource, size });
+            this.liveBytes += size;
+            this.result.allocated++;
+        }
+        this.showTextures();
+    }
+
+    /**
+     * Index of the next live resource to free, following the scenario's free order
+     */
+    pickVictim() {
+        switch (this.scenario.churn.freeOrder) {
+            case 'oldest': return 0;
+            case 'newest': return this.live.length - 1;
+            default: return Math.floor(this.random() * this.live.length);
+        }
+    }
+
+    /**
+     * Release a live resource
+     * @param {number} index - Index into the live set
+     */
+    free(index) {
+        const [{ resource, size }] = this.live.splice(index, 1);
+        this.liveBytes -= size;
+        this.result.freed++;
+        this.benchmark.releaseResource(resource);
+    }
+
+    /**
+     * Fill with buffers until allocation fails or maxBytes is held, note how much was held,
+     * and release the filler again
+     */
+    async measureCeiling() {
+        const benchmark = this.benchmark;
+        const { fillSize, maxBytes } = this.scenario.churn;
+        const { buffers, exhausted: reached } = await this.fill(maxBytes, fillSize);
+
+        const ceiling = benchmark.allocatedMemory;
+        buffers.forEach(buffer => benchmark.releaseResource(buffer));
+
+        const previous = this.result.ceilings[this.result.ceilings.length - 1];
+        this.result.ceilings.push({ cycle: this.result.cycles, ceiling, reached, liveBytes: this.liveBytes });
+
+        let change = '';
+        if (previous) {
+            const delta = ceiling - previous.ceiling;
+            change = `, ${delta < 0 ? '-' : '+'}${benchmark.formatBytes(Math.abs(delta))} since cycle ${previous.cycle}`;
+        }
+        const limit = reached ? '' : ` (held ${benchmark.formatBytes(maxBytes)} limit without failing)`;
+        benchmark.log(`📏 Cycle ${this.result.cycles} ceiling: ${benchmark.formatBytes(ceiling)}${limit}${change}`, 'info');
+    }
+
+    /**
+     * Compare the ceilings that were actually reached: a ceiling more than leakTolerance below the
+     * first one is a leak if it was still falling over the second half of the run, fragmentation if
+     * it had levelled off. Drops within one fill buffer are measurement noise.
+     */
+    assess() {
+        const benchmark = this.benchmark;
+        const { leakTolerance, fillSize } = this.scenario.churn;
+        const ceilings = this.result.ceilings.filter(measurement => measurement.reached).map(measurement => measurement.ceiling);
+
+        if (ceilings.length < 3) {
+            benchmark.log(`📏 ${ceilings.length} ceiling measurements reached a failure; at least 3 are needed to judge leaks`, 'info');
+            return;
+        }
+
+        const first = ceilings[0];
+        const middle = ceilings[Math.floor((ceilings.length - 1) / 2)];
+        const last = ceilings[ceilings.length - 1];
+        const drop = first - last;
+        const percent = (drop / first * 100).toFixed(1);
+        this.result.ceilingDrop = drop;
+
+        if (drop <= fillSize || drop / first <= leakTolerance) {
+            this.result.verdict = 'steady';
+            benchmark.log(`✅ Ceiling held across ${ceilings.length} measurements ` +
+                `(${benchmark.formatBytes(first)} → ${benchmark.formatBytes(last)})`, 'success');
+        } else if (middle - last > fillSize) {
+            this.result.verdict = 'leak';
+            benchmark.log(`🚰 Possible leak: the ceiling fell ${benchmark.formatBytes(drop)} (${percent}%) over ` +
+                `${this.result.cycles} cycles and was still falling`, 'warning');
+        } else {
+            this.result.verdict = 'fragmentation';
+            benchmark.log(`🧩 The ceiling fell ${benchmark.formatBytes(drop)} (${percent}%) and then levelled off, ` +
+                'consistent with fragmentation', 'warning');
+        }
+    }
+}
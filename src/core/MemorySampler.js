@@ -0,0 +1,97 @@
+import { getStagingStats } from '../utils/stagingMemory.js';
+
+/**
+ * Samples the memory of the page (or worker) around the GPU allocations, since browsers that kill tabs
+ * judge the whole process footprint, not only what was allocated on the GPU:
+ * - jsHeap: performance.memory (Chromium only), the JS heap's used, total and limit bytes
+ * - userAgent: performance.measureUserAgentSpecificMemory(), everything the browser attributes to the
+ *   page; only available when cross-origin isolated, and browsers may hold the result back until the
+ *   next garbage collection, so each sample carries the latest result that arrived
+ * - staging: upload arrays generated for allocations that have not been garbage collected yet
+ */
+export class MemorySampler {
+    /**
+     * @param {Function} getGpuBytes - Returns the GPU bytes allocated at the time of a sample
+     */
+    constructor(getGpuBytes) {
+        this.getGpuBytes = getGpuBytes;
+        this.sources = MemorySampler.availableSources();
+        this.interval = null;
+        this.userAgentBytes = null;
+        this.measuringUserAgent = false;
+    }
+
+    /**
+     * Which memory sources can be read here
+     * @returns {Object} { jsHeap, userAgent, staging } booleans
+     */
+    static availableSources() {
+        const performance = globalThis.performance;
+        return {
+            jsHeap: !!performance?.memory,
+            userAgent: !!globalThis.crossOriginIsolated && typeof performance?.measureUserAgentSpecificMemory === 'function',
+            staging: getStagingStats().tracked
+        };
+    }
+
+    /**
+     * Take a sample now and then every intervalMs
+     * @param {number} intervalMs - Time between samples
+     * @param {Function} onSample - Called with each sample
+     */
+    start(intervalMs, onSample) {
+        this.stop();
+        this.onSample = onSample;
+        this.sample();
+        this.interval = setInterval(() => this.sample(), intervalMs);
+    }
+
+    /**
+     * Take a last sample and stop sampling
+     */
+    stop() {
+        if (!this.interval) return;
+        clearInterval(this.interval);
+        this.interval = null;
+        this.sample();
+    }
+
+    /**
+     * Read every available source and pass the sample on
+     */
+    sample() {
+        const heap = this.sources.jsHeap ? performance.memory : null;
+        const staging = getStagingStats();
+        this.onSample({
+            gpuBytes: this.getGpuBytes(),
+            jsHeapUsedBytes: heap ? heap.usedJSHeapSize : null,
+            jsHeapTotalBytes: heap ? heap.totalJSHeapSize : null,
+            jsHeapLimitBytes: heap ? heap.jsHeapSizeLimit : null,
+            userAgentBytes: this.userAgentBytes,
+            stagingBytes: this.sources.staging ? staging.liveBytes : null,
+            stagingArrays: this.sources.staging ? staging.liveArrays : null
+        });
+        this.measureUserAgent();
+    }
+
+    /**
+     * Start a user agent measurement unless one is still pending; its result goes into later samples
+     */
+    measureUserAgent() {
+        if (!this.sources.userAgent || this.measuringUserAgent) return;
+
+        this.measuringUserAgent = true;
+        performance.measureUserAgentSpecificMemory()
+            .then(result => {
+                this.userAgentBytes = result.bytes;
+            })
+            .catch(error => {
+                // e.g. a SecurityError when isolation is lost; stop asking
+                this.sources.userAgent = false;
+                console.warn('User agent memory measurement failed:', error);
+            })
+            .finally(() => {
+                this.measuringUserAgent = false;
+            });
+    }
+}
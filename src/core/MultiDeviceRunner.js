@@ -0,0 +1,263 @@
+import { ScenarioRunner } from './ScenarioRunner.js';
+import { RunControl, RunStoppedError } from './RunControl.js';
+import { AllocationError, FailureType } from './AllocationError.js';
+
+// Time the browser gets to report a context it lost when another one was created
+const LOSS_SETTLE_MS = 100;
+
+/**
+ * Runs a devices scenario: fills one device alone, then spreads buffers over several devices (WebGL2
+ * contexts) of the same backend to tell whether the memory limit is per device or shared by the process,
+ * and finally creates devices one by one until the browser loses one. The extra devices come from
+ * createSibling(), each on a detached canvas of its own, and are disposed when the run ends.
+ */
+export class MultiDeviceRunner extends ScenarioRunner {
+    /**
+     * @param {BaseBenchmark} benchmark - Backend whose device is the first one; extra devices are its siblings
+     * @param {Object} scenario - Devices scenario object
+     * @param {RunControl} control - Stops or pauses the run between allocations
+     */
+    constructor(benchmark, scenario, control = new RunControl()) {
+        super(benchmark, scenario, control);
+        // Devices created by this run, as { device, detach } where detach stops forwarding its logs
+        this.siblings = [];
+        this.result = null;
+    }
+
+    /**
+     * Measure one device, then several together, then count live devices
+     */
+    async run() {
+        const benchmark = this.benchmark;
+        const { count, contexts } = this.scenario.devices;
+        const label = benchmark.deviceLabel;
+        benchmark.startTest(this.scenario);
+        benchmark.log(`🧮 Starting "${this.scenario.name}": one ${label} alone, then ${count} ${label}s together`, 'info');
+
+        this.result = {
+            count,
+            singleBytes: null,
+            singleExhausted: false,
+            devices: [],
+            totalBytes: null,
+            ratio: null,
+            scope: 'inconclusive',
+            contextsLive: null,
+            maxLiveContexts: null,
+            evictedIndex: null
+        };
+
+        try {
+            if (benchmark.allocatedMemory > 0) {
+                benchmark.clearMemory();
+            }
+            await this.measureSingle();
+            await this.spread();
+            this.classify();
+            if (contexts > 0) {
+                await this.countContexts();
+            }
+        } catch (error) {
+            if (!(error instanceof RunStoppedError)) {
+                benchmark.log(`💥 Multi-${label} run failed: ${error.message}`, 'error');
+            }
+        } finally {
+            this.disposeSiblings();
+        }
+
+        benchmark.report?.setDevices(this.result);
+        await this.finish();
+    }
+
+    /**
+     * Fill the page's own device until allocation fails, note what it held and release it
+     */
+    async measureSingle() {
+        const benchmark = this.benchmark;
+        const { fillSize, maxBytes } = this.scenario.devices;
+        const { exhausted } = await this.fill(maxBytes, fillSize);
+
+        this.result.singleBytes = benchmark.allocatedMemory;
+        this.result.singleExhausted = exhausted;
+        const limit = exhausted ? '' : ` (held ${benchmark.formatBytes(maxBytes)} limit without failing)`;
+        benchmark.log(`📏 One ${benchmark.deviceLabel} held ${benchmark.formatBytes(this.result.singleBytes)}${limit}`, 'info');
+
+        benchmark.clearMemory();
+        await benchmark.waitForIdle();
+    }
+
+    /**
+     * Fill count devices one buffer at a time until each has failed or holds maxBytes
+     */
+    async spread() {
+        const benchmark = this.benchmark;
+        const { count } = this.scenario.devices;
+        const label = benchmark.deviceLabel;
+
+        const devices = [{ index: 1, benchmark, state: 'filling' }];
+        for (let index = 2; index <= count; index++) {
+            await this.checkControl();
+            const device = await this.addDevice(index);
+            if (!device) {
+                throw new Error(`Could not create ${label} ${index}`);
+            }
+            devices.push({ index, benchmark: device, state: 'filling' });
+        }
+        benchmark.log(`🧮 Filling ${count} ${label}s one buffer at a time...`, 'info');
+
+        let filling = devices;
+        while (filling.length > 0) {
+            for (const device of filling) {
+                await this.checkControl();
+                await this.allocateOn(device);
+            }
+            filling = filling.filter(device => device.state === 'filling');
+        }
+
+        this.result.devices = devices.map(device => ({
+            index: device.index,
+            heldBytes: device.benchmark.allocatedMemory,
+            state: device.state
+        }));
+        this.result.totalBytes = this.result.devices.reduce((total, device) => total + device.heldBytes, 0);
+        this.result.devices.forEach(device => {
+            benchmark.log(`   ${label} ${device.index}: ${benchmark.formatBytes(device.heldBytes)} (${device.state})`, 'info');
+        });
+        benchmark.log(`📏 ${count} ${label}s held ${benchmark.formatBytes(this.result.totalBytes)} together`, 'info');
+
+        devices.forEach(device => device.benchmark.clearMemory());
+        await benchmark.waitForIdle();
+        this.disposeSiblings();
+    }
+
+    /**
+     * Allocate one buffer on a device, ending its fill when it runs out of memory, is lost or holds maxBytes
+     * @param {Object} device - { index, benchmark, state } entry of the spread
+     */
+    async allocateOn(device) {
+        const { fillSize, maxBytes } = this.scenario.devices;
+        const backend = device.benchmark;
+        // An extra device may have been lost in the background
+        if (backend.failure) {
+            device.state = backend.failure.type;
+            return;
+        }
+        if (backend.allocatedMemory >= maxBytes) {
+            device.state = 'limit';
+            return;
+        }
+
+        const size = Math.min(fillSize, Math.ceil((maxBytes - backend.allocatedMemory) / 4) * 4);
+        backend.tolerateOutOfMemory = true;
+        try {
+            await backend.allocateBuffer(size, { control: this.control });
+        } catch (error) {
+            // Anything but running out of memory on the page's own device ends the run
+            if (!(error instanceof AllocationError) || (backend === this.benchmark && backend.failure)) {
+                throw error;
+            }
+            device.state = error.type === FailureType.OUT_OF_MEMORY ? 'exhausted' : error.type;
+        } finally {
+            backend.tolerateOutOfMemory = false;
+        }
+    }
+
+    /**
+     * Compare what the devices held together with what one held alone
+     */
+    classify() {
+        const benchmark = this.benchmark;
+        const { count, tolerance } = this.scenario.devices;
+        const { singleBytes, singleExhausted, totalBytes } = this.result;
+        const label = benchmark.deviceLabel;
+
+        if (!singleExhausted || singleBytes === 0) {
+            benchmark.log(`📏 One ${label} never ran out of memory; raise maxBytes to tell where the limit applies`, 'info');
+            return;
+        }
+
+        const ratio = totalBytes / singleBytes;
+        this.result.ratio = ratio;
+        const held = `${count} ${label}s held ${ratio.toFixed(2)}x what one did`;
+
+        if (ratio >= count * (1 - tolerance)) {
+            this.result.scope = `per-${label}`;
+            benchmark.log(`✅ The limit is per ${label}: ${held}`, 'success');
+        } else if (ratio <= 1 + tolerance) {
+            this.result.scope = 'per-process';
+            benchmark.log(`🧱 The limit is per process: ${held}`, 'info');
+        } else {
+            this.result.scope = 'partly-shared';
+            benchmark.log(`🔀 The ${label}s share part of their limit: ${held}`, 'info');
+        }
+    }
+
+    /**
+     * Create devices one by one, keeping them all, until the browser loses one of them or any earlier one
+     */
+    async countContexts() {
+        const benchmark = this.benchmark;
+        const { contexts } = this.scenario.devices;
+        const label = benchmark.deviceLabel;
+        // The page's own device is the oldest
+        const live = [benchmark];
+        this.result.contextsLive = 1;
+        benchmark.log(`🧮 Creating up to ${contexts} live ${label}s...`, 'info');
+
+        for (let index = 2; index <= contexts; index++) {
+            await this.checkControl();
+            const device = await this.addDevice(index);
+            if (!device) {
+                benchmark.log(`⚠️ Could not create ${label} ${index} with ${live.length} live`, 'warning');
+                return;
+            }
+            live.push(device);
+            this.result.contextsLive = live.length;
+            await this.control.sleep(LOSS_SETTLE_MS);
+
+            const lost = live.findIndex(candidate => candidate.canRecover());
+            if (lost !== -1) {
+                this.result.maxLiveContexts = index - 1;
+                this.result.evictedIndex = lost + 1;
+                const which = lost === 0 ? `the page's own ${label}` : `${label} ${lost + 1}`;
+                benchmark.log(`🪦 Creating ${label} ${index} lost ${which}: at most ${index - 1} ${label}s stay live`, 'warning');
+                return;
+            }
+        }
+
+        benchmark.log(`✅ ${live.length} ${label}s were live at once without one being lost`, 'success');
+    }
+
+    /**
+     * Create and initialize another device of the same backend
+     * @param {number} index - Device number in logs, the page's own being 1
+     * @returns {Promise<BaseBenchmark|null>} Initialized device, or null if it could not be created
+     */
+    async addDevice(index) {
+        const benchmark = this.benchmark;
+        const device = benchmark.createSibling();
+
+        // Pass on its warnings and errors; its other logs would repeat the page's own
+        const forward = (event) => {
+            const { message, type } = event.detail;
+            if (type === 'warning' || type === 'error') {
+                benchmark.log(`   ${benchmark.deviceLabel} ${index}: ${message}`, type);
+            }
+        };
+        device.addEventListener('log', forward);
+        this.siblings.push({ device, detach: () => device.removeEventListener('log', forward) });
+
+        return await device.initialize() ? device : null;
+    }
+
+    /**
+     * Release every device this run created
+     */
+    disposeSiblings() {
+        this.siblings.forEach(({ device, detach }) => {
+            detach();
+            device.dispose();
+        });
+        this.siblings = [];
+    }
+}
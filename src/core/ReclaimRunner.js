@@ -0,0 +1,100 @@
+import { ScenarioRunner } from './ScenarioRunner.js';
+import { RunControl, RunStoppedError } from './RunControl.js';
+
+/**
+ * Checks that cleared memory comes back: clears everything the backend holds, waits for the GPU,
+ * then re-allocates up to the previous peak at increasing delays after the clear. Reports how much
+ * could be allocated again at each delay and how long it took until all of it could.
+ */
+export class ReclaimRunner extends ScenarioRunner {
+    /**
+     * @param {BaseBenchmark} benchmark - Backend to clear and re-allocate from
+     * @param {Object} scenario - Reclaim scenario object
+     * @param {RunControl} control - Stops or pauses the run between allocations
+     */
+    constructor(benchmark, scenario, control = new RunControl()) {
+        super(benchmark, scenario, control);
+        this.result = null;
+    }
+
+    /**
+     * Fill (if asked to), clear, and re-allocate at each delay until the peak is held again
+     */
+    async run() {
+        const benchmark = this.benchmark;
+        const reclaim = this.scenario.reclaim;
+        benchmark.startTest(this.scenario);
+        benchmark.log(`♻️ Starting reclaim check "${this.scenario.name}"...`, 'info');
+
+        try {
+            if (reclaim.fill) {
+                await this.fill(reclaim.targetBytes, reclaim.fillSize);
+            }
+            await this.measure();
+        } catch (error) {
+            if (!(error instanceof RunStoppedError)) {
+                benchmark.log(`💥 Reclaim check failed: ${error.message}`, 'error');
+            }
+        }
+
+        if (this.result) {
+            benchmark.report?.setReclaim(this.result);
+        }
+        await this.finish();
+    }
+
+    /**
+     * Clear at the current peak and time how much of it can be allocated again
+     */
+    async measure() {
+        const benchmark = this.benchmark;
+        const { fillSize, waitForIdle, delaysMs } = this.scenario.reclaim;
+        const peakBytes = benchmark.allocatedMemory;
+        if (peakBytes === 0) {
+            this.stopReason = 'Nothing allocated to reclaim';
+            return;
+        }
+
+        this.result = { peakBytes, idleMs: null, attempts: [], reclaimedBytes: 0, reclaimedMs: null };
+        const clearedAt = performance.now();
+        benchmark.clearMemory();
+
+        if (waitForIdle) {
+            await benchmark.waitForIdle();
+            this.result.idleMs = performance.now() - clearedAt;
+            benchmark.log(`⏳ GPU idle ${this.result.idleMs.toFixed(1)}ms after clearing`, 'info');
+        }
+
+        for (const delayMs of delaysMs) {
+            await this.control.sleep(clearedAt + delayMs - performance.now());
+            const startedAt = performance.now();
+            await this.fill(peakBytes, fillSize);
+
+            const reclaimedBytes = benchmark.allocatedMemory;
+            const elapsedMs = performance.now() - clearedAt;
+            this.result.attempts.push({ delayMs, elapsedMs, fillMs: performance.now() - startedAt, reclaimedBytes });
+            this.result.reclaimedBytes = reclaimedBytes;
+
+            const percent = (reclaimedBytes / peakBytes * 100).toFixed(1);
+            benchmark.log(`♻️ ${delayMs}ms after clearing: ${benchmark.formatBytes(reclaimedBytes)} of ` +
+                `${benchmark.formatBytes(peakBytes)} allocated again (${percent}%)`, 'info');
+
+            if (reclaimedBytes >= peakBytes) {
+                this.result.reclaimedMs = elapsedMs;
+                break;
+            }
+        }
+
+        if (this.result.reclaimedMs !== null) {
+            benchmark.log(`✅ All ${benchmark.formatBytes(peakBytes)} reclaimed within ` +
+                `${this.result.reclaimedMs.toFixed(0)}ms of clearing`, 'success');
+        } else {
+            const missing = peakBytes - this.result.reclaimedBytes;
+            const lastDelay = delaysMs[delaysMs.length - 1];
+            benchmark.log(`⚠️ ${benchmark.formatBytes(missing)} of ${benchmark.formatBytes(peakBytes)} was still not ` +
+                `reclaimed ${lastDelay}ms after clearing`, 'warning');
+        }
+
+        benchmark.clearMemory();
+    }
+}
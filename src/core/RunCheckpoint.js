@@ -0,0 +1,103 @@
+export const STORAGE_KEY = 'webgpu-memory-benchmark:checkpoint';
+
+/**
+ * Persists run progress so the last allocation level survives the tab being killed.
+ * Uses localStorage rather than IndexedDB because its writes are synchronous:
+ * the checkpoint is on disk before the allocation that may crash the tab is attempted.
+ */
+export class RunCheckpoint {
+    /**
+     * @param {Storage} storage - Where checkpoints are kept
+     * @param {string} key - Storage key; benchmarks sharing a page need one each
+     */
+    constructor(storage = globalThis.localStorage, key = STORAGE_KEY) {
+        this.storage = storage;
+        this.key = key;
+        this.state = null;
+    }
+
+    /**
+     * Start checkpointing a new run, replacing any previous record
+     * @param {string} apiName - API under test
+     * @param {string} mode - Test mode name
+     * @param {Object} totals - Allocation totals carried over from earlier runs
+     */
+    begin(apiName, mode, totals) {
+        const now = Date.now();
+        this.state = {
+            apiName,
+            mode,
+            status: 'running',
+            startedAt: now,
+            updatedAt: now,
+            ...totals,
+            pending: null
+        };
+        this.write();
+    }
+
+    /**
+     * Record the current totals and the allocation about to be attempted
+     * @param {Object} totals - { allocatedMemory, bufferCount, textureCount }
+     * @param {Object|null} pending - { kind, size } of the next allocation, or null
+     */
+    update(totals, pending = null) {
+        if (!this.state) return;
+
+        Object.assign(this.state, totals);
+        this.state.pending = pending;
+        this.state.updatedAt = Date.now();
+        this.write();
+    }
+
+    /**
+     * Mark the run as finished so it is not reported as terminated
+     * @param {string} outcome - How the run ended
+     */
+    finish(outcome = 'completed') {
+        if (!this.state) return;
+
+        this.state.status = 'finished';
+        this.state.outcome = outcome;
+        this.state.pending = null;
+        this.state.updatedAt = Date.now();
+        this.write();
+        this.state = null;
+    }
+
+    /**
+     * Wait until the last checkpoint is stored. localStorage writes synchronously; storage that cannot
+     * (a worker's, which posts checkpoints to the page) provides whenWritten() to wait on
+     */
+    async written() {
+        await this.storage?.whenWritten?.();
+    }
+
+    write() {
+        // Outside the browser there may be no storage; runs are simply not checkpointed
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(this.key, JSON.stringify(this.state));
+        } catch (e) {
+            console.warn('Failed to write run checkpoint:', e);
+        }
+    }
+
+    /**
+     * Load the checkpoint of a run that never finished (i.e. the tab was killed)
+     * @returns {Object|null} Checkpoint state or null
+     */
+    static loadUnfinished(storage = globalThis.localStorage, key = STORAGE_KEY) {
+        if (!storage) return null;
+        try {
+            const raw = storage.getItem(key);
+            if (!raw) return null;
+
+            const state = JSON.parse(raw);
+            return state && state.status === 'running' ? state : null;
+        } catch (e) {
+            console.warn('Failed to read run checkpoint:', e);
+            return null;
+        }
+    }
+}
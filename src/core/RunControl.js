@@ -0,0 +1,129 @@
+/**
+ * Error thrown by work that was cancelled through a RunControl
+ */
+export class RunStoppedError extends Error {
+    /**
+     * @param {string} reason - Why the run was stopped
+     */
+    constructor(reason) {
+        super(reason);
+        this.name = 'RunStoppedError';
+    }
+}
+
+/**
+ * Cancellation token for a run, shared by the runner and the allocations it issues.
+ * Stopping does not interrupt work in flight: the runner notices at its next check,
+ * so in-flight allocations finish and are recorded before the run ends.
+ * Dispatches 'stop' ({ reason }), 'pause' and 'resume' so a run in a worker can follow it.
+ */
+export class RunControl extends EventTarget {
+    constructor() {
+        super();
+        this.stopReason = null;
+        this.paused = false;
+        this.pausedAt = null;
+        // Total time spent paused, excluded from duration limits
+        this.pausedMs = 0;
+        // Callbacks releasing waitWhilePaused() and sleep() callers
+        this.pauseWaiters = [];
+        this.sleepers = [];
+    }
+
+    get stopped() {
+        return this.stopReason !== null;
+    }
+
+    /**
+     * Ask the run to stop; also releases a paused run
+     * @param {string} reason - Reported as the run's stop reason
+     */
+    stop(reason = 'Stopped by user') {
+        if (this.stopped) return;
+        this.stopReason = reason;
+        this.endPause();
+        this.wake();
+        this.dispatchEvent(new CustomEvent('stop', { detail: { reason } }));
+    }
+
+    /**
+     * Hold the run at its current level until resume() or stop()
+     */
+    pause() {
+        if (this.paused || this.stopped) return;
+        this.paused = true;
+        this.pausedAt = Date.now();
+        this.dispatchEvent(new CustomEvent('pause'));
+    }
+
+    /**
+     * Continue a paused run; a sleep() in progress keeps waiting out its time
+     */
+    resume() {
+        if (!this.paused) return;
+        this.endPause();
+        this.wakePaused();
+        this.dispatchEvent(new CustomEvent('resume'));
+    }
+
+    endPause() {
+        if (!this.paused) return;
+        this.pausedMs += Date.now() - this.pausedAt;
+        this.paused = false;
+        this.pausedAt = null;
+    }
+
+    /**
+     * Release everything waiting in waitWhilePaused() or sleep()
+     */
+    wake() {
+        this.wakePaused();
+        this.sleepers.forEach(wake => wake());
+        this.sleepers = [];
+    }
+
+    /**
+     * Release everything waiting in waitWhilePaused()
+     */
+    wakePaused() {
+        this.pauseWaiters.forEach(wake => wake());
+        this.pauseWaiters = [];
+    }
+
+    /**
+     * Resolve once the run is not paused
+     */
+    async waitWhilePaused() {
+        while (this.paused) {
+            await new Promise(resolve => this.pauseWaiters.push(resolve));
+        }
+    }
+
+    /**
+     * Wait, returning early if the run is stopped
+     * @param {number} ms - Time to wait
+     */
+    async sleep(ms) {
+        if (this.stopped) return;
+        await new Promise(resolve => {
+            const wake = () => {
+                clearTimeout(timeout);
+                resolve();
+            };
+            const timeout = setTimeout(() => {
+                this.sleepers = this.sleepers.filter(sleeper => sleeper !== wake);
+                resolve();
+            }, ms);
+            this.sleepers.push(wake);
+        });
+    }
+
+    /**
+     * Throw a RunStoppedError once the run has been stopped
+     */
+    throwIfStopped() {
+        if (this.stopped) {
+            throw new RunStoppedError(this.stopReason);
+        }
+    }
+}
@@ -0,0 +1,293 @@
+import { ALLOCATION_PHASES, summarizeLatency } from '../utils/latency.js';
+
+const CSV_COLUMNS = [
+    'api', 'device', 'scenario', 'outcome',
+    'timestamp', 'elapsed_ms', 'kind', 'size_bytes', 'cumulative_bytes', 'latency_ms', 'status', 'detail',
+    'js_heap_used_bytes', 'js_heap_total_bytes', 'user_agent_bytes', 'staging_bytes',
+    ...ALLOCATION_PHASES.map(phase => `${phase}_ms`)
+];
+
+/**
+ * Structured record of a single run, exportable as JSON or CSV
+ */
+export class RunReport {
+    /**
+     * @param {Object} options - { api, device, limits, scenario }
+     */
+    constructor({ api, device = {}, limits = {}, scenario = null }) {
+        this.api = api;
+        this.device = device;
+        this.limits = limits;
+        this.scenario = scenario;
+        this.userAgent = typeof navigator !== 'undefined' ? navigator.userAgent : null;
+        this.startedAt = Date.now();
+        this.endedAt = null;
+        this.outcome = null;
+        this.failure = null;
+        this.stopReason = null;
+        this.totals = null;
+        this.probe = null;
+        this.verification = null;
+        this.churn = null;
+        this.reclaim = null;
+        this.devices = null;
+        this.combined = null;
+        this.recovery = null;
+        this.memory = null;
+        this.latency = null;
+        this.timeline = [];
+        this.events = [];
+    }
+
+    /**
+     * Add an allocation attempt or release to the timeline
+     * @param {Object} entry - { kind, size, cumulativeBytes, latencyMs, status, detail, phases } where status
+     *                         is 'ok', 'failed' or 'freed' and phases splits latencyMs (see PhaseTimer)
+     */
+    addAllocation(entry) {
+        const timestamp = Date.now();
+        this.timeline.push({
+            timestamp,
+            elapsedMs: timestamp - this.startedAt,
+            ...entry
+        });
+    }
+
+    /**
+     * Add a notable log message (warning, error) to the report
+     * @param {string} type - Message type
+     * @param {string} message - Message text
+     */
+    addEvent(type, message) {
+        const timestamp = Date.now();
+        this.events.push({
+            timestamp,
+            elapsedMs: timestamp - this.startedAt,
+            type,
+            message
+        });
+    }
+
+    /**
+     * Attach the result of a residency verification pass
+     * @param {Object} verification - { verified, corrupted, missing, skipped, problems }
+     */
+    setVerification(verification) {
+        this.verification = verification;
+    }
+
+    /**
+     * Attach the result of a churn run
+     * @param {Object} churn - { targetBytes, cycles, allocated, freed, ceilings, ceilingDrop, verdict }
+     */
+    setChurn(churn) {
+        this.churn = churn;
+    }
+
+    /**
+     * Attach the result of a reclaim check
+     * @param {Object} reclaim - { peakBytes, idleMs, attempts, reclaimedBytes, reclaimedMs }
+     */
+    setReclaim(reclaim) {
+        this.reclaim = reclaim;
+    }
+
+    /**
+     * Attach the result of a multi-device run
+     * @param {Object} devices - { count, singleBytes, singleExhausted, devices, totalBytes, ratio, scope,
+     *                           contextsLive, maxLiveContexts, evictedIndex }
+     */
+    setDevices(devices) {
+        this.devices = devices;
+    }
+
+    /**
+     * Attach how a combined run split the memory between the APIs
+     * @param {Object} combined - { backends, firstExhaustedBytes, addedBytes, budget }
+     */
+    setCombined(combined) {
+        this.combined = combined;
+    }
+
+    /**
+     * Attach the comparison of a run on a restored device with the run before the loss
+     * @param {Object} recovery - { lostReason, restoreMs, previousBudgetBytes, budgetBytes, change }
+     */
+    setRecovery(recovery) {
+        this.recovery = recovery;
+    }
+
+    /**
+     * Start recording memory samples
+     * @param {Object} memory - { intervalMs, sources } where sources tells which of jsHeap, userAgent and
+     *                          staging are measured
+     */
+    setMemory({ intervalMs, sources }) {
+        this.memory = { intervalMs, sources, samples: [], peaks: null };
+    }
+
+    /**
+     * Add a memory sample
+     * @param {Object} sample - { gpuBytes, jsHeapUsedBytes, jsHeapTotalBytes, jsHeapLimitBytes, userAgentBytes,
+     *                          stagingBytes, stagingArrays }, null where not measured
+     */
+    addMemorySample(sample) {
+        if (!this.memory) return;
+        const timestamp = Date.now();
+        this.memory.samples.push({
+            timestamp,
+            elapsedMs: timestamp - this.startedAt,
+            ...sample
+        });
+    }
+
+    /**
+     * Highest value of each memory sample field over the run
+     * @returns {Object|null} Peak per sampled field, null before sampling started
+     */
+    getMemoryPeaks() {
+        if (!this.memory) return null;
+        const fields = ['gpuBytes', 'jsHeapUsedBytes', 'jsHeapTotalBytes', 'userAgentBytes', 'stagingBytes'];
+        return Object.fromEntries(fields.map(field => {
+            const values = this.memory.samples.map(sample => sample[field]).filter(value => value !== null);
+            return [field, values.length > 0 ? Math.max(...values) : null];
+        }));
+    }
+
+    /**
+     * Close the report, noting latency percentiles and the memory peaks if memory was sampled
+     * @param {Object} result - { failure, outcome, stopReason, totals, probe }
+     */
+    finish({ failure = null, outcome = null, stopReason = null, totals = null, probe = null }) {
+        this.endedAt = Date.now();
+        this.failure = failure;
+        this.outcome = outcome || (failure ? failure.type : 'completed');
+        this.stopReason = stopReason;
+        this.totals = totals;
+        this.probe = probe;
+        this.latency = summarizeLatency(this.timeline);
+        if (this.memory) {
+            this.memory.peaks = this.getMemoryPeaks();
+        }
+    }
+
+    /**
+     * Short human-readable device name
+     */
+    getDeviceName() {
+        return this.device.renderer || this.device.description || this.device.device || this.device.vendor || 'unknown';
+    }
+
+    toJSON() {
+        return {
+            version: 1,
+            api: this.api,
+            userAgent: this.userAgent,
+            device: this.device,
+            limits: this.limits,
+            scenario: this.scenario,
+            startedAt: new Date(this.startedAt).toISOString(),
+            endedAt: this.endedAt ? new Date(this.endedAt).toISOString() : null,
+            durationMs: this.endedAt ? this.endedAt - this.startedAt : null,
+            outcome: this.outcome,
+            failure: this.failure,
+            stopReason: this.stopReason,
+            totals: this.totals,
+            probe: this.probe,
+            verification: this.verification,
+            churn: this.churn,
+            reclaim: this.reclaim,
+            devices: this.devices,
+            combined: this.combined,
+            recovery: this.recovery,
+            memory: this.memory,
+            latency: this.latency,
+            events: this.events,
+            timeline: this.timeline
+        };
+    }
+
+    /**
+     * Rebuild a report from its JSON form, e.g. one sent back by a run in a worker
+     * @param {Object} json - Output of toJSON()
+     * @returns {RunReport} Report with the same contents
+     */
+    static fromJSON(json) {
+        const report = new RunReport({ api: json.api, device: json.device, limits: json.limits, scenario: json.scenario });
+        Object.assign(report, {
+            userAgent: json.userAgent,
+            startedAt: Date.parse(json.startedAt),
+            endedAt: json.endedAt ? Date.parse(json.endedAt) : null,
+            outcome: json.outcome,
+            failure: json.failure,
+            stopReason: json.stopReason,
+            totals: json.totals,
+            probe: json.probe,
+            verification: json.verification,
+            churn: json.churn,
+            reclaim: json.reclaim,
+            devices: json.devices,
+            combined: json.combined,
+            recovery: json.recovery,
+            memory: json.memory ?? null,
+            latency: json.latency ?? null,
+            events: json.events,
+            timeline: json.timeline
+        });
+        return report;
+    }
+
+    /**
+     * Timeline as CSV, one row per allocation and per memory sample (kind "memory", with the GPU total
+     * as cumulative bytes) in time order, with run metadata repeated so reports from many devices can be
+     * concatenated into one sheet
+     */
+    toCSV() {
+        const scenarioId = this.scenario ? this.scenario.id : '';
+        const metadata = [this.api, this.getDeviceName(), scenarioId, this.outcome];
+        const allocations = this.timeline.map(entry => ({
+            elapsedMs: entry.elapsedMs,
+            row: [
+                ...metadata,
+                new Date(entry.timestamp).toISOString(),
+                entry.elapsedMs,
+                entry.kind,
+                entry.size,
+                entry.cumulativeBytes,
+                entry.latencyMs.toFixed(3),
+                entry.status,
+                entry.detail || '',
+                '', '', '', '',
+                ...ALLOCATION_PHASES.map(phase => entry.phases?.[phase]?.toFixed(3) ?? '')
+            ]
+        }));
+        const samples = (this.memory ? this.memory.samples : []).map(sample => ({
+            elapsedMs: sample.elapsedMs,
+            row: [
+                ...metadata,
+                new Date(sample.timestamp).toISOString(),
+                sample.elapsedMs,
+                'memory',
+                '',
+                sample.gpuBytes,
+                '',
+                'sampled',
+                '',
+                sample.jsHeapUsedBytes,
+                sample.jsHeapTotalBytes,
+                sample.userAgentBytes,
+                sample.stagingBytes,
+                ...ALLOCATION_PHASES.map(() => '')
+            ]
+        }));
+        // Stable sort keeps allocations and samples of the same millisecond in recording order
+        const rows = [...allocations, ...samples].sort((a, b) => a.elapsedMs - b.elapsedMs).map(({ row }) => row);
+
+        return [CSV_COLUMNS, ...rows].map(row => row.map(escapeCSV).join(',')).join('\n') + '\n';
+    }
+}
+
+function escapeCSV(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
@@ -0,0 +1,230 @@
+import { normalizeScenario } from '../scenarios/scenarioSchema.js';
+import { RunControl, RunStoppedError } from './RunControl.js';
+import { AllocationError, FailureType } from './AllocationError.js';
+
+/**
+ * Runs an allocation scenario against any benchmark backend
+ */
+export class ScenarioRunner {
+    /**
+     * @param {BaseBenchmark} benchmark - Backend to allocate from
+     * @param {Object} scenario - Scenario object
+     * @param {RunControl} control - Stops or pauses the run between iterations
+     */
+    constructor(benchmark, scenario, control = new RunControl()) {
+        this.benchmark = benchmark;
+        this.scenario = normalizeScenario(scenario);
+        this.control = control;
+        this.allocationCount = 0;
+        this.stopReason = null;
+        // Per-entry count of issued allocations, used for size steps and growth
+        this.issued = new Map();
+        this.skippedFormats = new Set();
+    }
+
+    /**
+     * Run the scenario until it finishes, a stop condition is met or an allocation fails
+     */
+    async run() {
+        const benchmark = this.benchmark;
+        benchmark.startTest(this.scenario);
+        benchmark.log(`🚀 Starting scenario "${this.scenario.name}"...`, 'info');
+        if (this.scenario.touch) {
+            benchmark.startBufferTouching(this.scenario.touch.intervalMs);
+        }
+
+        try {
+            for (const step of this.scenario.steps) {
+                await this.runStep(step);
+                if (this.stopReason) break;
+            }
+        } catch (error) {
+            if (!(error instanceof RunStoppedError)) {
+                benchmark.log(`💥 Memory allocation failed: ${error.message}`, 'error');
+            }
+        }
+
+        await this.finish();
+    }
+
+    /**
+     * End the run: a stopped run keeps its allocations as they are, otherwise they are verified
+     * when the scenario asks for it
+     */
+    async finish() {
+        const benchmark = this.benchmark;
+        if (this.control.stopped) {
+            benchmark.log(`⏹️ ${this.control.stopReason}, allocations kept for inspection`, 'warning');
+            benchmark.stopTest(this.control.stopReason, { cancelled: true });
+            return;
+        }
+        if (this.stopReason) {
+            benchmark.log(`⚠️ ${this.stopReason}, stopping test`, 'warning');
+        }
+        if (this.scenario.verify) {
+            await benchmark.verifyResidency();
+        }
+        benchmark.stopTest(this.stopReason);
+    }
+
+    /**
+     * Run a single step's iterations
+     * @param {Object} step - Normalized step
+     */
+    async runStep(step) {
+        const benchmark = this.benchmark;
+
+        for (let iteration = 0; iteration < step.iterations; iteration++) {
+            await this.control.waitWhilePaused();
+            if (!benchmark.isRunning || this.control.stopped) return;
+
+            const promises = [];
+            for (let copy = 0; copy < step.concurrency; copy++) {
+                for (const allocation of step.allocations) {
+                    const promise = this.allocate(allocation);
+                    if (promise) promises.push(promise);
+                }
+            }
+            if (promises.length === 0) {
+                this.stopReason = 'No allocation in this step is supported';
+                return;
+            }
+            // Let every allocation in flight settle before acting on a failure or a stop
+            const results = await Promise.allSettled(promises);
+            const failed = results.find(result => result.status === 'rejected');
+            if (failed) throw failed.reason;
+
+            this.showTextures();
+
+            if (step.delayMs > 0) {
+                await this.control.sleep(step.delayMs);
+            }
+
+            this.stopReason = this.checkStopConditions();
+            if (this.stopReason) return;
+        }
+    }
+
+    /**
+     * Start the texture grid once there is something to show
+     */
+    showTextures() {
+        const benchmark = this.benchmark;
+        if (benchmark.textures.length > 0 && !benchmark.renderInterval) {
+            benchmark.startTextureDisplay();
+            benchmark.log('🎨 Started grid display - visual proof of memory usage!', 'success');
+        }
+    }
+
+    /**
+     * Issue one allocation entry at its current size
+     * @param {Object} allocation - Normalized allocation entry
+     * @returns {Promise|null} Allocation promise, or null if the entry was skipped
+     */
+    allocate(allocation) {
+        if (allocation.kind === 'texture' && !this.benchmark.supportsTextureFormat(allocation.format)) {
+            if (!this.skippedFormats.has(allocation.format)) {
+                this.skippedFormats.add(allocation.format);
+                this.benchmark.log(`⏭️ Skipping ${allocation.format} textures: not supported by ${this.benchmark.apiName}`, 'info');
+            }
+            return null;
+        }
+
+        const issued = this.issued.get(allocation) || 0;
+        this.issued.set(allocation, issued + 1);
+        this.allocationCount++;
+
+        if (allocation.kind === 'buffer') {
+            const size = this.resolveSize(allocation, allocation.size, issued);
+            // Buffer uploads must be a multiple of 4 bytes
+            const { usage, mappedAtCreation, hint } = allocation;
+            return this.benchmark.allocateBuffer(Math.ceil(size / 4) * 4, { usage, mappedAtCreation, hint, control: this.control });
+        }
+
+        const width = Math.round(this.resolveSize(allocation, allocation.width, issued));
+        const height = Math.round(this.resolveSize(allocation, allocation.height, issued));
+        const { format, mipLevels, layers, dimension } = allocation;
+        return this.benchmark.allocateTexture(width, height, { format, mipLevels, layers, dimension, control: this.control });
+    }
+
+    /**
+     * Apply size steps and growth to a base size
+     * @param {Object} allocation - Normalized allocation entry
+     * @param {number} base - Base size (bytes or pixels)
+     * @param {number} issued - Allocations of this entry issued so far
+     * @returns {number} Size for this allocation
+     */
+    resolveSize(allocation, base, issued) {
+        let size = base;
+        for (const sizeStep of allocation.sizeSteps) {
+            if (issued >= sizeStep.after) size = sizeStep.size;
+        }
+
+        if (allocation.growth) {
+            const { every, factor, max } = allocation.growth;
+            size = Math.min(size * Math.pow(factor, Math.floor(issued / every)), max);
+        }
+
+        return size;
+    }
+
+    /**
+     * Allocate buffers until limit bytes are held or allocation runs out of memory, which ends
+     * the fill rather than the run. Used by runners that measure how much can be allocated.
+     * @param {number} limit - Stop once the backend holds this many bytes
+     * @param {number} fillSize - Size of each buffer; the last one is trimmed to the limit
+     * @returns {Promise<Object>} { buffers, exhausted } where exhausted is true if allocation ran out of memory
+     */
+    async fill(limit, fillSize) {
+        const benchmark = this.benchmark;
+        const buffers = [];
+
+        benchmark.tolerateOutOfMemory = true;
+        try {
+            while (benchmark.allocatedMemory < limit) {
+                await this.checkControl();
+                const size = Math.min(fillSize, Math.ceil((limit - benchmark.allocatedMemory) / 4) * 4);
+                try {
+                    buffers.push(await benchmark.allocateBuffer(size, { control: this.control }));
+                } catch (error) {
+                    if (!(error instanceof AllocationError) || error.type !== FailureType.OUT_OF_MEMORY || benchmark.failure) {
+                        throw error;
+                    }
+                    return { buffers, exhausted: true };
+                }
+            }
+        } finally {
+            benchmark.tolerateOutOfMemory = false;
+        }
+        return { buffers, exhausted: false };
+    }
+
+    /**
+     * Wait out a pause and give up once the run was stopped or failed
+     */
+    async checkControl() {
+        await this.control.waitWhilePaused();
+        this.control.throwIfStopped();
+        this.benchmark.throwIfFailed();
+    }
+
+    /**
+     * Check the scenario's stop conditions
+     * @returns {string|null} Reason to stop, or null to continue
+     */
+    checkStopConditions() {
+        const { maxBytes, maxDurationMs, maxAllocations } = this.scenario.stop;
+        const benchmark = this.benchmark;
+
+        if (benchmark.allocatedMemory > maxBytes) {
+            return `Reached ${benchmark.formatBytes(maxBytes)} allocation ceiling`;
+        }
+        if (Date.now() - benchmark.startTime - this.control.pausedMs > maxDurationMs) {
+            return `Reached ${(maxDurationMs / 1000).toFixed(1)}s duration limit`;
+        }
+        if (this.allocationCount >= maxAllocations) {
+            return `Reached ${maxAllocations} allocation limit`;
+        }
+        return null;
+    }
+}
@@ -0,0 +1,246 @@
+import { RunControl } from './RunControl.js';
+import { RunReport } from './RunReport.js';
+import { formatBytes } from '../utils/formatters.js';
+
+/**
+ * Page-side stand-in for a backend that runs in a dedicated worker (see benchmarkWorker.js).
+ * Allocation and upload data generation happen in the worker, so the page stays responsive during
+ * large uploads, and limits can be measured where a worker-hosted renderer would allocate.
+ * Dispatches the same 'log', 'metrics', 'runstate' and 'timeline' events as a backend, and mirrors
+ * the worker's report, totals and run state so hosts can treat it like one.
+ */
+export class WorkerBenchmark extends EventTarget {
+    /**
+     * @param {Object} options - { api } backend to run in the worker ('webgpu', 'webgl2', 'combined' or 'simulated'),
+     *                           { apiName } shown until the worker reports its own, { simulation } for the
+     *                           simulated backend, { checkpointKey } for crash checkpoints, { worker } to use
+     *                           an existing Worker (default: a new module worker)
+     */
+    constructor(options = {}) {
+        super();
+        this.api = options.api || 'webgpu';
+        this.apiName = options.apiName || this.api;
+        this.deviceLabel = 'device';
+        this.simulation = options.simulation;
+        this.checkpointKey = options.checkpointKey;
+        this.worker = options.worker || new Worker(new URL('./benchmarkWorker.js', import.meta.url), { type: 'module' });
+
+        // Mirrored from the worker's messages
+        this.allocatedMemory = 0;
+        this.bufferCount = 0;
+        this.textureCount = 0;
+        this.isRunning = false;
+        this.report = null;
+        this.recoverable = false;
+        // Page canvas whose control was transferred to the worker; a canvas can only be transferred once
+        this.canvas = null;
+
+        // Requests awaiting an answer, as id -> { resolve, reject }
+        this.requests = new Map();
+        this.nextRequestId = 1;
+        this.onMessage = (event) => this.handleMessage(event.data);
+        this.worker.addEventListener('message', this.onMessage);
+    }
+
+    /**
+     * Format bytes into human-readable string
+     */
+    formatBytes(bytes) {
+        return formatBytes(bytes);
+    }
+
+    /**
+     * Log a message from the page side to 'log' listeners
+     * @param {string} message - Message to log
+     * @param {string} type - Message type (info, error, warning, success)
+     */
+    log(message, type = 'info') {
+        this.dispatchEvent(new CustomEvent('log', { detail: { message, type, timestamp: Date.now() } }));
+    }
+
+    /**
+     * Apply a message from the worker
+     * @param {Object} message - See benchmarkWorker.js
+     */
+    handleMessage(message) {
+        switch (message.type) {
+            case 'log':
+                this.dispatchEvent(new CustomEvent('log', { detail: message.entry }));
+                break;
+            case 'metrics':
+                this.allocatedMemory = message.metrics.allocatedMemory;
+                this.bufferCount = message.metrics.bufferCount;
+                this.textureCount = message.metrics.textureCount;
+                this.dispatchEvent(new CustomEvent('metrics', { detail: message.metrics }));
+                break;
+            case 'runstate':
+                this.isRunning = message.running;
+                this.dispatchEvent(new CustomEvent('runstate', { detail: { running: message.running } }));
+                break;
+            case 'report':
+                this.report = RunReport.fromJSON(message.report);
+                this.dispatchEvent(new CustomEvent('timeline'));
+                break;
+            case 'timeline':
+                if (!this.report) return;
+                this.report.timeline.push(...message.timeline);
+                this.report.events.push(...message.events);
+                this.report.memory?.samples.push(...message.memory);
+                this.dispatchEvent(new CustomEvent('timeline'));
+                break;
+            case 'checkpoint':
+                this.writeCheckpoint(message.key, message.value);
+                // The worker's next allocation waits for this
+                this.worker.postMessage({ type: 'checkpointed', id: message.id });
+                break;
+            case 'result':
+            case 'error':
+                this.settle(message);
+                break;
+        }
+    }
+
+    /**
+     * Keep a checkpoint from the worker in localStorage, where a page reload finds it if the tab is killed
+     * @param {string} key - Storage key
+     * @param {string} value - Serialized checkpoint
+     */
+    writeCheckpoint(key, value) {
+        try {
+            globalThis.localStorage?.setItem(key, value);
+        } catch (error) {
+            console.warn('Failed to write run checkpoint:', error);
+        }
+    }
+
+    /**
+     * Resolve or reject the request a 'result' or 'error' message answers
+     * @param {Object} message - { id, result, state } or { id, message }
+     */
+    settle(message) {
+        const request = this.requests.get(message.id);
+        if (!request) {
+            // Errors outside a request, e.g. from Clear Memory
+            this.log(`❌ ${message.message}`, 'error');
+            return;
+        }
+        this.requests.delete(message.id);
+
+        if (message.type === 'error') {
+            request.reject(new Error(message.message));
+            return;
+        }
+        Object.assign(this, message.state);
+        if (message.result.report) {
+            this.report = RunReport.fromJSON(message.result.report);
+            this.dispatchEvent(new CustomEvent('timeline'));
+        }
+        request.resolve({ ...message.result, report: this.report });
+    }
+
+    /**
+     * Send the worker a request and wait for its answer
+     * @param {string} type - 'run' or 'verify'
+     * @param {Object} payload - Message fields
+     * @param {Array<Transferable>} transfer - Objects to transfer with the message
+     */
+    request(type, payload = {}, transfer = []) {
+        const id = this.nextRequestId++;
+        return new Promise((resolve, reject) => {
+            this.requests.set(id, { resolve, reject });
+            this.worker.postMessage({ type, id, ...payload }, transfer);
+        });
+    }
+
+    /**
+     * Run a scenario in the worker
+     * @param {Object} options - probeMemory options that can be sent to a worker: { scenario, ceiling,
+     *                           keepAllocations, recover }, plus { canvas } (an HTMLCanvasElement, transferred
+     *                           to the worker on its first run, or an OffscreenCanvas) and { control }
+     * @returns {Promise<Object>} probeMemory result, with report rebuilt as a RunReport
+     */
+    async run(options = {}) {
+        if (this.isRunning) {
+            throw new Error(`${this.apiName} is already running in its worker`);
+        }
+
+        const control = options.control || new RunControl();
+        const forward = {
+            pause: () => this.worker.postMessage({ type: 'pause' }),
+            resume: () => this.worker.postMessage({ type: 'resume' }),
+            stop: (event) => this.worker.postMessage({ type: 'stop', reason: event.detail.reason })
+        };
+        Object.entries(forward).forEach(([type, listener]) => control.addEventListener(type, listener));
+
+        const canvas = this.takeCanvas(options.canvas);
+        try {
+            const result = this.request('run', {
+                options: {
+                    api: this.api,
+                    canvas,
+                    simulation: this.simulation,
+                    checkpointKey: this.checkpointKey,
+                    scenario: options.scenario,
+                    ceiling: options.ceiling ?? null,
+                    keepAllocations: options.keepAllocations ?? false,
+                    recover: options.recover ?? false
+                }
+            }, canvas ? [canvas] : []);
+            // A control stopped before the run started has no event left to forward
+            if (control.stopped) {
+                this.worker.postMessage({ type: 'stop', reason: control.stopReason });
+            }
+            return await result;
+        } finally {
+            Object.entries(forward).forEach(([type, listener]) => control.removeEventListener(type, listener));
+        }
+    }
+
+    /**
+     * The canvas to hand to the worker with a run: a page canvas is transferred the first time it is
+     * used, after which the worker keeps rendering to it and nothing is sent
+     * @param {HTMLCanvasElement|OffscreenCanvas|null} canvas - Canvas for the run
+     * @returns {OffscreenCanvas|null} Canvas to transfer, or null to keep the worker's current one
+     */
+    takeCanvas(canvas) {
+        if (!canvas || canvas === this.canvas) return null;
+        if (typeof OffscreenCanvas !== 'undefined' && canvas instanceof OffscreenCanvas) return canvas;
+
+        this.canvas = canvas;
+        return canvas.transferControlToOffscreen();
+    }
+
+    /**
+     * Read every allocation back in the worker and compare it with what was uploaded
+     * @returns {Promise<Object>} { verified, corrupted, missing, skipped, problems }
+     */
+    async verifyResidency() {
+        const { verification } = await this.request('verify');
+        return verification;
+    }
+
+    /**
+     * Release everything the worker holds
+     */
+    clearMemory() {
+        this.worker.postMessage({ type: 'clear' });
+    }
+
+    /**
+     * Whether the worker's device or context was lost and can be restored by running with { recover: true }
+     */
+    canRecover() {
+        return this.recoverable;
+    }
+
+    /**
+     * Stop the worker, releasing everything it held; pending requests are rejected
+     */
+    terminate() {
+        this.worker.removeEventListener('message', this.onMessage);
+        this.worker.terminate();
+        this.requests.forEach(({ reject }) => reject(new Error(`${this.apiName} worker was terminated`)));
+        this.requests.clear();
+        this.isRunning = false;
+    }
+}
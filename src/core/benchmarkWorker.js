@@ -0,0 +1,143 @@
+import { createBackend } from '../benchmarks/backends.js';
+import { probeMemory } from './probeMemory.js';
+import { RunControl } from './RunControl.js';
+import { createDetachedCanvas } from '../utils/canvas.js';
+
+/**
+ * Dedicated worker that hosts one backend for a WorkerBenchmark on the page. Allocation, data
+ * generation and the texture display all happen here; the page only receives messages:
+ * - { type: 'log', entry }, { type: 'metrics', metrics }, { type: 'runstate', running }
+ * - { type: 'report', report } when a run starts a new report, then { type: 'timeline', timeline, events, memory }
+ *   with the entries and memory samples added since the last message
+ * - { type: 'checkpoint', id, key, value } for the page to write to localStorage, which workers lack, and
+ *   answer with { type: 'checkpointed', id }
+ * - { type: 'result', id, result, state } or { type: 'error', id, message } answering 'run' and 'verify'
+ */
+
+// Backend kept across runs so allocations, Clear Memory and recovery work as on the page
+let backend = null;
+let backendApi = null;
+let control = null;
+// Report the page last received, and how much of its timeline, events and memory samples it has
+let sent = { report: null, timeline: 0, events: 0, memory: 0 };
+
+// Checkpoints are posted to the page, and each allocation waits for the page to acknowledge the
+// checkpoint before it, so a tab killed by the allocation still has it stored
+let checkpoints = 0;
+const acknowledgements = new Map();
+let lastCheckpoint = Promise.resolve();
+const pageStorage = {
+    setItem: (key, value) => {
+        const id = ++checkpoints;
+        lastCheckpoint = new Promise(resolve => acknowledgements.set(id, resolve));
+        self.postMessage({ type: 'checkpoint', id, key, value });
+    },
+    whenWritten: () => lastCheckpoint
+};
+
+const handlers = {
+    run: async ({ id, options }) => {
+        const result = await probeMemory({ ...options, backend: useBackend(options), control: control = new RunControl() });
+        control = null;
+        reply(id, { ...result, report: result.report.toJSON() });
+    },
+    verify: async ({ id }) => {
+        if (!backend) throw new Error('Nothing has been allocated yet');
+        const verification = await backend.verifyResidency();
+        reply(id, { verification, report: backend.report ? backend.report.toJSON() : null });
+    },
+    pause: () => control?.pause(),
+    resume: () => control?.resume(),
+    stop: ({ reason }) => control?.stop(reason),
+    clear: () => backend?.clearMemory(),
+    checkpointed: ({ id }) => {
+        acknowledgements.get(id)?.();
+        acknowledgements.delete(id);
+    }
+};
+
+self.addEventListener('message', async (event) => {
+    const message = event.data;
+    try {
+        await handlers[message.type](message);
+    } catch (error) {
+        control = null;
+        self.postMessage({ type: 'error', id: message.id, message: error.message });
+    }
+});
+
+/**
+ * The backend for a run, created on the first run and kept until a run asks for another api, so
+ * allocations kept by one run are still held by the next. A canvas handed over later only replaces
+ * the backend while it holds nothing; otherwise the display stays on the first canvas
+ * @param {Object} options - Run options from the page: { api, canvas, simulation, checkpointKey }
+ * @returns {BaseBenchmark} Backend to run on
+ */
+function useBackend({ api, canvas, simulation, checkpointKey }) {
+    if (backend && backendApi !== api) {
+        if (backend.allocatedMemory > 0) {
+            backend.log(`🧹 Released ${backend.formatBytes(backend.allocatedMemory)} held by ${backend.apiName} to switch the worker to ${api}`, 'warning');
+        }
+        backend.dispose();
+        backend = null;
+    } else if (backend && canvas) {
+        if (backend.allocatedMemory > 0) {
+            backend.log('⚠️ Keeping the allocations; the texture display stays on the first canvas', 'warning');
+        } else {
+            backend.dispose();
+            backend = null;
+        }
+    }
+    if (backend) return backend;
+
+    backend = createBackend(api, {
+        canvas: canvas || createDetachedCanvas(256, 256),
+        simulation,
+        checkpointKey,
+        checkpointStorage: pageStorage,
+        logToConsole: false
+    });
+    backendApi = api;
+    backend.addEventListener('log', (event) => self.postMessage({ type: 'log', entry: event.detail }));
+    backend.addEventListener('metrics', (event) => self.postMessage({ type: 'metrics', metrics: event.detail }));
+    backend.addEventListener('runstate', (event) => self.postMessage({ type: 'runstate', running: event.detail.running }));
+    backend.addEventListener('timeline', () => sendTimeline(backend.report));
+    return backend;
+}
+
+/**
+ * Send the page what the report gained since the last message, or the whole report if it is a new one
+ * @param {RunReport|null} report - Backend's current report
+ */
+function sendTimeline(report) {
+    if (!report) return;
+    const samples = report.memory ? report.memory.samples : [];
+    if (report !== sent.report) {
+        sent = { report, timeline: report.timeline.length, events: report.events.length, memory: samples.length };
+        self.postMessage({ type: 'report', report: report.toJSON() });
+        return;
+    }
+
+    const timeline = report.timeline.slice(sent.timeline);
+    const events = report.events.slice(sent.events);
+    const memory = samples.slice(sent.memory);
+    if (timeline.length === 0 && events.length === 0 && memory.length === 0) return;
+    sent.timeline = report.timeline.length;
+    sent.events = report.events.length;
+    sent.memory = samples.length;
+    self.postMessage({ type: 'timeline', timeline, events, memory });
+}
+
+/**
+ * Answer a request with its result and the backend state the page mirrors
+ * @param {number} id - Request id
+ * @param {Object} result - Structured-cloneable result
+ */
+function reply(id, result) {
+    const state = {
+        apiName: backend.apiName,
+        deviceLabel: backend.deviceLabel,
+        recoverable: backend.canRecover()
+    };
+    self.postMessage({ type: 'result', id, result, state });
+}
@@ -0,0 +1,28 @@
+import { ScenarioRunner } from './ScenarioRunner.js';
+import { AllocationProbe } from './AllocationProbe.js';
+import { ChurnRunner } from './ChurnRunner.js';
+import { ReclaimRunner } from './ReclaimRunner.js';
+import { MultiDeviceRunner } from './MultiDeviceRunner.js';
+
+const RUNNERS = {
+    allocation: ScenarioRunner,
+    probe: AllocationProbe,
+    churn: ChurnRunner,
+    reclaim: ReclaimRunner,
+    devices: MultiDeviceRunner
+};
+
+/**
+ * Create the runner for a scenario's type
+ * @param {BaseBenchmark} benchmark - Backend to run against
+ * @param {Object} scenario - Scenario object
+ * @param {RunControl} control - Cancellation token for stopping or pausing the run
+ * @returns {ScenarioRunner|AllocationProbe} Runner with an async run() method
+ */
+export function createRunner(benchmark, scenario, control) {
+    const Runner = RUNNERS[scenario.type || 'allocation'];
+    if (!Runner) {
+        throw new Error(`Unknown scenario type "${scenario.type}"`);
+    }
+    return new Runner(benchmark, scenario, control);
+}
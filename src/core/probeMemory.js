@@ -0,0 +1,260 @@
+import { createBackend } from '../benchmarks/backends.js';
+import { createRunner } from './createRunner.js';
+import { BUILTIN_SCENARIOS } from '../scenarios/builtinScenarios.js';
+import { createDetachedCanvas } from '../utils/canvas.js';
+import { RunControl } from './RunControl.js';
+import { WorkerBenchmark } from './WorkerBenchmark.js';
+
+// Backends tried in order when api is 'auto'
+const AUTO_BACKENDS = ['webgpu', 'webgl2'];
+
+/**
+ * Run a scenario headlessly and resolve with its result. Nothing is drawn to or read from the page;
+ * progress arrives through the callbacks.
+ *
+ * @param {Object} options
+ * @param {string} options.api - Backend name ('combined' for WebGPU and WebGL2 side by side), or 'auto' for the first
+ *                               supported of WebGPU and WebGL2
+ * @param {BaseBenchmark} options.backend - Existing backend to run on instead of creating one from api
+ * @param {string|Object} options.scenario - Built-in scenario id or scenario object (default 'gradual')
+ * @param {number|string} options.ceiling - Stop once this much is allocated, e.g. 2147483648 or "2GB";
+ *                                          for probe scenarios, the largest size to try; for churn
+ *                                          scenarios, the most a ceiling fill may hold; for reclaim
+ *                                          scenarios, how much to fill before clearing; for devices
+ *                                          scenarios, the most each device may hold
+ * @param {AbortSignal} options.signal - Aborting stops the run once the allocations in flight settle; a signal
+ *                                      that is already aborted stops it before its first allocation. Either way
+ *                                      the run resolves with outcome 'stopped' and stop reason 'Aborted'
+ * @param {RunControl} options.control - Stop, pause and resume the run from outside
+ * @param {boolean} options.keepAllocations - Keep the allocations instead of releasing them at the end; only allowed
+ *                                            with a backend or WorkerBenchmark passed in, which then holds them.
+ *                                            A backend created from api is always disposed when the run ends
+ * @param {boolean} options.recover - Re-run on a backend whose device or context was lost: restore it first and
+ *                                    compare the budget with the one measured before the loss (result.recovery)
+ * @param {Function} options.onProgress - Called with { allocatedMemory, bufferCount, textureCount, allocationRate }
+ * @param {Function} options.onLog - Called with { message, type, timestamp } for each log line
+ * @param {HTMLCanvasElement|OffscreenCanvas} options.canvas - Canvas for the backend (default: a detached one)
+ * @param {Object} options.simulation - Options for the simulated backend
+ * @param {boolean} options.logToConsole - Also log to the console (default false)
+ * @param {boolean|WorkerBenchmark} options.worker - Run the backend in a dedicated worker: true for a new worker that is
+ *                                                   terminated when the run ends, or a WorkerBenchmark to keep between runs.
+ *                                                   canvas may then be a page canvas, whose control moves to the worker
+ * @returns {Promise<Object>} { api, outcome, budgetBytes, failure, stopReason, totals, probe, verification, churn, reclaim,
+ *          devices, combined, recovery, report }
+ *          where budgetBytes is what was held when the run first failed or ended, and report is the RunReport.
+ *          A stopped or aborted run resolves with outcome 'stopped'
+ */
+export async function probeMemory(options = {}) {
+    if (options.keepAllocations && !options.backend && !(options.worker instanceof WorkerBenchmark)) {
+        throw new Error('keepAllocations needs a backend or WorkerBenchmark to keep the allocations on');
+    }
+    const scenario = resolveScenario(options.scenario ?? 'gradual', options.ceiling ?? null);
+    const signal = options.signal || null;
+    const control = options.control || new RunControl();
+    const abort = () => control.stop('Aborted');
+    if (signal?.aborted) {
+        abort();
+    } else {
+        signal?.addEventListener('abort', abort);
+    }
+
+    // Backend created here rather than passed in; it is disposed when the run ends
+    let created = null;
+    let benchmark = null;
+    const detach = [];
+    const listen = (benchmark) => {
+        const forward = (callback) => (event) => callback(event.detail);
+        if (options.onLog) {
+            const listener = forward(options.onLog);
+            benchmark.addEventListener('log', listener);
+            detach.push(() => benchmark.removeEventListener('log', listener));
+        }
+        if (options.onProgress) {
+            const listener = forward(options.onProgress);
+            benchmark.addEventListener('metrics', listener);
+            detach.push(() => benchmark.removeEventListener('metrics', listener));
+        }
+    };
+
+    try {
+        if (options.worker) {
+            return await runInWorker(scenario, options, control, listen);
+        }
+
+        benchmark = options.backend || null;
+        if (benchmark) {
+            listen(benchmark);
+        } else {
+            benchmark = created = await selectBackend(options, listen);
+        }
+
+        const lostRun = options.recover ? benchmark.report : null;
+        let restoreMs = null;
+        if (options.recover && benchmark.canRecover()) {
+            const restoreStartedAt = performance.now();
+            if (!await benchmark.recover()) {
+                throw new Error(`${benchmark.apiName} could not be restored`);
+            }
+            restoreMs = performance.now() - restoreStartedAt;
+        }
+
+        if (!await benchmark.initialize()) {
+            throw new Error(`${benchmark.apiName} initialization failed`);
+        }
+
+        await createRunner(benchmark, scenario, control).run();
+
+        const report = benchmark.report;
+        if (lostRun) {
+            report.setRecovery(compareRecovery(benchmark, lostRun, report, restoreMs));
+        }
+        return {
+            api: benchmark.apiName,
+            outcome: report.outcome,
+            budgetBytes: budgetOf(report),
+            failure: report.failure,
+            stopReason: report.stopReason,
+            totals: report.totals,
+            probe: report.probe,
+            verification: report.verification,
+            churn: report.churn,
+            reclaim: report.reclaim,
+            devices: report.devices,
+            combined: report.combined,
+            recovery: report.recovery,
+            report
+        };
+    } finally {
+        signal?.removeEventListener('abort', abort);
+        // Also when initialization or the run threw, so nothing is left allocated
+        if (created) {
+            created.dispose();
+        } else if (benchmark && !options.keepAllocations) {
+            benchmark.clearMemory();
+        }
+        detach.forEach(remove => remove());
+    }
+}
+
+/**
+ * Run a scenario in a dedicated worker and resolve with its result
+ * @param {Object} scenario - Resolved scenario object
+ * @param {Object} options - probeMemory options
+ * @param {RunControl} control - Control of the run, already following options.signal
+ * @param {Function} listen - Attaches the progress listeners to the worker's stand-in
+ * @returns {Promise<Object>} probeMemory result
+ */
+async function runInWorker(scenario, options, control, listen) {
+    if (options.backend) {
+        throw new Error('An existing backend cannot be moved to a worker; pass api instead');
+    }
+
+    let worker = options.worker;
+    const temporary = !(worker instanceof WorkerBenchmark);
+    if (temporary) {
+        // Without the worker's own support check, 'auto' picks WebGPU when the page has it
+        const api = !options.api || options.api === 'auto'
+            ? (typeof navigator !== 'undefined' && navigator.gpu ? 'webgpu' : 'webgl2')
+            : options.api;
+        worker = new WorkerBenchmark({ api, simulation: options.simulation });
+    }
+    listen(worker);
+
+    try {
+        return await worker.run({
+            scenario,
+            canvas: options.canvas,
+            keepAllocations: options.keepAllocations,
+            recover: options.recover,
+            control
+        });
+    } finally {
+        if (temporary) {
+            worker.terminate();
+        }
+    }
+}
+
+/**
+ * What a run could hold: the total when it first failed, or when it ended
+ * @param {RunReport} report - Finished run report
+ */
+function budgetOf(report) {
+    return report.failure ? report.failure.allocatedMemory : report.totals.allocatedMemory;
+}
+
+/**
+ * Compare the budget of a run on a restored device with the run that lost the previous one
+ * @param {BaseBenchmark} benchmark - Restored backend, for logging
+ * @param {RunReport} lostRun - Report of the run before the restore
+ * @param {RunReport} report - Report of the run on the restored device
+ * @param {number|null} restoreMs - Time the restore took, null if the browser had already restored it
+ * @returns {Object} { lostReason, restoreMs, previousBudgetBytes, budgetBytes, change }
+ */
+function compareRecovery(benchmark, lostRun, report, restoreMs) {
+    const previousBudgetBytes = lostRun.endedAt !== null ? budgetOf(lostRun) : null;
+    const budgetBytes = budgetOf(report);
+    const change = previousBudgetBytes ? (budgetBytes - previousBudgetBytes) / previousBudgetBytes : null;
+    const recovery = { lostReason: lostRun.failure ? lostRun.failure.type : null, restoreMs, previousBudgetBytes, budgetBytes, change };
+
+    if (change === null) return recovery;
+    const percent = `${change < 0 ? '' : '+'}${(change * 100).toFixed(1)}%`;
+    benchmark.log(`🩹 Restored device held ${benchmark.formatBytes(budgetBytes)} against ` +
+        `${benchmark.formatBytes(previousBudgetBytes)} before the loss (${percent})`, change < -0.05 ? 'warning' : 'success');
+    return recovery;
+}
+
+/**
+ * Look up a built-in scenario by id and apply the ceiling
+ * @param {string|Object} scenario - Scenario id or object
+ * @param {number|string|null} ceiling - Allocation ceiling
+ * @returns {Object} Scenario object
+ */
+function resolveScenario(scenario, ceiling) {
+    if (typeof scenario === 'string') {
+        const builtin = BUILTIN_SCENARIOS.find(candidate => candidate.id === scenario);
+        if (!builtin) {
+            throw new Error(`Unknown scenario "${scenario}"`);
+        }
+        scenario = builtin;
+    }
+    if (ceiling === null) return scenario;
+
+    if (scenario.type === 'probe') {
+        return { ...scenario, probe: { ...scenario.probe, maxBytes: ceiling } };
+    }
+    if (scenario.type === 'churn') {
+        return { ...scenario, churn: { ...scenario.churn, maxBytes: ceiling } };
+    }
+    if (scenario.type === 'reclaim') {
+        return { ...scenario, reclaim: { ...scenario.reclaim, targetBytes: ceiling } };
+    }
+    if (scenario.type === 'devices') {
+        return { ...scenario, devices: { ...scenario.devices, maxBytes: ceiling } };
+    }
+    return { ...scenario, stop: { ...scenario.stop, maxBytes: ceiling } };
+}
+
+/**
+ * Create the requested backend, each on its own detached canvas, and check that it is supported;
+ * unsupported ones are disposed before the next is tried
+ * @param {Object} options - probeMemory options
+ * @param {Function} listen - Attaches the progress listeners to a backend
+ * @returns {Promise<BaseBenchmark>} Supported backend
+ */
+async function selectBackend(options, listen) {
+    const api = options.api || 'auto';
+    const names = api === 'auto' ? AUTO_BACKENDS : [api];
+
+    for (const name of names) {
+        const benchmark = createBackend(name, {
+            canvas: options.canvas || createDetachedCanvas(256, 256),
+            simulation: options.simulation,
+            logToConsole: options.logToConsole ?? false
+        });
+        listen(benchmark);
+        if (await benchmark.checkSupport()) return benchmark;
+        benchmark.dispose();
+    }
+    throw new Error(`No supported backend among ${names.join(', ')}`);
+}
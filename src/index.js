@@ -0,0 +1,20 @@
+/**
+ * WebGPU Memory Benchmark
+ * Package entry point: the headless API for running scenarios without the benchmark page
+ */
+export { probeMemory } from './core/probeMemory.js';
+export { createBackend, registerBackend, backendNames } from './benchmarks/backends.js';
+export { BaseBenchmark, BACKEND_METHODS } from './core/BaseBenchmark.js';
+export { SimulatedMemoryBenchmark, DEFAULT_SIMULATION } from './benchmarks/SimulatedMemoryBenchmark.js';
+export { CombinedMemoryBenchmark } from './benchmarks/CombinedMemoryBenchmark.js';
+export { createRunner } from './core/createRunner.js';
+export { ChurnRunner } from './core/ChurnRunner.js';
+export { ReclaimRunner } from './core/ReclaimRunner.js';
+export { MultiDeviceRunner } from './core/MultiDeviceRunner.js';
+export { RunControl, RunStoppedError } from './core/RunControl.js';
+export { RunReport } from './core/RunReport.js';
+export { WorkerBenchmark } from './core/WorkerBenchmark.js';
+export { MemorySampler } from './core/MemorySampler.js';
+export { AllocationError, FailureType } from './core/AllocationError.js';
+export { BUILTIN_SCENARIOS } from './scenarios/builtinScenarios.js';
+export { normalizeScenario } from './scenarios/scenarioSchema.js';
@@ -1,11 +1,8 @@
-import { BenchmarkController } from './ui/BenchmarkController.js';
+import './ui/GpuMemoryBenchmarkElement.js';
 
 /**
  * WebGPU Memory Benchmark
  * Entry point for the application
  */
 
-// Initialize the benchmark controller when the page loads
-document.addEventListener('DOMContentLoaded', () => {
-    new BenchmarkController();
-}); 
\ No newline at end of file
+// Importing the element defines <gpu-memory-benchmark>; index.html contains one instance
\ No newline at end of file
@@ -0,0 +1,39 @@
+/**
+ * Canvas 2D Renderer - draws the simulated backend's textures as a grid of colored cells
+ */
+export class CanvasRenderer {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.context = canvas.getContext('2d');
+    }
+
+    /**
+     * Render textures in a grid layout, one cell per texture
+     * @param {Array} textures - Simulated textures with a color
+     */
+    renderTextureGrid(textures) {
+        if (!this.context || textures.length === 0) return;
+
+        const { width, height } = this.canvas;
+        const gridSize = Math.ceil(Math.sqrt(textures.length));
+        const cellWidth = width / gridSize;
+        const cellHeight = height / gridSize;
+
+        this.context.clearRect(0, 0, width, height);
+        textures.forEach((texture, i) => {
+            const row = Math.floor(i / gridSize);
+            const col = i % gridSize;
+            this.context.fillStyle = texture.color;
+            this.context.fillRect(col * cellWidth, row * cellHeight, cellWidth - 1, cellHeight - 1);
+        });
+    }
+
+    /**
+     * Clear the canvas
+     */
+    clear() {
+        if (this.context) {
+            this.context.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        }
+    }
+}
@@ -0,0 +1,98 @@
+import { WEBGL2_TOUCH_VERTEX_SHADER, WEBGL2_TOUCH_FRAGMENT_SHADER } from '../utils/shaders.js';
+
+/**
+ * Keeps WebGL2 buffers resident by fetching every word of them as vertex data.
+ * Each word is drawn as a point into a 1x1 framebuffer with additive blending,
+ * and the pixel read back at the end of a pass is a coarse checksum.
+ */
+export class WebGL2BufferToucher {
+    constructor(gl) {
+        this.gl = gl;
+        this.program = null;
+        this.vertexArray = null;
+        this.framebuffer = null;
+        this.target = null;
+        this.checksum = 0;
+        this.initialized = false;
+    }
+
+    /**
+     * Compile the vertex-fetch program and create the 1x1 target
+     */
+    initialize() {
+        if (this.initialized) return;
+        const gl = this.gl;
+
+        this.program = gl.createProgram();
+        [[gl.VERTEX_SHADER, WEBGL2_TOUCH_VERTEX_SHADER], [gl.FRAGMENT_SHADER, WEBGL2_TOUCH_FRAGMENT_SHADER]].forEach(([type, source]) => {
+            const shader = gl.createShader(type);
+            gl.shaderSource(shader, source);
+            gl.compileShader(shader);
+            if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+                throw new Error(`Shader compilation error: ${gl.getShaderInfoLog(shader)}`);
+            }
+            gl.attachShader(this.program, shader);
+        });
+        gl.linkProgram(this.program);
+        if (!gl.getProgramParameter(this.program, gl.LINK_STATUS)) {
+            throw new Error(`Program linking error: ${gl.getProgramInfoLog(this.program)}`);
+        }
+
+        // A dedicated vertex array keeps the display renderer's attribute state untouched
+        this.vertexArray = gl.createVertexArray();
+
+        this.target = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, this.target);
+        gl.texStorage2D(gl.TEXTURE_2D, 1, gl.RGBA8, 1, 1);
+        this.framebuffer = gl.createFramebuffer();
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.target, 0);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+        this.initialized = true;
+    }
+
+    /**
+     * Fetch every word of each buffer once and read back the checksum
+     * @param {Array} entries - { buffer, size } for each buffer that can be bound as vertex data
+     * @returns {Object} { touched, bytes, checksum }
+     */
+    touch(entries) {
+        this.initialize();
+        const gl = this.gl;
+        const result = { touched: 0, bytes: 0, checksum: 0 };
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+        gl.viewport(0, 0, 1, 1);
+        // clearBufferfv leaves the display's clear color alone
+        gl.clearBufferfv(gl.COLOR, 0, [0, 0, 0, 0]);
+        gl.enable(gl.BLEND);
+        gl.blendFunc(gl.ONE, gl.ONE);
+        gl.useProgram(this.program);
+        gl.bindVertexArray(this.vertexArray);
+        gl.enableVertexAttribArray(0);
+
+        try {
+            for (const { buffer, size } of entries) {
+                gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+                gl.vertexAttribIPointer(0, 1, gl.UNSIGNED_INT, 4, 0);
+                gl.drawArrays(gl.POINTS, 0, Math.floor(size / 4));
+                result.touched++;
+                result.bytes += size;
+            }
+
+            // Reading the pixel waits for every draw, so the pass has really run
+            const pixel = new Uint8Array(4);
+            gl.readPixels(0, 0, 1, 1, gl.RGBA, gl.UNSIGNED_BYTE, pixel);
+            this.checksum = new Uint32Array(pixel.buffer)[0];
+            result.checksum = this.checksum;
+            return result;
+        } finally {
+            gl.bindBuffer(gl.ARRAY_BUFFER, null);
+            gl.bindVertexArray(null);
+            gl.disable(gl.BLEND);
+            gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+            gl.viewport(0, 0, gl.canvas.width, gl.canvas.height);
+        }
+    }
+}
@@ -0,0 +1,118 @@
+import { WEBGPU_TOUCH_SHADER } from '../utils/shaders.js';
+
+const WORKGROUP_COUNT = 64;
+// Buffers without STORAGE usage are copied through a scratch buffer of this size
+const SCRATCH_SIZE = 4 * 1024 * 1024;
+
+/**
+ * Keeps WebGPU buffers resident by reading every word of them in a compute pass
+ */
+export class WebGPUBufferToucher {
+    constructor(device) {
+        this.device = device;
+        this.pipeline = null;
+        this.checksumBuffer = null;
+        this.readbackBuffer = null;
+        this.scratchBuffer = null;
+        this.bindingSize = 0;
+        this.checksum = 0;
+        this.initialized = false;
+    }
+
+    /**
+     * Create the compute pipeline and its small helper buffers
+     */
+    initialize() {
+        if (this.initialized) return;
+
+        const shaderModule = this.device.createShaderModule({ code: WEBGPU_TOUCH_SHADER });
+        this.pipeline = this.device.createComputePipeline({
+            layout: 'auto',
+            compute: { module: shaderModule, entryPoint: 'touch_main' }
+        });
+
+        this.checksumBuffer = this.device.createBuffer({
+            size: 4,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC
+        });
+        this.readbackBuffer = this.device.createBuffer({
+            size: 4,
+            usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST
+        });
+        this.scratchBuffer = this.device.createBuffer({
+            size: SCRATCH_SIZE,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
+        });
+
+        // Large buffers are bound in ranges; offsets must stay 256-byte aligned
+        this.bindingSize = Math.floor(this.device.limits.maxStorageBufferBindingSize / 256) * 256;
+        this.initialized = true;
+    }
+
+    /**
+     * Read every buffer once on the GPU and wait for the checksum
+     * @param {Array<GPUBuffer>} buffers - Buffers to touch
+     * @returns {Promise<Object>} { touched, skipped, bytes, checksum }
+     */
+    async touch(buffers) {
+        this.initialize();
+
+        const result = { touched: 0, skipped: 0, bytes: 0, checksum: 0 };
+        this.device.pushErrorScope('validation');
+
+        const commandEncoder = this.device.createCommandEncoder();
+        for (const buffer of buffers) {
+            if (buffer.usage & GPUBufferUsage.STORAGE) {
+                this.encodeReads(commandEncoder, buffer, buffer.size);
+            } else if (buffer.usage & GPUBufferUsage.COPY_SRC) {
+                // Copying reads every byte; the compute pass then folds the copy into the checksum
+                for (let offset = 0; offset < buffer.size; offset += SCRATCH_SIZE) {
+                    const length = Math.min(SCRATCH_SIZE, buffer.size - offset);
+                    commandEncoder.copyBufferToBuffer(buffer, offset, this.scratchBuffer, 0, length);
+                    this.encodeReads(commandEncoder, this.scratchBuffer, length);
+                }
+            } else {
+                // Readback buffers can only be mapped, not read by the GPU
+                result.skipped++;
+                continue;
+            }
+            result.touched++;
+            result.bytes += buffer.size;
+        }
+        commandEncoder.copyBufferToBuffer(this.checksumBuffer, 0, this.readbackBuffer, 0, 4);
+        this.device.queue.submit([commandEncoder.finish()]);
+
+        const error = await this.device.popErrorScope();
+        if (error) {
+            throw new Error(error.message);
+        }
+
+        await this.readbackBuffer.mapAsync(GPUMapMode.READ);
+        this.checksum = new Uint32Array(this.readbackBuffer.getMappedRange())[0];
+        this.readbackBuffer.unmap();
+
+        result.checksum = this.checksum;
+        return result;
+    }
+
+    /**
+     * Encode compute passes reading the first size bytes of a buffer
+     */
+    encodeReads(commandEncoder, buffer, size) {
+        for (let offset = 0; offset < size; offset += this.bindingSize) {
+            const bindGroup = this.device.createBindGroup({
+                layout: this.pipeline.getBindGroupLayout(0),
+                entries: [
+                    { binding: 0, resource: { buffer, offset, size: Math.min(this.bindingSize, size - offset) } },
+                    { binding: 1, resource: { buffer: this.checksumBuffer } }
+                ]
+            });
+
+            const computePass = commandEncoder.beginComputePass();
+            computePass.setPipeline(this.pipeline);
+            computePass.setBindGroup(0, bindGroup);
+            computePass.dispatchWorkgroups(WORKGROUP_COUNT);
+            computePass.end();
+        }
+    }
+}
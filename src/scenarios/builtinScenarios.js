@@ -0,0 +1,177 @@
+/**
+ * Built-in allocation scenarios (see scenarioSchema.js for the format)
+ */
+export const BUILTIN_SCENARIOS = [
+    {
+        id: 'gradual',
+        name: 'Gradual Memory Test',
+        description: 'Slowly increases allocation size to find the soft limit',
+        stop: { maxBytes: '16000MB' },
+        steps: [{
+            concurrency: 1,
+            delayMs: 100,
+            allocations: [
+                { kind: 'buffer', size: '1MB', growth: { every: 10, factor: 1.1, max: '256MB' } },
+                {
+                    kind: 'texture',
+                    size: 512,
+                    sizeSteps: [
+                        { after: 6, size: 1024 },
+                        { after: 16, size: 2048 },
+                        { after: 26, size: 4096 }
+                    ]
+                }
+            ]
+        }]
+    },
+    {
+        id: 'stress',
+        name: 'Stress Test',
+        description: 'Aggressively allocates large chunks to hit the hard limit quickly',
+        stop: { maxBytes: '16000MB' },
+        steps: [{
+            concurrency: 3,
+            delayMs: 50,
+            allocations: [
+                { kind: 'buffer', size: '16MB' },
+                {
+                    kind: 'texture',
+                    size: 2048,
+                    sizeSteps: [
+                        { after: 11, size: 4096 },
+                        { after: 21, size: 8192 }
+                    ]
+                }
+            ]
+        }]
+    },
+    {
+        id: 'format-matrix',
+        name: 'Texture Format Matrix',
+        description: 'Allocates 2048x2048 textures in every supported format, charged by each format\'s block size',
+        stop: { maxBytes: '16000MB' },
+        steps: [{
+            delayMs: 100,
+            allocations: [
+                'rgba8unorm', 'r8unorm', 'rgba16float', 'rgba32float', 'depth24plus', 'depth32float',
+                'bc1-rgba-unorm', 'bc3-rgba-unorm', 'bc7-rgba-unorm', 'etc2-rgb8unorm', 'etc2-rgba8unorm',
+                'astc-4x4-unorm', 'astc-8x8-unorm'
+            ].map(format => ({ kind: 'texture', size: 2048, format }))
+        }]
+    },
+    {
+        id: 'texture-shapes',
+        name: 'Mipmapped, Array & 3D Textures',
+        description: 'Allocates full mip chains, 2D array textures and 3D textures side by side',
+        stop: { maxBytes: '16000MB' },
+        steps: [{
+            delayMs: 100,
+            allocations: [
+                { kind: 'texture', size: 2048, mipLevels: 'full' },
+                { kind: 'texture', size: 1024, dimension: '2d-array', layers: 16, mipLevels: 'full' },
+                { kind: 'texture', size: 256, dimension: '3d', layers: 256 }
+            ]
+        }]
+    },
+    {
+        id: 'buffer-usages',
+        name: 'Buffer Usage Matrix',
+        description: 'Allocates 16MB buffers with each usage preset to compare device-local and mappable memory pools',
+        stop: { maxBytes: '16000MB' },
+        steps: [{
+            delayMs: 100,
+            allocations: [
+                { kind: 'buffer', size: '16MB', usage: 'storage' },
+                { kind: 'buffer', size: '16MB', usage: 'storage', mappedAtCreation: true },
+                { kind: 'buffer', size: '16MB', usage: 'vertex' },
+                { kind: 'buffer', size: '16MB', usage: 'index' },
+                { kind: 'buffer', size: '16MB', usage: 'uniform' },
+                { kind: 'buffer', size: '16MB', usage: 'readback' },
+                { kind: 'buffer', size: '16MB', usage: 'upload' }
+            ]
+        }]
+    },
+    {
+        id: 'working-set',
+        name: 'Active Working Set',
+        description: 'Allocates buffers that are all read on the GPU every 100ms, so idle memory cannot be paged out or compressed',
+        stop: { maxBytes: '16000MB' },
+        touch: { intervalMs: 100 },
+        steps: [{
+            delayMs: 100,
+            allocations: [
+                { kind: 'buffer', size: '32MB' },
+                { kind: 'buffer', size: '32MB', usage: 'vertex' }
+            ]
+        }]
+    },
+    {
+        id: 'churn',
+        type: 'churn',
+        name: 'Allocation Churn',
+        description: 'Frees and re-allocates mixed buffers and textures in random order around 256MB live, ' +
+            'checking after every 5 cycles whether the freed memory can be allocated again',
+        verify: true,
+        churn: {
+            targetBytes: '256MB',
+            cycles: 20,
+            turnover: 0.5,
+            freeOrder: 'random',
+            measureEvery: 5,
+            fillSize: '16MB',
+            maxBytes: '16000MB',
+            leakTolerance: 0.05,
+            allocations: [
+                { kind: 'buffer', size: '256KB' },
+                { kind: 'buffer', size: '1MB' },
+                { kind: 'buffer', size: '4MB', usage: 'vertex' },
+                { kind: 'buffer', size: '16MB' },
+                { kind: 'texture', size: 512 },
+                { kind: 'texture', size: 1024, mipLevels: 'full' },
+                { kind: 'texture', size: 2048 }
+            ]
+        }
+    },
+    {
+        id: 'reclaim',
+        type: 'reclaim',
+        name: 'Reclaim After Clear',
+        description: 'Fills 1GB, clears it, then re-allocates it 0ms to 5s later to see how soon the memory comes back. ' +
+            '"Clear Memory" runs the same check on whatever is allocated',
+        reclaim: {
+            fill: true,
+            targetBytes: '1GB',
+            fillSize: '16MB',
+            waitForIdle: true,
+            delaysMs: [0, 100, 500, 2000, 5000]
+        }
+    },
+    {
+        id: 'devices',
+        type: 'devices',
+        name: 'Multiple Devices & Contexts',
+        description: 'Fills one device (WebGL2 context), then 4 at once, to tell whether the limit is per device or ' +
+            'per process, then creates up to 32 to see how many can be live before one is lost',
+        devices: {
+            count: 4,
+            fillSize: '16MB',
+            maxBytes: '16000MB',
+            tolerance: 0.25,
+            contexts: 32
+        }
+    },
+    {
+        id: 'probe',
+        type: 'probe',
+        name: 'Largest Single Allocation Probe',
+        description: 'Bisects the largest buffer and square texture that can be created, uploaded and verified',
+        probe: {
+            kinds: ['buffer', 'texture'],
+            maxBytes: '16GB',
+            bufferStart: '1MB',
+            bufferPrecision: '1MB',
+            textureStart: 256,
+            texturePrecision: 16
+        }
+    }
+];
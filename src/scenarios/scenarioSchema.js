@@ -0,0 +1,372 @@
+import { parseSize } from '../utils/formatters.js';
+import { TEXTURE_FORMATS, validateTextureOptions } from '../utils/textureFormats.js';
+import { BUFFER_USAGES, WEBGL2_BUFFER_HINTS } from '../utils/bufferUsages.js';
+
+const RESOURCE_KINDS = ['buffer', 'texture'];
+const SCENARIO_TYPES = ['allocation', 'probe', 'churn', 'reclaim', 'devices'];
+const FREE_ORDERS = ['random', 'oldest', 'newest'];
+
+/**
+ * Validate a scenario (as parsed from JSON) and resolve sizes and defaults.
+ *
+ * Scenario format:
+ * {
+ *   "id": "gradual",
+ *   "name": "Gradual Memory Test",
+ *   "description": "...",
+ *   "stop": { "maxBytes": "16000MB", "maxDurationMs": 60000, "maxAllocations": 500 },
+ *   "seed": 1,                     // upload contents are generated from this seed (default 1)
+ *   "verify": true,                // read every allocation back at the end of the run
+ *   "touch": { "intervalMs": 100 }, // read every buffer on the GPU this often during the run
+ *   "memorySampling": { "intervalMs": 1000 }, // sample JS heap and process memory this often (false for never)
+ *   "steps": [{
+ *     "iterations": 10,            // omit to repeat until a stop condition is met
+ *     "concurrency": 1,            // copies of the allocation list issued in parallel per iteration
+ *     "delayMs": 100,              // pause after each iteration
+ *     "allocations": [
+ *       { "kind": "buffer", "size": "1MB", "growth": { "every": 10, "factor": 1.1, "max": "256MB" } },
+ *       { "kind": "buffer", "size": "4MB", "usage": "uniform", "mappedAtCreation": true, "hint": "DYNAMIC_DRAW" },
+ *       { "kind": "texture", "size": 512, "format": "rgba16float", "sizeSteps": [{ "after": 6, "size": 1024 }] },
+ *       { "kind": "texture", "size": 256, "dimension": "2d-array", "layers": 16, "mipLevels": "full" }
+ *     ]
+ *   }]
+ * }
+ *
+ * Buffer sizes are bytes (number or string with unit); texture sizes are edge lengths in pixels,
+ * either "size" for square textures or "width" and "height". A size step takes effect once
+ * "after" allocations of its entry have been issued; growth multiplies the size by "factor"
+ * every "every" allocations, capped at "max". Texture "format" is a WebGPU format name
+ * (see textureFormats.js) and defaults to rgba8unorm. Textures may also set "mipLevels" (a count
+ * or "full" for the whole chain), "dimension" ("2d", "2d-array" or "3d") and "layers", the
+ * array layer count or 3d depth; "layers" above 1 without a dimension means "2d-array".
+ * Buffer "usage" is a preset from bufferUsages.js (default storage); "mappedAtCreation" fills
+ * WebGPU buffers through a mapping and "hint" overrides the preset's WebGL2 usage hint.
+ * "memorySampling" applies to every scenario type and is on at 1000ms unless set to false.
+ *
+ * @param {Object} raw - Scenario object
+ * @returns {Object} Normalized scenario
+ */
+export function normalizeScenario(raw) {
+    if (!raw || typeof raw !== 'object') {
+        throw new Error('Scenario must be a JSON object');
+    }
+    if (typeof raw.id !== 'string' || !raw.id) {
+        throw new Error('Scenario needs a string "id"');
+    }
+
+    const type = raw.type || 'allocation';
+    if (!SCENARIO_TYPES.includes(type)) {
+        throw new Error(`Scenario "${raw.id}" has unknown type "${type}"`);
+    }
+
+    return {
+        ...normalizeScenarioType(raw, type),
+        memorySampling: normalizeMemorySampling(raw.memorySampling)
+    };
+}
+
+/**
+ * Resolve the fields specific to a scenario's type
+ * @param {Object} raw - Scenario object
+ * @param {string} type - One of SCENARIO_TYPES
+ */
+function normalizeScenarioType(raw, type) {
+    if (type === 'probe') {
+        return normalizeProbeScenario(raw);
+    }
+    if (type === 'churn') {
+        return normalizeChurnScenario(raw);
+    }
+    if (type === 'reclaim') {
+        return normalizeReclaimScenario(raw);
+    }
+    if (type === 'devices') {
+        return normalizeDevicesScenario(raw);
+    }
+
+    if (!Array.isArray(raw.steps) || raw.steps.length === 0) {
+        throw new Error(`Scenario "${raw.id}" needs at least one step`);
+    }
+
+    const stop = raw.stop || {};
+    return {
+        id: raw.id,
+        type,
+        name: raw.name || raw.id,
+        description: raw.description || '',
+        ...normalizeRunOptions(raw),
+        stop: {
+            maxBytes: stop.maxBytes !== undefined ? parseSize(stop.maxBytes) : Infinity,
+            maxDurationMs: optionalNumber(stop.maxDurationMs, 'stop.maxDurationMs', Infinity),
+            maxAllocations: optionalNumber(stop.maxAllocations, 'stop.maxAllocations', Infinity)
+        },
+        steps: raw.steps.map((step, index) => normalizeStep(step, `steps[${index}]`))
+    };
+}
+
+/**
+ * Memory sampling settings; sampling is on unless turned off with false (or null, once normalized)
+ * @param {Object|boolean|null|undefined} sampling - { intervalMs }
+ * @returns {Object|null} { intervalMs }, or null for no sampling
+ */
+function normalizeMemorySampling(sampling) {
+    if (sampling === false || sampling === null) return null;
+    const intervalMs = sampling === undefined || sampling === true ? 1000
+        : optionalNumber(sampling.intervalMs, 'memorySampling.intervalMs', 1000);
+    return { intervalMs: Math.max(10, intervalMs) };
+}
+
+/**
+ * Probe scenarios search for the largest single allocation instead of running steps:
+ * { "id": "probe", "type": "probe", "probe": { "kinds": ["buffer", "texture"], "maxBytes": "16GB",
+ *   "bufferStart": "1MB", "bufferPrecision": "1MB", "textureStart": 256, "texturePrecision": 16 } }
+ */
+function normalizeProbeScenario(raw) {
+    const probe = raw.probe || {};
+    const kinds = probe.kinds || RESOURCE_KINDS;
+    if (!Array.isArray(kinds) || kinds.some(kind => !RESOURCE_KINDS.includes(kind))) {
+        throw new Error(`probe.kinds must only contain ${RESOURCE_KINDS.join(', ')}`);
+    }
+
+    return {
+        id: raw.id,
+        type: 'probe',
+        name: raw.name || raw.id,
+        description: raw.description || '',
+        probe: {
+            kinds,
+            maxBytes: parseSize(probe.maxBytes ?? '16GB'),
+            bufferStart: parseSize(probe.bufferStart ?? '1MB'),
+            bufferPrecision: Math.max(4, Math.ceil(parseSize(probe.bufferPrecision ?? '1MB') / 4) * 4),
+            textureStart: parseDimension(probe.textureStart ?? 256, 'probe.textureStart'),
+            texturePrecision: parseDimension(probe.texturePrecision ?? 16, 'probe.texturePrecision')
+        }
+    };
+}
+
+/**
+ * Churn scenarios hold a live set of mixed allocations at a target size, repeatedly freeing part of it
+ * and allocating replacements, and fill up to the ceiling every few cycles to see whether freed memory
+ * came back:
+ * { "id": "churn", "type": "churn", "seed": 1, "verify": true, "touch": { "intervalMs": 100 },
+ *   "churn": { "targetBytes": "256MB", "cycles": 20, "turnover": 0.5, "freeOrder": "random",
+ *     "measureEvery": 5, "fillSize": "16MB", "maxBytes": "16GB", "leakTolerance": 0.05, "delayMs": 0,
+ *     "allocations": [{ "kind": "buffer", "size": "4MB" }, { "kind": "texture", "size": 1024 }] } }
+ *
+ * Each cycle frees "turnover" of the live bytes in "freeOrder" ('random', 'oldest' or 'newest') and
+ * refills to "targetBytes" with entries picked at random. The ceiling is measured before the first
+ * cycle, every "measureEvery" cycles (0 for never) and after the last, by filling with "fillSize"
+ * buffers until allocation fails or "maxBytes" is held. A ceiling more than "leakTolerance" below
+ * the first one that is still falling is flagged as a leak.
+ */
+function normalizeChurnScenario(raw) {
+    const churn = raw.churn || {};
+    if (!Array.isArray(churn.allocations) || churn.allocations.length === 0) {
+        throw new Error(`Scenario "${raw.id}" needs at least one churn allocation`);
+    }
+
+    const freeOrder = churn.freeOrder || 'random';
+    if (!FREE_ORDERS.includes(freeOrder)) {
+        throw new Error(`churn.freeOrder must be one of ${FREE_ORDERS.join(', ')}`);
+    }
+    const turnover = optionalNumber(churn.turnover, 'churn.turnover', 0.5);
+    if (turnover === 0 || turnover > 1) {
+        throw new Error('churn.turnover must be above 0 and at most 1');
+    }
+    const targetBytes = parseSize(churn.targetBytes ?? '256MB');
+    if (targetBytes <= 0) {
+        throw new Error('churn.targetBytes must be above 0');
+    }
+
+    return {
+        id: raw.id,
+        type: 'churn',
+        name: raw.name || raw.id,
+        description: raw.description || '',
+        ...normalizeRunOptions(raw),
+        churn: {
+            targetBytes,
+            cycles: Math.floor(optionalNumber(churn.cycles, 'churn.cycles', 20)),
+            turnover,
+            freeOrder,
+            measureEvery: Math.floor(optionalNumber(churn.measureEvery, 'churn.measureEvery', 5)),
+            fillSize: Math.max(4, Math.ceil(parseSize(churn.fillSize ?? '16MB') / 4) * 4),
+            maxBytes: parseSize(churn.maxBytes ?? '16GB'),
+            leakTolerance: optionalNumber(churn.leakTolerance, 'churn.leakTolerance', 0.05),
+            delayMs: optionalNumber(churn.delayMs, 'churn.delayMs', 0),
+            allocations: churn.allocations.map((allocation, index) => normalizeAllocation(allocation, `churn.allocations[${index}]`))
+        }
+    };
+}
+
+/**
+ * Reclaim scenarios check whether cleared memory can be allocated again, and how soon:
+ * { "id": "reclaim", "type": "reclaim",
+ *   "reclaim": { "fill": true, "targetBytes": "1GB", "fillSize": "16MB",
+ *     "waitForIdle": true, "delaysMs": [0, 100, 500, 2000, 5000] } }
+ *
+ * With "fill" the run first allocates "fillSize" buffers up to "targetBytes" (or until allocation
+ * fails); without it, it starts from whatever the backend already holds. Everything is then cleared,
+ * the GPU is waited on when "waitForIdle" is set, and at each delay after clearing more "fillSize"
+ * buffers are allocated, keeping what earlier attempts got, until the peak is held again.
+ */
+function normalizeReclaimScenario(raw) {
+    const reclaim = raw.reclaim || {};
+    const delaysMs = reclaim.delaysMs ?? [0, 100, 500, 2000, 5000];
+    if (!Array.isArray(delaysMs) || delaysMs.length === 0) {
+        throw new Error('reclaim.delaysMs must be a non-empty array');
+    }
+
+    return {
+        id: raw.id,
+        type: 'reclaim',
+        name: raw.name || raw.id,
+        description: raw.description || '',
+        seed: optionalNumber(raw.seed, 'seed', 1) >>> 0,
+        reclaim: {
+            fill: reclaim.fill !== false,
+            targetBytes: parseSize(reclaim.targetBytes ?? '1GB'),
+            fillSize: Math.max(4, Math.ceil(parseSize(reclaim.fillSize ?? '16MB') / 4) * 4),
+            waitForIdle: reclaim.waitForIdle !== false,
+            delaysMs: delaysMs.map((delay, index) => optionalNumber(delay, `reclaim.delaysMs[${index}]`, 0)).sort((a, b) => a - b)
+        }
+    };
+}
+
+/**
+ * Devices scenarios compare what one device (or WebGL2 context) can hold with what several hold together,
+ * and count how many contexts can be live at once:
+ * { "id": "devices", "type": "devices",
+ *   "devices": { "count": 4, "fillSize": "16MB", "maxBytes": "16GB", "tolerance": 0.25, "contexts": 32 } }
+ *
+ * One device is first filled with "fillSize" buffers until allocation fails or it holds "maxBytes". Then
+ * "count" devices are filled in turn, one buffer each, until each fails or holds "maxBytes". Holding about
+ * "count" times as much together means the limit is per device, about as much as one means it is per process;
+ * "tolerance" is how far from those the total may be. Finally up to "contexts" devices are created one by one
+ * until one of them is lost (0 to skip).
+ */
+function normalizeDevicesScenario(raw) {
+    const devices = raw.devices || {};
+    const count = Math.floor(optionalNumber(devices.count, 'devices.count', 4));
+    if (count < 2) {
+        throw new Error('devices.count must be at least 2');
+    }
+    const tolerance = optionalNumber(devices.tolerance, 'devices.tolerance', 0.25);
+    if (tolerance >= 1) {
+        throw new Error('devices.tolerance must be below 1');
+    }
+
+    return {
+        id: raw.id,
+        type: 'devices',
+        name: raw.name || raw.id,
+        description: raw.description || '',
+        seed: optionalNumber(raw.seed, 'seed', 1) >>> 0,
+        devices: {
+            count,
+            fillSize: Math.max(4, Math.ceil(parseSize(devices.fillSize ?? '16MB') / 4) * 4),
+            maxBytes: parseSize(devices.maxBytes ?? '16GB'),
+            tolerance,
+            contexts: Math.floor(optionalNumber(devices.contexts, 'devices.contexts', 32))
+        }
+    };
+}
+
+/**
+ * Seed, verification and buffer touching, shared by allocation and churn scenarios
+ */
+function normalizeRunOptions(raw) {
+    return {
+        seed: optionalNumber(raw.seed, 'seed', 1) >>> 0,
+        verify: !!raw.verify,
+        touch: raw.touch ? { intervalMs: Math.max(1, optionalNumber(raw.touch.intervalMs, 'touch.intervalMs', 100)) } : null
+    };
+}
+
+function normalizeStep(step, path) {
+    if (!Array.isArray(step.allocations) || step.allocations.length === 0) {
+        throw new Error(`${path} needs at least one allocation`);
+    }
+
+    return {
+        iterations: optionalNumber(step.iterations, `${path}.iterations`, Infinity),
+        concurrency: Math.max(1, Math.floor(optionalNumber(step.concurrency, `${path}.concurrency`, 1))),
+        delayMs: optionalNumber(step.delayMs, `${path}.delayMs`, 0),
+        allocations: step.allocations.map((allocation, index) => normalizeAllocation(allocation, `${path}.allocations[${index}]`))
+    };
+}
+
+function normalizeAllocation(allocation, path) {
+    if (!RESOURCE_KINDS.includes(allocation.kind)) {
+        throw new Error(`${path}.kind must be one of ${RESOURCE_KINDS.join(', ')}`);
+    }
+
+    const normalized = { ...allocation };
+
+    if (allocation.kind === 'buffer') {
+        normalized.size = parseSize(allocation.size);
+
+        normalized.usage = allocation.usage || 'storage';
+        if (!BUFFER_USAGES[normalized.usage]) {
+            throw new Error(`${path}.usage must be one of ${Object.keys(BUFFER_USAGES).join(', ')}`);
+        }
+        normalized.mappedAtCreation = !!allocation.mappedAtCreation;
+        normalized.hint = allocation.hint || null;
+        if (normalized.hint && !WEBGL2_BUFFER_HINTS.includes(normalized.hint)) {
+            throw new Error(`${path}.hint must be one of ${WEBGL2_BUFFER_HINTS.join(', ')}`);
+        }
+    } else {
+        normalized.width = parseDimension(allocation.width ?? allocation.size, `${path}.width`);
+        normalized.height = parseDimension(allocation.height ?? allocation.size, `${path}.height`);
+        delete normalized.size;
+
+        normalized.format = allocation.format || 'rgba8unorm';
+        if (!TEXTURE_FORMATS[normalized.format]) {
+            throw new Error(`${path}.format must be one of ${Object.keys(TEXTURE_FORMATS).join(', ')}`);
+        }
+
+        normalized.mipLevels = allocation.mipLevels ?? 1;
+        normalized.layers = allocation.layers ?? 1;
+        normalized.dimension = allocation.dimension || (normalized.layers > 1 ? '2d-array' : '2d');
+        try {
+            validateTextureOptions(normalized.format, normalized);
+        } catch (error) {
+            throw new Error(`${path}: ${error.message}`);
+        }
+    }
+
+    normalized.sizeSteps = (allocation.sizeSteps || []).map((sizeStep, index) => ({
+        after: optionalNumber(sizeStep.after, `${path}.sizeSteps[${index}].after`, 0),
+        size: allocation.kind === 'buffer'
+            ? parseSize(sizeStep.size)
+            : parseDimension(sizeStep.size, `${path}.sizeSteps[${index}].size`)
+    })).sort((a, b) => a.after - b.after);
+
+    if (allocation.growth) {
+        normalized.growth = {
+            every: Math.max(1, optionalNumber(allocation.growth.every, `${path}.growth.every`, 1)),
+            factor: optionalNumber(allocation.growth.factor, `${path}.growth.factor`, 1),
+            max: allocation.growth.max !== undefined
+                ? (allocation.kind === 'buffer' ? parseSize(allocation.growth.max) : parseDimension(allocation.growth.max, `${path}.growth.max`))
+                : Infinity
+        };
+    }
+
+    return normalized;
+}
+
+function parseDimension(value, path) {
+    const dimension = Number(value);
+    if (!Number.isInteger(dimension) || dimension <= 0) {
+        throw new Error(`${path} must be a positive integer`);
+    }
+    return dimension;
+}
+
+function optionalNumber(value, path, fallback) {
+    if (value === undefined || value === null) return fallback;
+    if (typeof value !== 'number' || Number.isNaN(value) || value < 0) {
+        throw new Error(`${path} must be a non-negative number`);
+    }
+    return value;
+}
@@ -1,30 +1,146 @@
-import { WebGPUMemoryBenchmark } from '../benchmarks/WebGPUMemoryBenchmark.js';
-import { WebGL2MemoryBenchmark } from '../benchmarks/WebGL2MemoryBenchmark.js';
+import { createBackend } from '../benchmarks/backends.js';
+import { RunCheckpoint } from '../core/RunCheckpoint.js';
+import { probeMemory } from '../core/probeMemory.js';
+import { RunControl } from '../core/RunControl.js';
+import { WorkerBenchmark } from '../core/WorkerBenchmark.js';
+import { BUILTIN_SCENARIOS } from '../scenarios/builtinScenarios.js';
+import { normalizeScenario } from '../scenarios/scenarioSchema.js';
+import { formatBytes } from '../utils/formatters.js';
+import { downloadFile } from '../utils/download.js';
+import { TimelineChart } from './TimelineChart.js';
+import { BenchmarkView } from './BenchmarkView.js';
+import { parseUrlParameters } from './urlParameters.js';
 
 /**
  * Unified benchmark controller
- * Manages UI interactions and test execution
+ * Manages UI interactions and test execution within one copy of the benchmark markup
+ * Dispatches 'benchmark-start', 'benchmark-progress' and 'benchmark-complete' events on options.host
  */
 export class BenchmarkController {
-    constructor() {
+    /**
+     * @param {Document|ShadowRoot} root - Root containing the benchmark markup
+     * @param {Object} options - { host, api, scenario, autostart, ceiling, report, checkpointKey, worker },
+     *                           { urlParameters: true } to let the page URL override them
+     */
+    constructor(root = document, options = {}) {
+        this.root = root;
+        this.host = options.host || null;
+        this.options = options;
         this.currentApi = 'webgpu';
+        const backendOptions = { checkpointKey: options.checkpointKey };
         this.benchmarks = {
-            webgpu: new WebGPUMemoryBenchmark(),
-            webgl2: new WebGL2MemoryBenchmark()
+            webgpu: createBackend('webgpu', backendOptions),
+            webgl2: createBackend('webgl2', backendOptions),
+            simulated: createBackend('simulated', backendOptions),
+            combined: createBackend('combined', { ...backendOptions, webgl2Canvas: this.element('webgl2-canvas') })
         };
+        // Stand-ins for the same backends running in dedicated workers, created when first used
+        this.workers = {};
+        this.view = new BenchmarkView(root);
         this.currentBenchmark = null;
+        this.scenarios = [...BUILTIN_SCENARIOS];
+        this.lastScenario = null;
+        // Control and promise of the run in progress, if any
+        this.activeControl = null;
+        this.activeRun = null;
+        this.chart = new TimelineChart(this.element('timeline-chart'));
+        this.onResize = () => this.resize();
         
         this.initializeUI();
         this.initializeCanvas();
-        this.initializeAPI();
+        if (options.urlParameters) {
+            this.applyUrlParameters(window.location);
+        }
+        this.element('worker-run').checked = !!this.options.worker;
+        this.reportPreviousRun();
+        this.ready = this.initializeAPI();
+    }
+
+    /**
+     * Look up an element of this benchmark by id
+     * @param {string} id - Element id within the root
+     */
+    element(id) {
+        return this.root.querySelector(`#${id}`);
+    }
+
+    /**
+     * Dispatch an event on the host element, if any
+     * @param {string} type - Event type
+     * @param {Object} detail - Event detail
+     */
+    emit(type, detail) {
+        if (this.host) {
+            this.host.dispatchEvent(new CustomEvent(type, { detail, bubbles: true, composed: true }));
+        }
+    }
+
+    /**
+     * Stop the current test and remove global listeners
+     */
+    dispose() {
+        window.removeEventListener('resize', this.onResize);
+        this.activeControl?.stop('Benchmark removed from the page');
+        Object.values(this.benchmarks).forEach(benchmark => {
+            benchmark.stopTextureDisplay();
+        });
+        this.terminateWorkers();
+    }
+
+    /**
+     * Merge run settings from the page URL into the options
+     * @param {Location} location - Page location
+     */
+    applyUrlParameters(location) {
+        const { options, warnings } = parseUrlParameters(location);
+        const benchmark = this.benchmarks.webgpu;
+        warnings.forEach(warning => benchmark.log(`⚠️ ${warning}`, 'warning'));
+        if (Object.keys(options).length === 0) return;
+
+        this.options = { ...this.options, ...options };
+        const settings = [];
+        if (options.api) settings.push(`api ${options.api}`);
+        if (options.scenario) settings.push(`scenario ${options.scenario}`);
+        if (options.autostart) settings.push('autostart');
+        if (options.ceiling !== undefined) settings.push(`ceiling ${formatBytes(options.ceiling)}`);
+        if (options.report) settings.push(`report ${options.report.mode} ${options.report.format}`);
+        if (options.worker) settings.push('worker');
+        benchmark.log(`🔗 URL parameters: ${settings.join(', ')}`, 'info');
+    }
+
+    /**
+     * Report a previous run that was terminated before it could finish
+     */
+    reportPreviousRun() {
+        const checkpoint = RunCheckpoint.loadUnfinished(globalThis.localStorage, this.options.checkpointKey);
+        if (!checkpoint) return;
+
+        const startedAt = new Date(checkpoint.startedAt).toLocaleString();
+        let report = `⚰️ Previous ${checkpoint.apiName} ${checkpoint.mode} run (started ${startedAt}) was terminated ` +
+            `at ${formatBytes(checkpoint.allocatedMemory)} after ${checkpoint.bufferCount} buffers / ` +
+            `${checkpoint.textureCount} textures`;
+        if (checkpoint.pending) {
+            report += `, while allocating a ${formatBytes(checkpoint.pending.size)} ${checkpoint.pending.kind}`;
+        }
+
+        const element = this.element('previous-run');
+        element.textContent = report;
+        element.hidden = false;
+
+        const benchmark = this.benchmarks[checkpoint.apiName.toLowerCase()] || this.benchmarks.webgpu;
+        benchmark.log(report, 'warning');
     }
 
     /**
      * Initialize UI event listeners
      */
     initializeUI() {
+        this.renderScenarioOptions();
+
+        Object.values(this.benchmarks).forEach(benchmark => this.attachBenchmark(benchmark));
+
         // API selection
-        document.querySelectorAll('.api-option').forEach(option => {
+        this.root.querySelectorAll('.api-option').forEach(option => {
             option.addEventListener('click', async (e) => {
                 const api = e.target.dataset.api;
                 if (!e.target.classList.contains('disabled')) {
@@ -34,49 +150,138 @@ export class BenchmarkController {
         });
 
         // Control buttons
-        document.getElementById('start-test').addEventListener('click', () => this.startMemoryTest());
-        document.getElementById('stress-test').addEventListener('click', () => this.startStressTest());
-        document.getElementById('clear-memory').addEventListener('click', () => this.clearMemory());
-        document.getElementById('clear-log').addEventListener('click', () => this.clearLog());
+        this.element('start-test').addEventListener('click', () => this.startSelectedScenario());
+        this.element('pause-test').addEventListener('click', () => this.pauseRun());
+        this.element('resume-test').addEventListener('click', () => this.resumeRun());
+        this.element('stop-test').addEventListener('click', () => this.stopRun());
+        this.element('load-scenario').addEventListener('click', () => this.element('scenario-file').click());
+        this.element('scenario-file').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.loadScenarioFile(file);
+        });
+        this.element('worker-run').addEventListener('change', () => this.toggleWorker());
+        this.element('clear-memory').addEventListener('click', () => this.clearMemory());
+        this.element('verify-memory').addEventListener('click', () => this.verifyMemory());
+        this.element('clear-log').addEventListener('click', () => this.clearLog());
+        this.element('recover-run').addEventListener('click', () => this.recoverAndRerun());
+        this.element('download-json').addEventListener('click', () => this.downloadReport('json'));
+        this.element('download-csv').addEventListener('click', () => this.downloadReport('csv'));
         
         // Window resize handler to maintain proper canvas sizing
-        window.addEventListener('resize', () => {
-            const canvas = document.getElementById('render-canvas');
-            if (canvas) {
-                const rect = canvas.getBoundingClientRect();
-                const dpr = window.devicePixelRatio || 1;
-                
-                // Set internal resolution to match display size with device pixel ratio
-                canvas.width = rect.width * dpr;
-                canvas.height = rect.height * dpr;
-                
-                // Ensure CSS size matches display
-                canvas.style.width = rect.width + 'px';
-                canvas.style.height = rect.height + 'px';
+        window.addEventListener('resize', this.onResize);
+    }
+
+    /**
+     * Show a backend's output in the view and redraw the timeline chart as its report grows
+     * @param {BaseBenchmark|WorkerBenchmark} benchmark - Backend, or a stand-in for one in a worker
+     */
+    attachBenchmark(benchmark) {
+        this.view.attach(benchmark);
+        benchmark.addEventListener('timeline', () => {
+            if (benchmark === this.currentBenchmark) {
+                this.chart.update(benchmark.report);
+            }
+        });
+    }
+
+    /**
+     * Whether runs go to a dedicated worker instead of the page's own backends
+     */
+    get runsInWorker() {
+        return this.element('worker-run').checked;
+    }
+
+    /**
+     * Stand-in for a backend running in a worker, created on first use
+     * @param {string} api - Backend name
+     * @returns {WorkerBenchmark} Worker stand-in
+     */
+    workerFor(api) {
+        if (!this.workers[api]) {
+            this.workers[api] = new WorkerBenchmark({
+                api,
+                apiName: this.benchmarks[api].apiName,
+                checkpointKey: this.options.checkpointKey
+            });
+            this.attachBenchmark(this.workers[api]);
+        }
+        return this.workers[api];
+    }
+
+    /**
+     * Move runs into a worker or back onto the page; leaving the worker terminates it with what it held
+     */
+    async toggleWorker() {
+        if (!this.runsInWorker) {
+            if (this.activeControl) {
+                await this.stopRun('Stopped to leave the worker');
+            }
+            this.terminateWorkers();
+        }
+        await this.switchAPI(this.currentApi);
+    }
+
+    /**
+     * Terminate every worker, releasing what they held
+     */
+    terminateWorkers() {
+        Object.values(this.workers).forEach(worker => worker.terminate());
+        this.workers = {};
+    }
+
+    /**
+     * Whether a canvas's control was handed to a worker; its size can no longer be set from the page
+     * @param {HTMLCanvasElement} canvas - Page canvas
+     */
+    isCanvasTransferred(canvas) {
+        return Object.values(this.workers).some(worker => worker.canvas === canvas);
+    }
+
+    /**
+     * Redraw the chart and match the render canvas to its display size
+     */
+    resize() {
+        this.chart.update(this.currentBenchmark ? this.currentBenchmark.report : null);
+
+        ['render-canvas', 'webgl2-canvas'].forEach(id => {
+            const canvas = this.element(id);
+            if (canvas && !canvas.hidden) {
+                this.fitCanvas(canvas);
             }
         });
     }
 
+    /**
+     * Match a canvas's resolution to its display size
+     * @param {HTMLCanvasElement} canvas - Visible canvas
+     */
+    fitCanvas(canvas) {
+        if (this.isCanvasTransferred(canvas)) return;
+        const rect = canvas.getBoundingClientRect();
+        const dpr = window.devicePixelRatio || 1;
+        
+        // Set internal resolution to match display size with device pixel ratio
+        canvas.width = rect.width * dpr;
+        canvas.height = rect.height * dpr;
+        
+        // Ensure CSS size matches display
+        canvas.style.width = rect.width + 'px';
+        canvas.style.height = rect.height + 'px';
+    }
+
     /**
      * Initialize canvas with proper sizing
      */
     initializeCanvas() {
-        const canvas = document.getElementById('render-canvas');
+        const canvas = this.element('render-canvas');
         if (canvas) {
-            const rect = canvas.getBoundingClientRect();
-            const dpr = window.devicePixelRatio || 1;
-            
-            // Set internal resolution to match display size with device pixel ratio
-            canvas.width = rect.width * dpr;
-            canvas.height = rect.height * dpr;
-            
-            // Ensure CSS size matches display
-            canvas.style.width = rect.width + 'px';
-            canvas.style.height = rect.height + 'px';
+            this.fitCanvas(canvas);
             
             // Set canvas reference in benchmarks
-            this.benchmarks.webgpu.canvas = canvas;
-            this.benchmarks.webgl2.canvas = canvas;
+            Object.values(this.benchmarks).forEach(benchmark => {
+                benchmark.canvas = canvas;
+            });
         }
     }
 
@@ -89,8 +294,9 @@ export class BenchmarkController {
         const webgl2Supported = await this.benchmarks.webgl2.checkSupport();
 
         // Update UI based on support
-        const webgpuOption = document.querySelector('[data-api="webgpu"]');
-        const webgl2Option = document.querySelector('[data-api="webgl2"]');
+        const webgpuOption = this.root.querySelector('[data-api="webgpu"]');
+        const webgl2Option = this.root.querySelector('[data-api="webgl2"]');
+        const combinedOption = this.root.querySelector('[data-api="combined"]');
 
         if (!webgpuSupported) {
             webgpuOption.classList.add('disabled');
@@ -102,223 +308,462 @@ export class BenchmarkController {
             webgl2Option.textContent = '🎮 WebGL2 (Not Supported)';
         }
 
-        // Set initial API
-        if (webgpuSupported) {
+        if (!webgpuSupported || !webgl2Supported) {
+            combinedOption.classList.add('disabled');
+            combinedOption.textContent = '🤝 WebGPU + WebGL2 (Not Supported)';
+        }
+
+        // Set initial API, preferring the requested one when it is available
+        const requested = this.options.api;
+        if (requested && !this.isApiAvailable(requested)) {
+            this.benchmarks.webgpu.log(`⚠️ Requested API "${requested}" is not available`, 'warning');
+        }
+        if (requested && this.isApiAvailable(requested)) {
+            await this.switchAPI(requested);
+        } else if (webgpuSupported) {
             await this.switchAPI('webgpu');
         } else if (webgl2Supported) {
             await this.switchAPI('webgl2');
         } else {
-            this.benchmarks.webgpu.statusElement.textContent = 'No supported graphics APIs found';
-            this.benchmarks.webgpu.statusElement.className = 'status error';
+            this.view.setStatus('No supported graphics APIs found', 'error');
+            return;
+        }
+
+        if (this.options.scenario) {
+            this.selectScenario(this.options.scenario);
         }
+        if (this.options.autostart && !this.element('start-test').disabled) {
+            await this.startSelectedScenario();
+        }
+    }
+
+    /**
+     * Whether an API option is enabled in the selector
+     * @param {string} api - Backend name
+     */
+    isApiAvailable(api) {
+        if (!this.benchmarks[api]) return false;
+        const option = this.root.querySelector(`[data-api="${api}"]`);
+        return !!option && !option.classList.contains('disabled');
     }
 
     /**
-     * Switch between WebGPU and WebGL2 APIs
-     * @param {string} api - API name ('webgpu' or 'webgl2')
+     * Switch between the WebGPU, WebGL2, combined and simulated backends
+     * @param {string} api - Backend name ('webgpu', 'webgl2', 'combined' or 'simulated')
      */
     async switchAPI(api) {
-        if (this.currentBenchmark && this.currentBenchmark.isRunning) {
+        if (this.activeControl) {
             this.currentBenchmark.log('⚠️ Stopping current test to switch API', 'warning');
-            this.currentBenchmark.stopTest();
+            await this.stopRun('Stopped to switch API');
         }
 
-        // Clear any existing canvas context by recreating the canvas
-        const oldCanvas = document.getElementById('render-canvas');
-        const newCanvas = document.createElement('canvas');
+        // Clear any existing canvas context by recreating the canvas. A worker keeps the canvas it was
+        // handed, along with its allocations, so that canvas comes back when switching back to its API
+        const inWorker = this.runsInWorker;
+        const oldCanvas = this.element('render-canvas');
+        const newCanvas = (inWorker && this.workerFor(api).canvas) || document.createElement('canvas');
         newCanvas.id = 'render-canvas';
         
-        // Set canvas size to match its display size for proper resolution
         const canvasContainer = oldCanvas.parentNode;
-        oldCanvas.parentNode.replaceChild(newCanvas, oldCanvas);
+        if (newCanvas !== oldCanvas) {
+            canvasContainer.replaceChild(newCanvas, oldCanvas);
+        }
+        
+        // WebGL2's canvas in the combined mode is kept across switches and only shown with it;
+        // in a worker, the combined backend's WebGL2 side renders off the page
+        const webgl2Canvas = this.element('webgl2-canvas');
+        webgl2Canvas.hidden = api !== 'combined' || inWorker;
+        canvasContainer.classList.toggle('combined', !webgl2Canvas.hidden);
         
         // Wait for the canvas to be in the DOM then set proper dimensions
         setTimeout(() => {
-            const rect = newCanvas.getBoundingClientRect();
-            const dpr = window.devicePixelRatio || 1;
-            
-            // Set internal resolution to match display size with device pixel ratio
-            newCanvas.width = rect.width * dpr;
-            newCanvas.height = rect.height * dpr;
-            
-            // Ensure CSS size matches display
-            newCanvas.style.width = rect.width + 'px';
-            newCanvas.style.height = rect.height + 'px';
+            this.fitCanvas(newCanvas);
+            if (!webgl2Canvas.hidden) {
+                this.fitCanvas(webgl2Canvas);
+            }
         }, 0);
         
-        // Update canvas reference in benchmarks
-        this.benchmarks.webgpu.canvas = newCanvas;
-        this.benchmarks.webgl2.canvas = newCanvas;
-        
-        // Reset initialization flags
-        this.benchmarks.webgpu.initialized = false;
-        this.benchmarks.webgl2.initialized = false;
+        // Update canvas reference and reset initialization flags in benchmarks
+        Object.values(this.benchmarks).forEach(benchmark => {
+            benchmark.canvas = newCanvas;
+            benchmark.initialized = false;
+        });
 
         this.currentApi = api;
-        this.currentBenchmark = this.benchmarks[api];
+        this.currentBenchmark = inWorker ? this.workerFor(api) : this.benchmarks[api];
+        this.updateRecoveryControls();
+        this.updateReportControls();
+        this.chart.update(this.currentBenchmark.report);
 
         // Update UI
-        document.querySelectorAll('.api-option').forEach(option => {
+        this.root.querySelectorAll('.api-option').forEach(option => {
             option.classList.remove('active');
         });
-        document.querySelector(`[data-api="${api}"]`).classList.add('active');
+        this.root.querySelector(`[data-api="${api}"]`).classList.add('active');
 
         // Initialize the API if not already done
-        const apiName = api === 'webgpu' ? 'WebGPU' : 'WebGL2';
-        const isSupported = !document.querySelector(`[data-api="${api}"]`).classList.contains('disabled');
+        const apiName = this.currentBenchmark.apiName;
+        const isSupported = this.isApiAvailable(api);
         
-        if (isSupported) {
-            this.currentBenchmark.statusElement.textContent = `Initializing ${apiName}...`;
-            this.currentBenchmark.statusElement.className = 'status';
+        if (isSupported && inWorker) {
+            // The worker's backend is initialized by its first run, on the canvas handed over with it
+            this.view.setStatus(`${apiName} ready for testing in a worker`, 'success');
+            this.view.setRenderTitle(`🎨 ${apiName} Texture Rendering Proof (worker)`);
+            this.element('start-test').disabled = this.currentBenchmark.isRunning;
+            this.element('clear-memory').disabled = false;
+            this.element('verify-memory').disabled = false;
+            this.currentBenchmark.log(`🧵 Switched to ${apiName}, running in a worker`, 'info');
+        } else if (isSupported) {
+            this.view.setStatus(`Initializing ${apiName}...`);
             
             const initSuccess = await this.currentBenchmark.initialize();
             
             if (initSuccess) {
-                this.currentBenchmark.statusElement.textContent = `${apiName} ready for testing`;
-                this.currentBenchmark.statusElement.className = 'status success';
-                this.currentBenchmark.renderTitleElement.textContent = `🎨 ${apiName} Texture Rendering Proof`;
+                this.view.setStatus(`${apiName} ready for testing`, 'success');
+                this.view.setRenderTitle(`🎨 ${apiName} Texture Rendering Proof`);
                 
                 // Enable controls
-                document.getElementById('start-test').disabled = false;
-                document.getElementById('stress-test').disabled = false;
-                document.getElementById('clear-memory').disabled = false;
+                this.element('start-test').disabled = false;
+                this.element('clear-memory').disabled = false;
+                this.element('verify-memory').disabled = false;
                 
                 this.currentBenchmark.log(`🔄 Switched to ${apiName}`, 'info');
             } else {
-                this.currentBenchmark.statusElement.textContent = `${apiName} initialization failed`;
-                this.currentBenchmark.statusElement.className = 'status error';
+                this.view.setStatus(`${apiName} initialization failed`, 'error');
                 
                 // Disable controls
-                document.getElementById('start-test').disabled = true;
-                document.getElementById('stress-test').disabled = true;
-                document.getElementById('clear-memory').disabled = true;
+                this.element('start-test').disabled = true;
+                this.element('clear-memory').disabled = true;
+                this.element('verify-memory').disabled = true;
             }
         } else {
-            this.currentBenchmark.statusElement.textContent = `${apiName} not supported`;
-            this.currentBenchmark.statusElement.className = 'status error';
+            this.view.setStatus(`${apiName} not supported`, 'error');
             
             // Disable controls
-            document.getElementById('start-test').disabled = true;
-            document.getElementById('stress-test').disabled = true;
-            document.getElementById('clear-memory').disabled = true;
+            this.element('start-test').disabled = true;
+            this.element('clear-memory').disabled = true;
+            this.element('verify-memory').disabled = true;
+        }
+    }
+
+    /**
+     * Populate the scenario picker with built-in and loaded scenarios
+     */
+    renderScenarioOptions() {
+        const select = this.element('scenario-select');
+        const selected = select.value;
+        select.innerHTML = '';
+        
+        this.scenarios.forEach(scenario => {
+            const option = document.createElement('option');
+            option.value = scenario.id;
+            option.textContent = scenario.name || scenario.id;
+            option.title = scenario.description || '';
+            select.appendChild(option);
+        });
+        
+        if (this.findScenario(selected)) select.value = selected;
+    }
+
+    /**
+     * Select a scenario in the picker
+     * @param {string} id - Scenario id
+     * @returns {boolean} True if the scenario exists
+     */
+    selectScenario(id) {
+        if (!this.findScenario(id)) {
+            (this.currentBenchmark || this.benchmarks.webgpu).log(`⚠️ Unknown scenario "${id}"`, 'warning');
+            return false;
+        }
+        this.element('scenario-select').value = id;
+        return true;
+    }
+
+    /**
+     * Find a scenario by id
+     * @param {string} id - Scenario id
+     */
+    findScenario(id) {
+        return this.scenarios.find(scenario => scenario.id === id) || null;
+    }
+
+    /**
+     * Load a custom scenario from a JSON file and select it
+     * @param {File} file - JSON file chosen by the user
+     */
+    async loadScenarioFile(file) {
+        const log = (message, type) => (this.currentBenchmark || this.benchmarks.webgpu).log(message, type);
+        
+        try {
+            const scenario = JSON.parse(await file.text());
+            // Validate up front so errors surface on load rather than on start
+            normalizeScenario(scenario);
+            
+            this.scenarios = this.scenarios.filter(existing => existing.id !== scenario.id);
+            this.scenarios.push(scenario);
+            this.renderScenarioOptions();
+            this.element('scenario-select').value = scenario.id;
+            
+            log(`📄 Loaded scenario "${scenario.name || scenario.id}" from ${file.name}`, 'success');
+        } catch (error) {
+            log(`❌ Invalid scenario file ${file.name}: ${error.message}`, 'error');
         }
     }
 
     /**
-     * Start gradual memory allocation test
+     * Run the scenario selected in the picker
      */
-    async startMemoryTest() {
+    async startSelectedScenario() {
+        const scenario = this.findScenario(this.element('scenario-select').value);
+        if (scenario) {
+            await this.runScenario(scenario);
+        }
+    }
+
+    /**
+     * Run an allocation scenario on the current API
+     * @param {Object} scenario - Scenario object
+     * @param {Object} options - { recover: true } to restore a lost device first and compare budgets,
+     *                           { deliver: false } to keep the report from automated delivery
+     * @returns {Promise<Object|undefined>} probeMemory result, undefined if the run did not take place
+     */
+    async runScenario(scenario, { recover = false, deliver = true } = {}) {
         if (!this.currentBenchmark || this.currentBenchmark.isRunning) return;
         
-        this.currentBenchmark.isRunning = true;
-        this.currentBenchmark.startTime = Date.now();
-        this.currentBenchmark.lastAllocationTime = Date.now();
+        try {
+            normalizeScenario(scenario);
+        } catch (error) {
+            this.currentBenchmark.log(`❌ Invalid scenario: ${error.message}`, 'error');
+            return;
+        }
         
-        document.getElementById('start-test').disabled = true;
-        document.getElementById('stress-test').disabled = true;
+        this.lastScenario = scenario;
+        const benchmark = this.currentBenchmark;
+        const api = benchmark.apiName;
+        this.emit('benchmark-start', { api, scenario: scenario.id });
         
-        this.currentBenchmark.log('🚀 Starting gradual memory allocation test...', 'info');
+        // The page is one more consumer of the headless API; it keeps allocations for display and Clear Memory.
+        // A worker gets the render canvas with its first run and draws the texture display itself
+        const target = benchmark instanceof WorkerBenchmark
+            ? { worker: benchmark, canvas: this.element('render-canvas') }
+            : { backend: benchmark };
+        this.activeControl = new RunControl();
+        this.activeRun = probeMemory({
+            ...target,
+            scenario,
+            ceiling: this.options.ceiling ?? null,
+            keepAllocations: true,
+            recover,
+            control: this.activeControl,
+            onProgress: (metrics) => this.emit('benchmark-progress', { api, ...metrics })
+        });
+        this.updateRunControls();
         
+        let result;
         try {
-            let allocationSize = 1024 * 1024; // Start with 1MB
-            
-            while (this.currentBenchmark.isRunning) {
-                await this.currentBenchmark.allocateBuffer(allocationSize);
-                
-                let textureSize = 512;
-                if (this.currentBenchmark.textures.length > 5) textureSize = 1024;
-                if (this.currentBenchmark.textures.length > 15) textureSize = 2048;
-                if (this.currentBenchmark.textures.length > 25) textureSize = 4096;
-                
-                await this.currentBenchmark.allocateTexture(textureSize, textureSize);
-                
-                if (this.currentBenchmark.textures.length === 1) {
-                    this.currentBenchmark.startTextureDisplay();
-                    this.currentBenchmark.log('🎨 Started grid display - visual proof of memory usage!', 'success');
-                }
-                
-                if (this.currentBenchmark.buffers.length % 10 === 0) {
-                    allocationSize = Math.min(allocationSize * 1.1, 256 * 1024 * 1024);
-                }
-                
-                await new Promise(resolve => setTimeout(resolve, 100));
-                
-                if (this.currentBenchmark.allocatedMemory > 16000 * 1024 * 1024) {
-                    this.currentBenchmark.log('⚠️ Reached 16GB allocation limit, stopping test', 'warning');
-                    break;
-                }
-            }
+            result = await this.activeRun;
         } catch (error) {
-            this.currentBenchmark.log(`💥 Memory allocation failed: ${error.message}`, 'error');
-            this.currentBenchmark.log('🎯 This might indicate the memory limit!', 'warning');
+            benchmark.log(`❌ ${error.message}`, 'error');
+            this.updateRecoveryControls();
+            return;
+        } finally {
+            this.activeControl = null;
+            this.activeRun = null;
+            this.updateRunControls();
         }
+        this.updateRecoveryControls();
+        this.updateReportControls();
         
-        this.currentBenchmark.stopTest();
+        if (this.options.report && deliver) {
+            await this.deliverReport(result.report, benchmark);
+        }
+        this.emit('benchmark-complete', result);
+        return result;
     }
 
     /**
-     * Start aggressive stress test
+     * Enable the pause, resume and stop buttons to match the run in progress
      */
-    async startStressTest() {
-        if (!this.currentBenchmark || this.currentBenchmark.isRunning) return;
+    updateRunControls() {
+        const control = this.activeControl;
+        this.element('pause-test').disabled = !control || control.paused;
+        this.element('resume-test').disabled = !control || !control.paused;
+        this.element('stop-test').disabled = !control;
+    }
+
+    /**
+     * Hold the running test at its current allocation level
+     */
+    pauseRun() {
+        const control = this.activeControl;
+        if (!control || control.paused) return;
+        
+        control.pause();
+        this.currentBenchmark.log(`⏸️ Paused at ${formatBytes(this.currentBenchmark.allocatedMemory)}, ` +
+            'allocations are held until resumed', 'info');
+        this.updateRunControls();
+    }
+
+    /**
+     * Continue a paused test
+     */
+    resumeRun() {
+        const control = this.activeControl;
+        if (!control || !control.paused) return;
         
-        this.currentBenchmark.isRunning = true;
-        this.currentBenchmark.startTime = Date.now();
-        this.currentBenchmark.lastAllocationTime = Date.now();
+        control.resume();
+        this.currentBenchmark.log('▶️ Resumed', 'info');
+        this.updateRunControls();
+    }
+
+    /**
+     * Stop the running test once its allocations in flight settle; what it allocated is kept for inspection
+     * @param {string} reason - Recorded as the run's stop reason
+     */
+    async stopRun(reason = 'Stopped by user') {
+        if (!this.activeControl) return;
         
-        document.getElementById('start-test').disabled = true;
-        document.getElementById('stress-test').disabled = true;
+        this.element('stop-test').disabled = true;
+        this.activeControl.stop(reason);
+        try {
+            await this.activeRun;
+        } catch (error) {
+            // The run reports its own errors
+        }
+    }
+
+    /**
+     * Hand a finished report to whoever automated the run
+     * @param {RunReport} report - Finished run report
+     * @param {BaseBenchmark} benchmark - Backend that produced it
+     */
+    async deliverReport(report, benchmark) {
+        const { mode, format, url } = this.options.report;
         
-        this.currentBenchmark.log('💥 Starting aggressive stress test...', 'info');
+        if (mode === 'download') {
+            this.downloadReport(format, report);
+            benchmark.log(`📤 Report downloaded as ${format.toUpperCase()}`, 'success');
+            return;
+        }
         
         try {
-            while (this.currentBenchmark.isRunning) {
-                const promises = [];
-                for (let i = 0; i < 3; i++) {
-                    promises.push(this.currentBenchmark.allocateBuffer(16 * 1024 * 1024));
-                    
-                    let textureSize = 2048;
-                    if (this.currentBenchmark.textures.length > 10) textureSize = 4096;
-                    if (this.currentBenchmark.textures.length > 20) textureSize = 8192;
-                    
-                    promises.push(this.currentBenchmark.allocateTexture(textureSize, textureSize));
-                }
-                
-                await Promise.all(promises);
-                
-                if (this.currentBenchmark.textures.length >= 1 && !this.currentBenchmark.renderInterval) {
-                    this.currentBenchmark.startTextureDisplay();
-                    this.currentBenchmark.log('🎨 Started grid display - watch memory usage grow!', 'success');
-                }
-                
-                await new Promise(resolve => setTimeout(resolve, 50));
-                
-                if (this.currentBenchmark.allocatedMemory > 16000 * 1024 * 1024) {
-                    this.currentBenchmark.log('⚠️ Reached 16GB allocation limit, stopping stress test', 'warning');
-                    break;
-                }
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': format === 'csv' ? 'text/csv' : 'application/json' },
+                body: format === 'csv' ? report.toCSV() : JSON.stringify(report)
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
             }
+            benchmark.log(`📤 Report posted to ${url}`, 'success');
         } catch (error) {
-            this.currentBenchmark.log(`💥 Stress test triggered error: ${error.message}`, 'error');
-            this.currentBenchmark.log('🎯 This is likely the memory limit!', 'warning');
+            benchmark.log(`❌ Failed to post report to ${url}: ${error.message}`, 'error');
         }
+    }
+
+    /**
+     * Enable report downloads once the current API has a finished run
+     */
+    updateReportControls() {
+        const report = this.currentBenchmark && this.currentBenchmark.report;
+        const available = !!report && report.endedAt !== null;
+        this.element('download-json').disabled = !available;
+        this.element('download-csv').disabled = !available;
+    }
+
+    /**
+     * Download a run report, by default the last one of the current API
+     * @param {string} format - 'json' or 'csv'
+     * @param {RunReport} report - Report to download
+     */
+    downloadReport(format, report = this.currentBenchmark && this.currentBenchmark.report) {
+        if (!report || report.endedAt === null) return;
         
-        this.currentBenchmark.stopTest();
+        const stamp = new Date(report.startedAt).toISOString().replace(/[:.]/g, '-');
+        const scenarioId = report.scenario ? report.scenario.id : 'run';
+        const filename = `gpu-memory-${report.api.toLowerCase()}-${scenarioId}-${stamp}.${format}`;
+        
+        if (format === 'csv') {
+            downloadFile(filename, report.toCSV(), 'text/csv');
+        } else {
+            downloadFile(filename, JSON.stringify(report, null, 2), 'application/json');
+        }
     }
 
     /**
-     * Clear all allocated memory
+     * Show the recovery button when the current API was lost
      */
-    clearMemory() {
-        if (this.currentBenchmark) {
-            this.currentBenchmark.clearMemory();
+    updateRecoveryControls() {
+        const button = this.element('recover-run');
+        const recoverable = !!this.currentBenchmark && this.currentBenchmark.canRecover();
+        button.hidden = !recoverable;
+        button.disabled = !recoverable;
+    }
+
+    /**
+     * Restore a lost device or context and re-run the last test, comparing the budget
+     * of the restored device with the one before the loss
+     */
+    async recoverAndRerun() {
+        const benchmark = this.currentBenchmark;
+        if (!benchmark || benchmark.isRunning || !benchmark.canRecover() || !this.lastScenario) return;
+        
+        this.element('recover-run').disabled = true;
+        benchmark.log(`🔁 Re-running "${this.lastScenario.name || this.lastScenario.id}" after recovery`, 'info');
+        await this.runScenario(this.lastScenario, { recover: true });
+    }
+
+    /**
+     * Clear all allocated memory; unless a test is running or the reclaim check is turned off,
+     * this runs the "reclaim" scenario on what is allocated to see whether the memory comes back.
+     * The check's result is added to the report of the run that allocated the memory, which stays
+     * the one to export
+     */
+    async clearMemory() {
+        const benchmark = this.currentBenchmark;
+        if (!benchmark) return;
+        
+        const scenario = this.findScenario('reclaim');
+        if (benchmark.isRunning || benchmark.allocatedMemory === 0 || !scenario || !this.element('reclaim-check').checked) {
+            benchmark.clearMemory();
+            return;
+        }
+        
+        // The check is not what "Restore & Re-run" should repeat
+        const lastScenario = this.lastScenario;
+        const report = benchmark.report;
+        const result = await this.runScenario({ ...scenario, reclaim: { ...scenario.reclaim, fill: false } }, { deliver: false });
+        this.lastScenario = lastScenario;
+        
+        if (report && result && result.report.reclaim) {
+            report.setReclaim(result.report.reclaim);
+            benchmark.report = report;
+            this.chart.update(report);
+            this.updateReportControls();
+        }
+    }
+
+    /**
+     * Read every allocation back and compare it with what was uploaded
+     */
+    async verifyMemory() {
+        const benchmark = this.currentBenchmark;
+        if (!benchmark || benchmark.isRunning) return;
+        
+        const button = this.element('verify-memory');
+        button.disabled = true;
+        try {
+            await benchmark.verifyResidency();
+        } finally {
+            button.disabled = false;
         }
+        this.updateReportControls();
     }
 
     /**
      * Clear log display
      */
     clearLog() {
-        document.getElementById('log').innerHTML = '';
+        this.view.clearLog();
     }
 } 
\ No newline at end of file
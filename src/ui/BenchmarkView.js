@@ -0,0 +1,87 @@
+import { formatBytes } from '../utils/formatters.js';
+
+/**
+ * Renders benchmark events into the page: log lines, metrics, status and the start button.
+ * Benchmarks never touch the DOM themselves, so this is the only place their output meets it.
+ */
+export class BenchmarkView {
+    /**
+     * @param {Document|Element} root - Element containing the benchmark UI
+     */
+    constructor(root = document) {
+        this.statusElement = root.querySelector('#api-status');
+        this.startButton = root.querySelector('#start-test');
+        this.logElement = root.querySelector('#log');
+        this.renderTitleElement = root.querySelector('#render-title');
+
+        this.allocatedMemoryElement = root.querySelector('#allocated-memory');
+        this.bufferCountElement = root.querySelector('#buffer-count');
+        this.textureCountElement = root.querySelector('#texture-count');
+        this.allocationRateElement = root.querySelector('#allocation-rate');
+    }
+
+    /**
+     * Show a benchmark's log, metrics and run state
+     * @param {BaseBenchmark} benchmark - Benchmark to listen to
+     */
+    attach(benchmark) {
+        benchmark.addEventListener('log', (event) => this.appendLog(benchmark.apiName, event.detail));
+        benchmark.addEventListener('metrics', (event) => this.showMetrics(event.detail));
+        benchmark.addEventListener('runstate', (event) => {
+            this.startButton.disabled = event.detail.running;
+        });
+    }
+
+    /**
+     * Append a log line
+     * @param {string} apiName - API that logged the message
+     * @param {Object} entry - { message, type, timestamp }
+     */
+    appendLog(apiName, { message, type, timestamp }) {
+        const logEntry = document.createElement('div');
+        logEntry.textContent = `[${new Date(timestamp).toLocaleTimeString()}] [${apiName}] ${message}`;
+        logEntry.className = type;
+
+        this.logElement.appendChild(logEntry);
+        this.logElement.scrollTop = this.logElement.scrollHeight;
+    }
+
+    /**
+     * Clear the log display
+     */
+    clearLog() {
+        this.logElement.innerHTML = '';
+    }
+
+    /**
+     * Update the metrics display
+     * @param {Object} metrics - { allocatedMemory, bufferCount, textureCount, allocationRate }
+     */
+    showMetrics({ allocatedMemory, bufferCount, textureCount, allocationRate }) {
+        this.allocatedMemoryElement.textContent = formatBytes(allocatedMemory);
+        this.bufferCountElement.textContent = bufferCount.toString();
+        this.textureCountElement.textContent = textureCount.toString();
+
+        if (allocationRate !== null) {
+            this.allocationRateElement.textContent = `${allocationRate.toFixed(2)} MB/s`;
+        }
+    }
+
+    /**
+     * Show the API status line
+     * @param {string} text - Status text
+     * @param {string} state - '' for neutral, 'success' or 'error'
+     */
+    setStatus(text, state = '') {
+        this.statusElement.textContent = text;
+        this.statusElement.className = state ? `status ${state}` : 'status';
+    }
+
+    /**
+     * Set the title above the texture display
+     * @param {string} title - Title text
+     */
+    setRenderTitle(title) {
+        this.renderTitleElement.textContent = title;
+    }
+}
@@ -0,0 +1,72 @@
+import { BenchmarkController } from './BenchmarkController.js';
+import { BENCHMARK_TEMPLATE } from './benchmarkTemplate.js';
+import { STORAGE_KEY } from '../core/RunCheckpoint.js';
+import { BENCHMARK_STYLES } from '../styles/benchmarkStyles.js';
+
+/**
+ * <gpu-memory-benchmark> - the complete benchmark UI in a shadow root
+ *
+ * Attributes:
+ * - api: initial backend ('webgpu', 'webgl2', 'combined' or 'simulated'); changing it switches backend
+ * - scenario: initial scenario id; changing it selects that scenario
+ * - autostart: start the selected scenario as soon as the backend is ready
+ * - worker: run the backend in a dedicated worker, drawing to the page through an OffscreenCanvas
+ * - url-parameters: let the page URL override these (see urlParameters.js)
+ *
+ * Events (bubbling, composed):
+ * - benchmark-start: { api, scenario }
+ * - benchmark-progress: { api, allocatedMemory, bufferCount, textureCount, allocationRate }
+ * - benchmark-complete: probeMemory result
+ *
+ * Give the element an id to keep its crash checkpoint apart from other benchmarks on the page.
+ */
+export class GpuMemoryBenchmarkElement extends HTMLElement {
+    static get observedAttributes() {
+        return ['api', 'scenario'];
+    }
+
+    constructor() {
+        super();
+        this.controller = null;
+    }
+
+    connectedCallback() {
+        if (this.controller) return;
+
+        if (!this.shadowRoot) {
+            this.attachShadow({ mode: 'open' });
+        }
+        this.shadowRoot.innerHTML = `<style>${BENCHMARK_STYLES}</style>${BENCHMARK_TEMPLATE}`;
+
+        this.controller = new BenchmarkController(this.shadowRoot, {
+            host: this,
+            api: this.getAttribute('api'),
+            scenario: this.getAttribute('scenario'),
+            autostart: this.hasAttribute('autostart'),
+            worker: this.hasAttribute('worker'),
+            urlParameters: this.hasAttribute('url-parameters'),
+            checkpointKey: this.id ? `${STORAGE_KEY}:${this.id}` : STORAGE_KEY
+        });
+    }
+
+    disconnectedCallback() {
+        if (!this.controller) return;
+        this.controller.dispose();
+        this.controller = null;
+    }
+
+    async attributeChangedCallback(name, oldValue, value) {
+        if (!this.controller || oldValue === value || value === null) return;
+        await this.controller.ready;
+
+        if (name === 'api' && this.controller.isApiAvailable(value)) {
+            await this.controller.switchAPI(value);
+        } else if (name === 'scenario') {
+            this.controller.selectScenario(value);
+        }
+    }
+}
+
+if (!customElements.get('gpu-memory-benchmark')) {
+    customElements.define('gpu-memory-benchmark', GpuMemoryBenchmarkElement);
+}
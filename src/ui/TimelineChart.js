@@ -0,0 +1,251 @@
+import { formatBytes } from '../utils/formatters.js';
+
+const PADDING = { top: 28, right: 56, bottom: 24, left: 72 };
+const COLORS = {
+    buffer: 'rgba(102, 204, 255, 0.7)',
+    texture: 'rgba(255, 170, 80, 0.7)',
+    latency: 'rgba(255, 255, 255, 0.85)',
+    jsHeapUsedBytes: 'rgba(140, 230, 110, 0.95)',
+    userAgentBytes: 'rgba(220, 120, 255, 0.95)',
+    stagingBytes: 'rgba(255, 225, 80, 0.95)',
+    warning: 'rgba(255, 165, 0, 0.9)',
+    error: 'rgba(255, 60, 60, 0.9)',
+    grid: 'rgba(255, 255, 255, 0.15)',
+    text: 'rgba(255, 255, 255, 0.8)'
+};
+
+// Memory sample fields drawn as lines over the GPU bytes, with their legend labels
+const MEMORY_LINES = [
+    ['jsHeapUsedBytes', 'JS heap'],
+    ['userAgentBytes', 'Page'],
+    ['stagingBytes', 'Upload arrays']
+];
+
+/**
+ * Live chart of a run's timeline: cumulative bytes stacked by buffers and textures, sampled
+ * page memory as lines on the same axis, per-allocation latency on a secondary axis and
+ * markers for warnings and errors
+ */
+export class TimelineChart {
+    /**
+     * @param {HTMLCanvasElement} canvas - Canvas to draw on
+     */
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.context = canvas.getContext('2d');
+        this.report = null;
+        this.frameRequested = false;
+    }
+
+    /**
+     * Redraw with the given report on the next animation frame
+     * @param {RunReport|null} report - Report to draw
+     */
+    update(report) {
+        this.report = report;
+        if (this.frameRequested) return;
+
+        this.frameRequested = true;
+        requestAnimationFrame(() => {
+            this.frameRequested = false;
+            this.draw();
+        });
+    }
+
+    /**
+     * Match the canvas resolution to its display size
+     */
+    resize() {
+        const rect = this.canvas.getBoundingClientRect();
+        const dpr = window.devicePixelRatio || 1;
+        this.canvas.width = rect.width * dpr;
+        this.canvas.height = rect.height * dpr;
+        this.context.setTransform(dpr, 0, 0, dpr, 0, 0);
+        return rect;
+    }
+
+    draw() {
+        const { width, height } = this.resize();
+        const ctx = this.context;
+        ctx.clearRect(0, 0, width, height);
+
+        const plot = {
+            x: PADDING.left,
+            y: PADDING.top,
+            width: width - PADDING.left - PADDING.right,
+            height: height - PADDING.top - PADDING.bottom
+        };
+        if (plot.width <= 0 || plot.height <= 0) return;
+
+        const series = this.buildSeries();
+        const maxTime = Math.max(1000, series.endMs);
+        const maxBytes = Math.max(1024 * 1024, series.maxBytes);
+        const maxLatency = Math.max(1, series.maxLatency);
+
+        const xFor = ms => plot.x + (ms / maxTime) * plot.width;
+        const yForBytes = bytes => plot.y + plot.height - (bytes / maxBytes) * plot.height;
+        const yForLatency = ms => plot.y + plot.height - (ms / maxLatency) * plot.height;
+
+        this.drawAxes(plot, maxTime, maxBytes, maxLatency);
+
+        // Stacked areas: buffers at the bottom, textures on top
+        this.drawArea(series.points, () => yForBytes(0), p => yForBytes(p.bufferBytes), xFor, COLORS.buffer);
+        this.drawArea(series.points, p => yForBytes(p.bufferBytes), p => yForBytes(p.bufferBytes + p.textureBytes), xFor, COLORS.texture);
+
+        MEMORY_LINES.forEach(([field]) => {
+            this.drawLine(series.samples, field, xFor, yForBytes, COLORS[field]);
+        });
+
+        ctx.fillStyle = COLORS.latency;
+        series.points.forEach(p => {
+            ctx.fillRect(xFor(p.elapsedMs) - 1.5, yForLatency(p.latencyMs) - 1.5, 3, 3);
+        });
+
+        series.markers.forEach(marker => {
+            const x = xFor(marker.elapsedMs);
+            ctx.strokeStyle = COLORS[marker.type];
+            ctx.beginPath();
+            ctx.moveTo(x, plot.y);
+            ctx.lineTo(x, plot.y + plot.height);
+            ctx.stroke();
+        });
+
+        this.drawLegend(plot, series.samples);
+    }
+
+    /**
+     * Convert the report timeline into chart points
+     */
+    buildSeries() {
+        const series = { points: [], markers: [], samples: [], endMs: 0, maxBytes: 0, maxLatency: 0 };
+        if (!this.report) return series;
+
+        let bufferBytes = 0;
+        let textureBytes = 0;
+        this.report.timeline.forEach(entry => {
+            if (entry.status === 'ok' && entry.kind === 'buffer') bufferBytes += entry.size;
+            if (entry.status === 'ok' && entry.kind === 'texture') textureBytes += entry.size;
+            if (entry.status === 'freed' && entry.kind === 'buffer') bufferBytes -= entry.size;
+            if (entry.status === 'freed' && entry.kind === 'texture') textureBytes -= entry.size;
+
+            series.points.push({ elapsedMs: entry.elapsedMs, latencyMs: entry.latencyMs, bufferBytes, textureBytes });
+            series.maxBytes = Math.max(series.maxBytes, bufferBytes + textureBytes);
+            series.maxLatency = Math.max(series.maxLatency, entry.latencyMs);
+            series.endMs = Math.max(series.endMs, entry.elapsedMs);
+        });
+
+        if (this.report.memory) {
+            series.samples = this.report.memory.samples;
+            series.samples.forEach(sample => {
+                MEMORY_LINES.forEach(([field]) => {
+                    if (sample[field] !== null) series.maxBytes = Math.max(series.maxBytes, sample[field]);
+                });
+                series.endMs = Math.max(series.endMs, sample.elapsedMs);
+            });
+        }
+
+        this.report.events.forEach(event => {
+            if (event.type !== 'warning' && event.type !== 'error') return;
+            series.markers.push(event);
+            series.endMs = Math.max(series.endMs, event.elapsedMs);
+        });
+
+        return series;
+    }
+
+    drawArea(points, lowerY, upperY, xFor, color) {
+        if (points.length === 0) return;
+
+        const ctx = this.context;
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        ctx.moveTo(xFor(points[0].elapsedMs), lowerY(points[0]));
+        points.forEach(p => ctx.lineTo(xFor(p.elapsedMs), upperY(p)));
+        for (let i = points.length - 1; i >= 0; i--) {
+            ctx.lineTo(xFor(points[i].elapsedMs), lowerY(points[i]));
+        }
+        ctx.closePath();
+        ctx.fill();
+    }
+
+    /**
+     * Draw one memory sample field as a line, leaving gaps where it was not measured
+     */
+    drawLine(samples, field, xFor, yFor, color) {
+        const ctx = this.context;
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        let drawing = false;
+        samples.forEach(sample => {
+            if (sample[field] === null) {
+                drawing = false;
+                return;
+            }
+            const x = xFor(sample.elapsedMs);
+            const y = yFor(sample[field]);
+            if (drawing) {
+                ctx.lineTo(x, y);
+            } else {
+                ctx.moveTo(x, y);
+                drawing = true;
+            }
+        });
+        ctx.stroke();
+        ctx.lineWidth = 1;
+    }
+
+    drawAxes(plot, maxTime, maxBytes, maxLatency) {
+        const ctx = this.context;
+        ctx.font = '11px -apple-system, BlinkMacSystemFont, sans-serif';
+        ctx.strokeStyle = COLORS.grid;
+        ctx.fillStyle = COLORS.text;
+        ctx.lineWidth = 1;
+
+        const ticks = 4;
+        for (let i = 0; i <= ticks; i++) {
+            const y = plot.y + plot.height - (i / ticks) * plot.height;
+            ctx.beginPath();
+            ctx.moveTo(plot.x, y);
+            ctx.lineTo(plot.x + plot.width, y);
+            ctx.stroke();
+
+            ctx.textAlign = 'right';
+            ctx.fillText(formatBytes(Math.round((maxBytes * i) / ticks)), plot.x - 6, y + 4);
+            ctx.textAlign = 'left';
+            ctx.fillText(`${((maxLatency * i) / ticks).toFixed(0)} ms`, plot.x + plot.width + 6, y + 4);
+        }
+
+        ctx.textAlign = 'center';
+        for (let i = 0; i <= ticks; i++) {
+            const x = plot.x + (i / ticks) * plot.width;
+            ctx.fillText(`${((maxTime * i) / ticks / 1000).toFixed(1)}s`, x, plot.y + plot.height + 16);
+        }
+    }
+
+    drawLegend(plot, samples) {
+        const ctx = this.context;
+        // Memory lines are only listed once they have a reading
+        const memoryItems = MEMORY_LINES
+            .filter(([field]) => samples.some(sample => sample[field] !== null))
+            .map(([field, label]) => [label, COLORS[field]]);
+        const items = [
+            ['Buffers', COLORS.buffer],
+            ['Textures', COLORS.texture],
+            ...memoryItems,
+            ['Latency', COLORS.latency],
+            ['Warning', COLORS.warning],
+            ['Error', COLORS.error]
+        ];
+
+        ctx.textAlign = 'left';
+        let x = plot.x;
+        items.forEach(([label, color]) => {
+            ctx.fillStyle = color;
+            ctx.fillRect(x, 8, 10, 10);
+            ctx.fillStyle = COLORS.text;
+            ctx.fillText(label, x + 14, 17);
+            x += ctx.measureText(label).width + 32;
+        });
+    }
+}
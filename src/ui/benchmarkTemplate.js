@@ -0,0 +1,68 @@
+/**
+ * Markup of the <gpu-memory-benchmark> element. Element ids are only unique within
+ * one element's shadow root, so several benchmarks can share a page.
+ */
+export const BENCHMARK_TEMPLATE = `
+<div class="api-selection">
+    <div class="api-option active" data-api="webgpu">🚀 WebGPU</div>
+    <div class="api-option" data-api="webgl2">🎮 WebGL2</div>
+    <div class="api-option" data-api="combined">🤝 WebGPU + WebGL2</div>
+    <div class="api-option" data-api="simulated">🧪 Simulated</div>
+</div>
+
+<div id="previous-run" class="warning" hidden></div>
+
+<div id="status" class="status">
+    <div id="api-status">Checking API support...</div>
+</div>
+
+<div class="controls">
+    <select id="scenario-select" aria-label="Scenario"></select>
+    <button id="start-test" disabled>Start Test</button>
+    <button id="pause-test" disabled>Pause</button>
+    <button id="resume-test" disabled>Resume</button>
+    <button id="stop-test" disabled>Stop</button>
+    <button id="load-scenario">Load Scenario…</button>
+    <input type="file" id="scenario-file" accept=".json,application/json" hidden>
+    <button id="clear-memory" disabled>Clear Memory</button>
+    <label><input type="checkbox" id="reclaim-check" checked> Check reclaim after clearing</label>
+    <label><input type="checkbox" id="worker-run"> Run in a worker</label>
+    <button id="verify-memory" disabled>Verify Allocations</button>
+    <button id="clear-log">Clear Log</button>
+    <button id="download-json" disabled>Download JSON</button>
+    <button id="download-csv" disabled>Download CSV</button>
+    <button id="recover-run" hidden>Restore &amp; Re-run</button>
+</div>
+
+<div class="metrics">
+    <div class="metric">
+        <div id="allocated-memory" class="metric-value">0 MB</div>
+        <div class="metric-label">Allocated VRAM</div>
+    </div>
+    <div class="metric">
+        <div id="buffer-count" class="metric-value">0</div>
+        <div class="metric-label">GPU Buffers</div>
+    </div>
+    <div class="metric">
+        <div id="texture-count" class="metric-value">0</div>
+        <div class="metric-label">GPU Textures</div>
+    </div>
+    <div class="metric">
+        <div id="allocation-rate" class="metric-value">0 MB/s</div>
+        <div class="metric-label">VRAM Allocation Rate</div>
+    </div>
+</div>
+
+<div class="chart-section">
+    <canvas id="timeline-chart"></canvas>
+</div>
+
+<div class="main-content">
+    <div class="render-section">
+        <div class="render-title" id="render-title">🎨 Texture Rendering Proof</div>
+        <canvas id="render-canvas"></canvas>
+        <canvas id="webgl2-canvas" hidden></canvas>
+    </div>
+    <div class="log" id="log"></div>
+</div>
+`;
@@ -0,0 +1,61 @@
+import { parseSize } from '../utils/formatters.js';
+
+export const REPORT_MODES = ['download', 'post'];
+export const REPORT_FORMATS = ['json', 'csv'];
+
+/**
+ * Read run settings from the page URL, for hands-off runs on device farms, e.g.
+ * ?api=webgl2&scenario=stress&autostart=1&ceilingMB=2048&report=download
+ *
+ * api: backend to select
+ * scenario: scenario id to select
+ * autostart: 1/true/yes to start the scenario once the backend is ready
+ * worker: 1/true/yes to run the backend in a dedicated worker
+ * ceiling / ceilingMB: stop runs once this much is allocated ("2GB" / megabytes)
+ * report: 'download' to save the report when a run finishes, 'post' to send it to reportUrl
+ * format: report format, 'json' (default) or 'csv'
+ *
+ * Parameters may also be given in the hash (#api=webgl2&...), which wins over the query string.
+ * @param {Location|URL} location - Page location
+ * @returns {Object} { options, warnings } where options holds only the parameters that were given
+ */
+export function parseUrlParameters(location) {
+    const params = new URLSearchParams(location.search);
+    new URLSearchParams(location.hash.replace(/^#/, '')).forEach((value, name) => params.set(name, value));
+
+    const options = {};
+    const warnings = [];
+
+    if (params.has('api')) options.api = params.get('api');
+    if (params.has('scenario')) options.scenario = params.get('scenario');
+    if (params.has('autostart')) options.autostart = ['1', 'true', 'yes', ''].includes(params.get('autostart').toLowerCase());
+    if (params.has('worker')) options.worker = ['1', 'true', 'yes', ''].includes(params.get('worker').toLowerCase());
+
+    try {
+        if (params.has('ceilingMB')) {
+            options.ceiling = parseSize(`${params.get('ceilingMB')}MB`);
+        } else if (params.has('ceiling')) {
+            options.ceiling = parseSize(params.get('ceiling'));
+        }
+    } catch (error) {
+        warnings.push(`Ignoring ceiling: ${error.message}`);
+    }
+
+    if (params.has('report')) {
+        const mode = params.get('report');
+        const format = params.get('format') || 'json';
+        const url = params.get('reportUrl');
+
+        if (!REPORT_MODES.includes(mode)) {
+            warnings.push(`Ignoring report="${mode}": expected one of ${REPORT_MODES.join(', ')}`);
+        } else if (!REPORT_FORMATS.includes(format)) {
+            warnings.push(`Ignoring report: format must be one of ${REPORT_FORMATS.join(', ')}`);
+        } else if (mode === 'post' && !url) {
+            warnings.push('Ignoring report="post": reportUrl is missing');
+        } else {
+            options.report = { mode, format, url };
+        }
+    }
+
+    return { options, warnings };
+}
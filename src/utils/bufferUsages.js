@@ -0,0 +1,72 @@
+/**
+ * Buffer usage presets the benchmark can allocate, keyed by name.
+ * Mappable buffers may live in a different memory pool than device-local ones,
+ * especially on unified-memory devices, so each preset is measured separately.
+ *
+ * webgpu: GPUBufferUsage flag names; COPY_SRC lets verification read device-local buffers back
+ * webgl2: bind target and default usage hint (GL enum names)
+ */
+export const BUFFER_USAGES = {
+    'storage': {
+        webgpu: ['STORAGE', 'COPY_DST', 'COPY_SRC'],
+        webgl2: { target: 'ARRAY_BUFFER', hint: 'STATIC_DRAW' }
+    },
+    'vertex': {
+        webgpu: ['VERTEX', 'COPY_DST', 'COPY_SRC'],
+        webgl2: { target: 'ARRAY_BUFFER', hint: 'STATIC_DRAW' }
+    },
+    'index': {
+        webgpu: ['INDEX', 'COPY_DST', 'COPY_SRC'],
+        webgl2: { target: 'ELEMENT_ARRAY_BUFFER', hint: 'STATIC_DRAW' }
+    },
+    'uniform': {
+        webgpu: ['UNIFORM', 'COPY_DST', 'COPY_SRC'],
+        webgl2: { target: 'UNIFORM_BUFFER', hint: 'DYNAMIC_DRAW' }
+    },
+    'readback': {
+        // GPU -> CPU staging
+        webgpu: ['MAP_READ', 'COPY_DST'],
+        webgl2: { target: 'PIXEL_PACK_BUFFER', hint: 'STREAM_READ' }
+    },
+    'upload': {
+        // CPU -> GPU staging; cannot be copied into, so it is always filled while mapped at creation
+        webgpu: ['MAP_WRITE', 'COPY_SRC'],
+        webgl2: { target: 'PIXEL_UNPACK_BUFFER', hint: 'STREAM_DRAW' }
+    }
+};
+
+export const DEFAULT_BUFFER_USAGE = 'storage';
+
+/**
+ * WebGL2 usage hints a scenario may request in place of the preset's default
+ */
+export const WEBGL2_BUFFER_HINTS = [
+    'STATIC_DRAW', 'DYNAMIC_DRAW', 'STREAM_DRAW',
+    'STATIC_READ', 'DYNAMIC_READ', 'STREAM_READ',
+    'STATIC_COPY', 'DYNAMIC_COPY', 'STREAM_COPY'
+];
+
+/**
+ * Looks up a buffer usage preset
+ * @param {string} usage - Preset name
+ * @returns {Object} Preset description
+ */
+export function getBufferUsage(usage) {
+    const info = BUFFER_USAGES[usage];
+    if (!info) {
+        throw new Error(`Unknown buffer usage "${usage}"`);
+    }
+    return info;
+}
+
+/**
+ * Short label for logs and timeline details
+ * @param {Object} options - { usage, mappedAtCreation, hint }
+ * @returns {string} Label such as "uniform DYNAMIC_DRAW"
+ */
+export function describeBufferUsage({ usage = DEFAULT_BUFFER_USAGE, mappedAtCreation = false, hint = null } = {}) {
+    let description = usage;
+    if (mappedAtCreation) description += ' mappedAtCreation';
+    if (hint) description += ` ${hint}`;
+    return description;
+}
@@ -0,0 +1,19 @@
+/**
+ * Creates a canvas that is not attached to any page
+ * Prefers OffscreenCanvas, which also works in workers; returns null where no canvas exists (e.g. Node)
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {OffscreenCanvas|HTMLCanvasElement|null} Detached canvas
+ */
+export function createDetachedCanvas(width = 1, height = 1) {
+    if (typeof OffscreenCanvas !== 'undefined') {
+        return new OffscreenCanvas(width, height);
+    }
+    if (typeof document !== 'undefined') {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+    return null;
+}
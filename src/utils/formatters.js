@@ -1,3 +1,5 @@
+import { trackStaging } from './stagingMemory.js';
+
 /**
  * Formats bytes into human-readable string
  * @param {number} bytes - Number of bytes
@@ -20,24 +22,50 @@ export function isIOSSafari() {
     return /iPad|iPhone|iPod/.test(userAgent) && /Safari/.test(userAgent) && !/Chrome/.test(userAgent);
 }
 
+/**
+ * Creates a seeded pseudo-random number generator (mulberry32)
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} Function returning numbers in [0, 1), like Math.random
+ */
+export function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Picks a random 32-bit seed for callers that don't need reproducible data
+ * @returns {number} Seed
+ */
+export function randomSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
 /**
  * Creates a random texture data pattern
  * @param {number} width - Texture width
  * @param {number} height - Texture height
+ * @param {number} seed - Seed; the same seed always produces the same pattern
  * @returns {Uint8Array} Texture data
  */
-export function createRandomTextureData(width, height) {
+export function createRandomTextureData(width, height, seed = randomSeed()) {
+    const random = createSeededRandom(seed);
     const textureSize = width * height * 4;
     const data = new Uint8Array(textureSize);
     
     for (let i = 0; i < textureSize; i += 4) {
-        const noise = Math.random();
+        const noise = random();
         if (noise > 0.5) {
-            data[i] = Math.floor(Math.random() * 256);     // R
-            data[i + 1] = Math.floor(Math.random() * 256); // G
-            data[i + 2] = Math.floor(Math.random() * 256); // B
+            data[i] = Math.floor(random() * 256);     // R
+            data[i + 1] = Math.floor(random() * 256); // G
+            data[i + 2] = Math.floor(random() * 256); // B
         } else {
-            const value = Math.random() > 0.5 ? 255 : 0;
+            const value = random() > 0.5 ? 255 : 0;
             data[i] = value;     // R
             data[i + 1] = value; // G
             data[i + 2] = value; // B
@@ -45,22 +73,24 @@ export function createRandomTextureData(width, height) {
         data[i + 3] = 255; // A
     }
     
-    return data;
+    return trackStaging(data);
 }
 
 /**
  * Creates random buffer data
  * @param {number} size - Buffer size in bytes
+ * @param {number} seed - Seed; the same seed always produces the same data
  * @returns {Uint8Array} Buffer data
  */
-export function createRandomBufferData(size) {
+export function createRandomBufferData(size, seed = randomSeed()) {
+    const random = createSeededRandom(seed);
     const alignedSize = Math.floor(size / 4) * 4;
     const data = new Uint8Array(alignedSize);
     
     // For small buffers, fill with random data
     if (alignedSize <= 1024 * 1024) {
         for (let i = 0; i < alignedSize; i += 4) {
-            const value = Math.floor(Math.random() * 4294967295);
+            const value = Math.floor(random() * 4294967295);
             data[i] = value & 0xFF;
             data[i + 1] = (value >> 8) & 0xFF;
             data[i + 2] = (value >> 16) & 0xFF;
@@ -70,7 +100,7 @@ export function createRandomBufferData(size) {
         // For large buffers, fill first 1MB with random data, then repeat pattern
         const patternSize = 1024 * 1024;
         for (let i = 0; i < patternSize; i += 4) {
-            const value = Math.floor(Math.random() * 4294967295);
+            const value = Math.floor(random() * 4294967295);
             data[i] = value & 0xFF;
             data[i + 1] = (value >> 8) & 0xFF;
             data[i + 2] = (value >> 16) & 0xFF;
@@ -84,5 +114,23 @@ export function createRandomBufferData(size) {
         }
     }
     
-    return data;
-} 
\ No newline at end of file
+    return trackStaging(data);
+} 
+
+/**
+ * Parses a size such as 1048576, "16MB" or "1.5 GB" into bytes (binary units)
+ * @param {number|string} value - Size as a byte count or a string with unit
+ * @returns {number} Size in bytes
+ */
+export function parseSize(value) {
+    if (typeof value === 'number' && Number.isFinite(value) && value >= 0) return value;
+
+    const match = /^\s*(\d+(?:\.\d+)?)\s*(B|KB|MB|GB|TB)?\s*$/i.exec(String(value));
+    if (!match) {
+        throw new Error(`Invalid size "${value}"`);
+    }
+
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    const exponent = units.indexOf((match[2] || 'B').toUpperCase());
+    return Math.round(parseFloat(match[1]) * Math.pow(1024, exponent));
+}
@@ -0,0 +1,104 @@
+import { formatBytes } from './formatters.js';
+
+// Phases an allocation's time is split into, in the order they usually happen
+export const ALLOCATION_PHASES = ['generate', 'create', 'upload', 'complete'];
+
+// Upper bounds of the size buckets in latency summaries; the last bucket is open-ended
+const BUCKET_BOUNDS = [1, 4, 16, 64, 256].map(megabytes => megabytes * 1024 * 1024);
+
+/**
+ * Splits the time of one allocation into phases. Each mark() charges the time since the previous
+ * mark (or the start) to a phase:
+ * - generate: filling the upload data in JavaScript
+ * - create: creating the GPU object and its storage
+ * - upload: handing the data to the GPU, including error checks
+ * - complete: waiting for the GPU to finish the submitted work
+ */
+export class PhaseTimer {
+    /**
+     * @param {number} startedAt - performance.now() when the allocation started
+     */
+    constructor(startedAt = performance.now()) {
+        this.phases = {};
+        this.last = startedAt;
+    }
+
+    /**
+     * Charge the time since the last mark to a phase
+     * @param {string} phase - One of ALLOCATION_PHASES
+     */
+    mark(phase) {
+        const now = performance.now();
+        this.phases[phase] = (this.phases[phase] ?? 0) + now - this.last;
+        this.last = now;
+    }
+}
+
+/**
+ * Nearest-rank percentile
+ * @param {Array<number>} sorted - Values sorted in ascending order
+ * @param {number} p - Percentile, 0-100
+ * @returns {number|null} Percentile value, null for no values
+ */
+export function percentile(sorted, p) {
+    if (sorted.length === 0) return null;
+    const rank = Math.ceil(p / 100 * sorted.length);
+    return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+}
+
+/**
+ * p50, p95, p99 and max of a set of durations
+ * @param {Array<number>} values - Durations in milliseconds
+ * @returns {Object} { count, p50, p95, p99, max }
+ */
+function describeDurations(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    return {
+        count: sorted.length,
+        p50: percentile(sorted, 50),
+        p95: percentile(sorted, 95),
+        p99: percentile(sorted, 99),
+        max: sorted.length > 0 ? sorted[sorted.length - 1] : null
+    };
+}
+
+/**
+ * Percentiles of the total latency and of every phase that was measured
+ * @param {Array<Object>} entries - Successful timeline entries
+ * @returns {Object} { total, generate, create, upload, complete } where phases nobody measured are left out
+ */
+function describeEntries(entries) {
+    const result = { total: describeDurations(entries.map(entry => entry.latencyMs)) };
+    ALLOCATION_PHASES.forEach(phase => {
+        const values = entries.filter(entry => entry.phases && entry.phases[phase] !== undefined).map(entry => entry.phases[phase]);
+        if (values.length > 0) {
+            result[phase] = describeDurations(values);
+        }
+    });
+    return result;
+}
+
+/**
+ * Latency percentiles of a run's successful allocations, overall and per size bucket
+ * @param {Array<Object>} timeline - Report timeline
+ * @returns {Object|null} { phases, buckets } where buckets lists { label, minBytes, maxBytes, phases } for
+ *          every bucket with allocations; null if nothing was allocated
+ */
+export function summarizeLatency(timeline) {
+    const entries = timeline.filter(entry => entry.status === 'ok');
+    if (entries.length === 0) return null;
+
+    const buckets = [0, ...BUCKET_BOUNDS].map((minBytes, index) => {
+        const maxBytes = BUCKET_BOUNDS[index] ?? null;
+        const label = index === 0 ? `< ${formatBytes(maxBytes)}`
+            : maxBytes === null ? `≥ ${formatBytes(minBytes)}`
+            : `${formatBytes(minBytes)} – ${formatBytes(maxBytes)}`;
+        const inBucket = entries.filter(entry => entry.size >= minBytes && (maxBytes === null || entry.size < maxBytes));
+        return { label, minBytes, maxBytes, phases: inBucket.length > 0 ? describeEntries(inBucket) : null };
+    });
+
+    return {
+        phases: describeEntries(entries),
+        buckets: buckets.filter(bucket => bucket.phases !== null)
+    };
+}
@@ -61,4 +61,48 @@ export const WEBGL2_FRAGMENT_SHADER = `#version 300 es
     void main() {
         fragColor = texture(u_texture, v_texCoord);
     }
-`; 
\ No newline at end of file
+`;
+
+// Buffer touching shaders: read every 32-bit word of a buffer and fold it into a checksum
+export const WEBGPU_TOUCH_SHADER = `
+    @group(0) @binding(0) var<storage, read> data: array<u32>;
+    @group(0) @binding(1) var<storage, read_write> checksum: atomic<u32>;
+
+    @compute @workgroup_size(256)
+    fn touch_main(
+        @builtin(global_invocation_id) id: vec3<u32>,
+        @builtin(num_workgroups) groups: vec3<u32>
+    ) {
+        let count = arrayLength(&data);
+        let stride = groups.x * 256u;
+        var sum = 0u;
+        for (var i = id.x; i < count; i = i + stride) {
+            sum = sum + data[i];
+        }
+        atomicAdd(&checksum, sum);
+    }
+`;
+
+export const WEBGL2_TOUCH_VERTEX_SHADER = `#version 300 es
+    layout(location = 0) in uint a_word;
+    flat out uint v_word;
+    
+    void main() {
+        // Every point lands on the same pixel; the position depends on the word so the fetch can't be skipped
+        v_word = a_word;
+        gl_Position = vec4(0.0, 0.0, a_word == 0xFFFFFFFFu ? 2.0 : 0.0, 1.0);
+        gl_PointSize = 1.0;
+    }
+`;
+
+export const WEBGL2_TOUCH_FRAGMENT_SHADER = `#version 300 es
+    precision highp float;
+    precision highp int;
+    flat in uint v_word;
+    out vec4 fragColor;
+    
+    void main() {
+        // Added up with blending: a coarse, saturating checksum of the low bit of each byte
+        fragColor = vec4(uvec4(v_word, v_word >> 8, v_word >> 16, v_word >> 24) & 1u) / 255.0;
+    }
+`;
@@ -0,0 +1,44 @@
+/**
+ * Accounting of the typed arrays generated as upload data. An array counts as live from the moment it is
+ * created until the garbage collector reclaims it, which can be long after its upload finished, so the
+ * live total is what the upload path adds to the JS heap at any time.
+ */
+const staging = {
+    liveBytes: 0,
+    liveArrays: 0,
+    peakBytes: 0,
+    createdBytes: 0
+};
+
+// Without FinalizationRegistry arrays are counted as created but never as reclaimed
+const reclaimed = typeof FinalizationRegistry !== 'undefined'
+    ? new FinalizationRegistry(bytes => {
+        staging.liveBytes -= bytes;
+        staging.liveArrays--;
+    })
+    : null;
+
+/**
+ * Count an upload array as live until it is garbage collected
+ * @param {ArrayBufferView} array - Newly generated upload data
+ * @returns {ArrayBufferView} The same array
+ */
+export function trackStaging(array) {
+    staging.createdBytes += array.byteLength;
+    if (!reclaimed) return array;
+
+    staging.liveBytes += array.byteLength;
+    staging.liveArrays++;
+    staging.peakBytes = Math.max(staging.peakBytes, staging.liveBytes);
+    reclaimed.register(array, array.byteLength);
+    return array;
+}
+
+/**
+ * Current upload array totals
+ * @returns {Object} { liveBytes, liveArrays, peakBytes, createdBytes, tracked } where tracked is false
+ *          when live arrays cannot be followed and only createdBytes is meaningful
+ */
+export function getStagingStats() {
+    return { ...staging, tracked: reclaimed !== null };
+}
@@ -0,0 +1,237 @@
+/**
+ * Texture formats the benchmark can allocate, keyed by WebGPU format name.
+ * Byte accounting uses the block size: compressed formats store bytesPerBlock bytes per
+ * blockWidth x blockHeight pixels, uncompressed formats use 1x1 blocks.
+ *
+ * feature: WebGPU device feature required for the format
+ * webgl2: GL enum names for texStorage and texSubImage (internalFormat, format, type), or for compressed
+ *         formats the extension and its internalFormat constant
+ * depth: allocated as a depth attachment and initialised by clearing instead of uploading
+ */
+export const TEXTURE_FORMATS = {
+    'rgba8unorm': {
+        blockWidth: 1, blockHeight: 1, bytesPerBlock: 4,
+        webgl2: { internalFormat: 'RGBA8', format: 'RGBA', type: 'UNSIGNED_BYTE' }
+    },
+    'r8unorm': {
+        blockWidth: 1, blockHeight: 1, bytesPerBlock: 1,
+        webgl2: { internalFormat: 'R8', format: 'RED', type: 'UNSIGNED_BYTE' }
+    },
+    'rgba16float': {
+        blockWidth: 1, blockHeight: 1, bytesPerBlock: 8,
+        webgl2: { internalFormat: 'RGBA16F', format: 'RGBA', type: 'HALF_FLOAT' }
+    },
+    'rgba32float': {
+        blockWidth: 1, blockHeight: 1, bytesPerBlock: 16,
+        webgl2: { internalFormat: 'RGBA32F', format: 'RGBA', type: 'FLOAT' }
+    },
+    'depth24plus': {
+        // Implementations may pad depth24plus to 32 bits; 4 bytes is the common case
+        blockWidth: 1, blockHeight: 1, bytesPerBlock: 4, depth: true,
+        webgl2: { internalFormat: 'DEPTH_COMPONENT24', format: 'DEPTH_COMPONENT', type: 'UNSIGNED_INT' }
+    },
+    'depth32float': {
+        blockWidth: 1, blockHeight: 1, bytesPerBlock: 4, depth: true,
+        webgl2: { internalFormat: 'DEPTH_COMPONENT32F', format: 'DEPTH_COMPONENT', type: 'FLOAT' }
+    },
+    'bc1-rgba-unorm': {
+        blockWidth: 4, blockHeight: 4, bytesPerBlock: 8, feature: 'texture-compression-bc',
+        webgl2: { extension: 'WEBGL_compressed_texture_s3tc', internalFormat: 'COMPRESSED_RGBA_S3TC_DXT1_EXT' }
+    },
+    'bc3-rgba-unorm': {
+        blockWidth: 4, blockHeight: 4, bytesPerBlock: 16, feature: 'texture-compression-bc',
+        webgl2: { extension: 'WEBGL_compressed_texture_s3tc', internalFormat: 'COMPRESSED_RGBA_S3TC_DXT5_EXT' }
+    },
+    'bc7-rgba-unorm': {
+        blockWidth: 4, blockHeight: 4, bytesPerBlock: 16, feature: 'texture-compression-bc',
+        webgl2: { extension: 'EXT_texture_compression_bptc', internalFormat: 'COMPRESSED_RGBA_BPTC_UNORM_EXT' }
+    },
+    'etc2-rgb8unorm': {
+        blockWidth: 4, blockHeight: 4, bytesPerBlock: 8, feature: 'texture-compression-etc2',
+        webgl2: { extension: 'WEBGL_compressed_texture_etc', internalFormat: 'COMPRESSED_RGB8_ETC2' }
+    },
+    'etc2-rgba8unorm': {
+        blockWidth: 4, blockHeight: 4, bytesPerBlock: 16, feature: 'texture-compression-etc2',
+        webgl2: { extension: 'WEBGL_compressed_texture_etc', internalFormat: 'COMPRESSED_RGBA8_ETC2_EAC' }
+    },
+    'astc-4x4-unorm': {
+        blockWidth: 4, blockHeight: 4, bytesPerBlock: 16, feature: 'texture-compression-astc',
+        webgl2: { extension: 'WEBGL_compressed_texture_astc', internalFormat: 'COMPRESSED_RGBA_ASTC_4x4_KHR' }
+    },
+    'astc-8x8-unorm': {
+        blockWidth: 8, blockHeight: 8, bytesPerBlock: 16, feature: 'texture-compression-astc',
+        webgl2: { extension: 'WEBGL_compressed_texture_astc', internalFormat: 'COMPRESSED_RGBA_ASTC_8x8_KHR' }
+    }
+};
+
+export const DEFAULT_TEXTURE_FORMAT = 'rgba8unorm';
+
+/**
+ * WebGPU features that enable compressed formats
+ */
+export const COMPRESSION_FEATURES = ['texture-compression-bc', 'texture-compression-etc2', 'texture-compression-astc'];
+
+/**
+ * Looks up a texture format
+ * @param {string} format - WebGPU format name
+ * @returns {Object} Format description
+ */
+export function getTextureFormat(format) {
+    const info = TEXTURE_FORMATS[format];
+    if (!info) {
+        throw new Error(`Unknown texture format "${format}"`);
+    }
+    return info;
+}
+
+/**
+ * Whether a format is block-compressed
+ * @param {string} format - WebGPU format name
+ * @returns {boolean} True for compressed formats
+ */
+export function isCompressedFormat(format) {
+    const info = getTextureFormat(format);
+    return info.blockWidth > 1 || info.blockHeight > 1;
+}
+
+/**
+ * Rounds texture dimensions up to whole blocks of the format
+ * @param {string} format - WebGPU format name
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {Object} { width, height } rounded to the block size
+ */
+export function alignToBlocks(format, width, height) {
+    const info = getTextureFormat(format);
+    return {
+        width: Math.ceil(width / info.blockWidth) * info.blockWidth,
+        height: Math.ceil(height / info.blockHeight) * info.blockHeight
+    };
+}
+
+/**
+ * Computes the size of one texture image from the format's block size
+ * @param {string} format - WebGPU format name
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {Object} { bytesPerRow, rows, byteSize } where rows counts block rows
+ */
+export function textureImageLayout(format, width, height) {
+    const info = getTextureFormat(format);
+    const blocksWide = Math.ceil(width / info.blockWidth);
+    const rows = Math.ceil(height / info.blockHeight);
+    const bytesPerRow = blocksWide * info.bytesPerBlock;
+    return { bytesPerRow, rows, byteSize: bytesPerRow * rows };
+}
+
+export const TEXTURE_DIMENSIONS = ['2d', '2d-array', '3d'];
+
+/**
+ * Number of levels in a full mip chain
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {number} depth - Depth in pixels (1 unless 3D)
+ * @returns {number} Mip level count
+ */
+export function fullMipLevelCount(width, height, depth = 1) {
+    return Math.floor(Math.log2(Math.max(width, height, depth))) + 1;
+}
+
+/**
+ * Check mip/layer/dimension options against the format
+ * @param {string} format - WebGPU format name
+ * @param {Object} options - { mipLevels, layers, dimension }
+ */
+export function validateTextureOptions(format, { mipLevels = 1, layers = 1, dimension = '2d' } = {}) {
+    const info = getTextureFormat(format);
+    if (!TEXTURE_DIMENSIONS.includes(dimension)) {
+        throw new Error(`Texture dimension must be one of ${TEXTURE_DIMENSIONS.join(', ')}`);
+    }
+    if (mipLevels !== 'full' && !(Number.isInteger(mipLevels) && mipLevels >= 1)) {
+        throw new Error('mipLevels must be "full" or a positive integer');
+    }
+    if (!(Number.isInteger(layers) && layers >= 1)) {
+        throw new Error('layers must be a positive integer');
+    }
+    if (dimension === '2d' && layers !== 1) {
+        throw new Error('2d textures have a single layer; use "2d-array" or "3d"');
+    }
+    if (dimension === '3d' && (info.depth || isCompressedFormat(format))) {
+        throw new Error(`${format} cannot be used for 3d textures`);
+    }
+}
+
+/**
+ * Describe a texture allocation: block-aligned size, mip levels and memory per level.
+ * For 2d-array textures "layers" is the layer count; for 3d textures it is the depth,
+ * which halves with each mip level like width and height.
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {Object} options - { format, mipLevels ('full' or count), layers, dimension }
+ * @returns {Object} Texture description with levels[] and total byteSize
+ */
+export function describeTexture(width, height, options = {}) {
+    const format = options.format || DEFAULT_TEXTURE_FORMAT;
+    const dimension = options.dimension || '2d';
+    const layers = options.layers || 1;
+    validateTextureOptions(format, { mipLevels: options.mipLevels || 1, layers, dimension });
+
+    ({ width, height } = alignToBlocks(format, width, height));
+    const mipLevelCount = options.mipLevels === 'full'
+        ? fullMipLevelCount(width, height, dimension === '3d' ? layers : 1)
+        : Math.min(options.mipLevels || 1, fullMipLevelCount(width, height, dimension === '3d' ? layers : 1));
+
+    const levels = [];
+    let byteSize = 0;
+    for (let level = 0; level < mipLevelCount; level++) {
+        const levelWidth = Math.max(1, width >> level);
+        const levelHeight = Math.max(1, height >> level);
+        const depthOrLayers = dimension === '3d' ? Math.max(1, layers >> level) : layers;
+        // Compressed levels occupy whole blocks even when smaller than a block
+        const physical = alignToBlocks(format, levelWidth, levelHeight);
+        const layout = textureImageLayout(format, levelWidth, levelHeight);
+
+        levels.push({
+            level,
+            width: levelWidth,
+            height: levelHeight,
+            physicalWidth: physical.width,
+            physicalHeight: physical.height,
+            depthOrLayers,
+            ...layout
+        });
+        byteSize += layout.byteSize * depthOrLayers;
+    }
+
+    let description = `${width}x${height}`;
+    if (dimension === '2d-array') description += ` x${layers} layers`;
+    if (dimension === '3d') description += `x${layers} 3d`;
+    description += ` ${format}`;
+    if (mipLevelCount > 1) description += ` ${mipLevelCount} mips`;
+
+    return {
+        format,
+        dimension,
+        width,
+        height,
+        layers,
+        mipLevelCount,
+        levels,
+        byteSize,
+        // Only plain single-layer RGBA8 textures can be shown in the grid display
+        displayable: format === DEFAULT_TEXTURE_FORMAT && dimension === '2d',
+        description
+    };
+}
+
+/**
+ * Computes the memory used by a texture of the given format
+ * @param {string} format - WebGPU format name
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {Object} options - { mipLevels, layers, dimension }
+ * @returns {number} Size in bytes
+ */
+export function textureByteSize(format, width, height, options = {}) {
+    return describeTexture(width, height, { ...options, format }).byteSize;
+}
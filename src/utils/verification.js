@@ -0,0 +1,73 @@
+/**
+ * Check bytes read back from the GPU against a repeating upload pattern
+ * @param {Uint8Array} actual - Bytes read back
+ * @param {Uint8Array} pattern - Pattern that was uploaded repeatedly
+ * @param {number} offset - Offset of the first read byte within the repeated pattern
+ * @returns {boolean} True if every byte matches
+ */
+export function matchesPattern(actual, pattern, offset) {
+    for (let i = 0; i < actual.length; i++) {
+        if (actual[i] !== pattern[(offset + i) % pattern.length]) return false;
+    }
+    return true;
+}
+
+// Bytes read back per sampled buffer region
+const SAMPLE_LENGTH = 4096;
+
+/**
+ * 32-bit FNV-1a checksum
+ * @param {Uint8Array} bytes - Bytes to hash
+ * @returns {number} Checksum
+ */
+export function checksum(bytes) {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < bytes.length; i++) {
+        hash ^= bytes[i];
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Whether every byte is zero, as read back from memory that was never committed or was dropped
+ * @param {Uint8Array} bytes - Bytes read back
+ * @returns {boolean} True if all bytes are zero
+ */
+export function isZeroFilled(bytes) {
+    return bytes.every(byte => byte === 0);
+}
+
+/**
+ * Checksum the start, middle and end of uploaded buffer data
+ * @param {Uint8Array} data - Bytes uploaded to the buffer
+ * @returns {Array} Samples as { offset, length, checksum }; offsets are 8-byte aligned for mapping
+ */
+export function sampleBufferRegions(data) {
+    const length = Math.min(SAMPLE_LENGTH, Math.floor(data.length / 4) * 4);
+    if (length === 0) return [];
+
+    const last = Math.floor((data.length - length) / 8) * 8;
+    const offsets = [...new Set([0, Math.floor(last / 16) * 8, last])];
+    return offsets.map(offset => ({
+        offset,
+        length,
+        checksum: checksum(data.subarray(offset, offset + length))
+    }));
+}
+
+/**
+ * Checksum the first, middle and last block rows of an uploaded texture image
+ * @param {Uint8Array} data - Bytes uploaded to the first image of the texture
+ * @param {Object} layout - { bytesPerRow, rows } of the image
+ * @param {number} blockHeight - Pixel rows per block row
+ * @returns {Array} Samples as { y, length, checksum } where y is the first pixel row
+ */
+export function sampleTextureRows(data, { bytesPerRow, rows }, blockHeight = 1) {
+    const blockRows = [...new Set([0, Math.floor(rows / 2), rows - 1])];
+    return blockRows.map(row => ({
+        y: row * blockHeight,
+        length: bytesPerRow,
+        checksum: checksum(data.subarray(row * bytesPerRow, (row + 1) * bytesPerRow))
+    }));
+}
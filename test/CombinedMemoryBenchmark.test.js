@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { probeMemory, CombinedMemoryBenchmark, SimulatedMemoryBenchmark } from '../src/index.js';
+
+const MB = 1024 * 1024;
+
+function simulated(overrides = {}) {
+    return new SimulatedMemoryBenchmark({
+        simulation: {
+            memoryBytes: 128 * MB,
+            latency: { baseMs: 0, perMBMs: 0, pressureFactor: 0, pressureExponent: 1, jitter: 0 },
+            ...overrides
+        },
+        logToConsole: false
+    });
+}
+
+test('a backend that keeps allocating after the other ran out has a separate budget', async () => {
+    const backend = new CombinedMemoryBenchmark({ backends: [simulated({ memoryBytes: 64 * MB }), simulated()], logToConsole: false });
+    const { combined } = await probeMemory({ backend, scenario: 'stress' });
+
+    assert.equal(combined.budget, 'separate');
+    assert.equal(combined.firstExhaustedBytes, 128 * MB);
+    assert.equal(combined.addedBytes, 64 * MB);
+    assert.deepEqual(combined.backends.map(({ heldBytes }) => heldBytes), [64 * MB, 128 * MB]);
+});
+
+test('backends that run out together share a budget', async () => {
+    // Siblings draw from the same process budget
+    const first = simulated({ processMemoryBytes: 128 * MB });
+    const backend = new CombinedMemoryBenchmark({ backends: [first, first.createSibling()], logToConsole: false });
+    const { combined } = await probeMemory({ backend, scenario: 'stress' });
+
+    assert.equal(combined.budget, 'shared');
+    assert.equal(combined.addedBytes, 0);
+    assert.ok(combined.backends.every(({ exhaustedAtBytes }) => exhaustedAtBytes === 128 * MB));
+});
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RunControl, RunStoppedError } from '../src/index.js';
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('resume releases a paused run and counts the time spent paused', async () => {
+    const control = new RunControl();
+    control.pause();
+    let released = false;
+    const waiting = control.waitWhilePaused().then(() => released = true);
+
+    await wait(30);
+    assert.equal(released, false);
+    control.resume();
+    await waiting;
+    assert.equal(control.paused, false);
+    assert.ok(control.pausedMs >= 25);
+});
+
+test('resume does not cut short a sleep in progress', async () => {
+    const control = new RunControl();
+    const started = Date.now();
+    const sleeping = control.sleep(200);
+
+    await wait(20);
+    control.pause();
+    control.resume();
+    await sleeping;
+    assert.ok(Date.now() - started >= 190);
+});
+
+test('stop wakes sleeping and paused callers and is reported once', async () => {
+    const control = new RunControl();
+    let stops = 0;
+    control.addEventListener('stop', () => stops++);
+    const started = Date.now();
+    const sleeping = control.sleep(10000);
+    control.pause();
+    const waiting = control.waitWhilePaused();
+
+    control.stop('test stop');
+    control.stop('again');
+    await Promise.all([sleeping, waiting]);
+    assert.ok(Date.now() - started < 1000);
+    assert.equal(stops, 1);
+    assert.equal(control.stopReason, 'test stop');
+    assert.throws(() => control.throwIfStopped(), RunStoppedError);
+});
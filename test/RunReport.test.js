@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RunReport } from '../src/index.js';
+
+function finishedReport() {
+    const report = new RunReport({
+        api: 'Simulated',
+        device: { description: 'Simulated GPU (256 MB budget, out-of-memory)' },
+        scenario: { id: 'stress' }
+    });
+    report.addAllocation({ kind: 'buffer', size: 16, cumulativeBytes: 16, latencyMs: 1.5, status: 'ok', detail: 'storage, "mapped"' });
+    report.addAllocation({ kind: 'texture', size: 32, cumulativeBytes: 48, latencyMs: 2, status: 'failed', detail: 'line one\nline two' });
+    report.finish({ totals: { allocatedMemory: 48 } });
+    return report;
+}
+
+// Minimal RFC 4180 reader: quoted fields may hold commas, doubled quotes and newlines
+function parseCSV(text) {
+    const rows = [[]];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            rows[rows.length - 1].push(field);
+            field = '';
+        } else if (char === '\n') {
+            rows[rows.length - 1].push(field);
+            rows.push([]);
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    // The CSV ends with a newline, leaving an empty last row
+    rows.pop();
+    return rows;
+}
+
+test('CSV quotes fields with commas, quotes and newlines', () => {
+    const csv = finishedReport().toCSV();
+
+    assert.ok(csv.includes('"Simulated GPU (256 MB budget, out-of-memory)"'));
+    assert.ok(csv.includes('"storage, ""mapped"""'));
+    assert.ok(csv.includes('"line one\nline two"'));
+});
+
+test('CSV fields read back unchanged, one per column', () => {
+    const [header, ...rows] = parseCSV(finishedReport().toCSV());
+    const column = (row, name) => row[header.indexOf(name)];
+
+    assert.equal(rows.length, 2);
+    rows.forEach(row => assert.equal(row.length, header.length));
+    assert.equal(column(rows[0], 'device'), 'Simulated GPU (256 MB budget, out-of-memory)');
+    assert.equal(column(rows[0], 'detail'), 'storage, "mapped"');
+    assert.equal(column(rows[1], 'detail'), 'line one\nline two');
+});
+
+test('JSON holds the outcome, totals and timeline', () => {
+    const json = finishedReport().toJSON();
+
+    assert.equal(json.outcome, 'completed');
+    assert.deepEqual(json.totals, { allocatedMemory: 48 });
+    assert.equal(json.timeline.length, 2);
+    assert.ok(json.durationMs >= 0);
+});
+
+test('a report rebuilt from its JSON, as the worker sends it, matches the original', () => {
+    const report = finishedReport();
+    const rebuilt = RunReport.fromJSON(JSON.parse(JSON.stringify(report.toJSON())));
+
+    assert.equal(rebuilt.toCSV(), report.toCSV());
+    assert.equal(rebuilt.toJSON().outcome, report.toJSON().outcome);
+});
+
+test('memory samples become "memory" rows and their peaks are kept', () => {
+    const report = new RunReport({ api: 'Simulated', device: {}, scenario: { id: 'stress' } });
+    report.setMemory({ intervalMs: 1000, sources: { jsHeap: false, userAgent: false, staging: true } });
+    [16, 48, 0].forEach(gpuBytes => report.addMemorySample({
+        gpuBytes, jsHeapUsedBytes: null, jsHeapTotalBytes: null, jsHeapLimitBytes: null,
+        userAgentBytes: null, stagingBytes: gpuBytes / 2, stagingArrays: 1
+    }));
+    report.finish({ totals: { allocatedMemory: 0 } });
+
+    assert.deepEqual(report.memory.peaks,
+        { gpuBytes: 48, jsHeapUsedBytes: null, jsHeapTotalBytes: null, userAgentBytes: null, stagingBytes: 24 });
+
+    const [header, ...rows] = parseCSV(report.toCSV());
+    const column = (row, name) => row[header.indexOf(name)];
+    assert.equal(rows.length, 3);
+    rows.forEach(row => {
+        assert.equal(column(row, 'kind'), 'memory');
+        assert.equal(column(row, 'status'), 'sampled');
+    });
+    assert.deepEqual(rows.map(row => column(row, 'cumulative_bytes')), ['16', '48', '0']);
+    assert.deepEqual(rows.map(row => column(row, 'staging_bytes')), ['8', '24', '0']);
+});
@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { percentile, summarizeLatency } from '../src/utils/latency.js';
+
+const MB = 1024 * 1024;
+
+function entry(size, latencyMs, overrides = {}) {
+    return { kind: 'buffer', size, latencyMs, status: 'ok', ...overrides };
+}
+
+test('percentiles use the nearest rank', () => {
+    const sorted = Array.from({ length: 100 }, (_, index) => index + 1);
+
+    assert.equal(percentile(sorted, 50), 50);
+    assert.equal(percentile(sorted, 95), 95);
+    assert.equal(percentile(sorted, 99), 99);
+    assert.equal(percentile([7], 99), 7);
+    assert.equal(percentile([], 50), null);
+});
+
+test('latency is summarized overall, per phase and per size bucket', () => {
+    const summary = summarizeLatency([
+        entry(512 * 1024, 1, { phases: { create: 0.5, upload: 0.5 } }),
+        entry(2 * MB, 2),
+        entry(2 * MB, 4),
+        entry(512 * MB, 10),
+        entry(512 * MB, 99, { status: 'failed' })
+    ]);
+
+    assert.deepEqual(summary.phases.total, { count: 4, p50: 2, p95: 10, p99: 10, max: 10 });
+    assert.equal(summary.phases.create.count, 1);
+    assert.equal(summary.phases.generate, undefined);
+    assert.deepEqual(summary.buckets.map(bucket => bucket.label), ['< 1 MB', '1 MB – 4 MB', '≥ 256 MB']);
+    assert.deepEqual(summary.buckets.map(bucket => bucket.phases.total.count), [1, 2, 1]);
+    assert.equal(summary.buckets[2].maxBytes, null);
+});
+
+test('there is no summary without successful allocations', () => {
+    assert.equal(summarizeLatency([]), null);
+    assert.equal(summarizeLatency([entry(MB, 1, { status: 'failed' })]), null);
+});
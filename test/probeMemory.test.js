@@ -0,0 +1,194 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { probeMemory, registerBackend, SimulatedMemoryBenchmark, FailureType } from '../src/index.js';
+
+const MB = 1024 * 1024;
+
+// Simulated backends created by probeMemory through the registry, to check what happens to them
+const created = [];
+class TrackedBackend extends SimulatedMemoryBenchmark {
+    constructor(options) {
+        super(options);
+        this.disposed = false;
+        created.push(this);
+    }
+
+    dispose() {
+        super.dispose();
+        this.disposed = true;
+    }
+}
+class BrokenBackend extends TrackedBackend {
+    async initialize() {
+        return false;
+    }
+}
+registerBackend('tracked', TrackedBackend);
+registerBackend('broken', BrokenBackend);
+
+// A small budget without modelled latency keeps every run well under a second
+function simulation(overrides = {}) {
+    return {
+        memoryBytes: 256 * MB,
+        latency: { baseMs: 0, perMBMs: 0, pressureFactor: 0, pressureExponent: 1, jitter: 0 },
+        ...overrides
+    };
+}
+
+test('stress fills the budget and fails with out-of-memory', async () => {
+    const result = await probeMemory({ api: 'simulated', scenario: 'stress', simulation: simulation() });
+
+    assert.equal(result.outcome, FailureType.OUT_OF_MEMORY);
+    assert.equal(result.budgetBytes, 256 * MB);
+    assert.equal(result.failure.type, FailureType.OUT_OF_MEMORY);
+    assert.ok(result.report.timeline.some(entry => entry.status === 'failed'));
+});
+
+test('the configured failure type ends the run', async () => {
+    const result = await probeMemory({
+        api: 'simulated',
+        scenario: 'stress',
+        simulation: simulation({ failure: FailureType.VALIDATION })
+    });
+
+    assert.equal(result.outcome, FailureType.VALIDATION);
+});
+
+test('a forced failure ends the run at the given allocation', async () => {
+    const result = await probeMemory({ api: 'simulated', scenario: 'stress', simulation: simulation({ failAtAllocation: 3 }) });
+
+    assert.equal(result.outcome, FailureType.OUT_OF_MEMORY);
+    assert.equal(result.report.timeline.filter(entry => entry.status === 'ok').length, 2);
+});
+
+test('a delayed failure ends the run with the failure it reports later', async () => {
+    const result = await probeMemory({ api: 'simulated', scenario: 'stress', simulation: simulation({ failureDelayMs: 20 }) });
+
+    assert.equal(result.outcome, FailureType.OUT_OF_MEMORY);
+    assert.ok(result.budgetBytes >= 256 * MB);
+});
+
+test('an aborted signal resolves as stopped, before and during the run', async () => {
+    const aborted = new AbortController();
+    aborted.abort();
+    const before = await probeMemory({ api: 'simulated', scenario: 'stress', signal: aborted.signal, simulation: simulation() });
+    assert.equal(before.outcome, 'stopped');
+    assert.equal(before.stopReason, 'Aborted');
+    assert.equal(before.totals.allocatedMemory, 0);
+
+    const controller = new AbortController();
+    const during = probeMemory({
+        api: 'simulated',
+        scenario: 'gradual',
+        signal: controller.signal,
+        simulation: simulation({ latency: { baseMs: 5, perMBMs: 0, pressureFactor: 0, pressureExponent: 1, jitter: 0 } })
+    });
+    setTimeout(() => controller.abort(), 20);
+    const result = await during;
+    assert.equal(result.outcome, 'stopped');
+    assert.equal(result.stopReason, 'Aborted');
+    assert.ok(result.totals.allocatedMemory > 0);
+});
+
+test('probe bisects the largest buffer and texture within the ceiling', async () => {
+    const result = await probeMemory({ api: 'simulated', scenario: 'probe', ceiling: '64MB', simulation: simulation() });
+
+    assert.equal(result.probe.maxBufferSize, 64 * MB);
+    // sqrt(64MB / 4 bytes per pixel)
+    assert.equal(result.probe.maxTextureDimension, 4096);
+    assert.ok(result.report.timeline.every(entry => entry.size <= 64 * MB));
+});
+
+test('a backend created from api is disposed with its allocations, also when the run throws', async () => {
+    created.length = 0;
+    await probeMemory({ api: 'tracked', scenario: 'stress', simulation: simulation() });
+    assert.equal(created.length, 1);
+    assert.ok(created[0].disposed);
+    assert.equal(created[0].allocatedMemory, 0);
+
+    await assert.rejects(probeMemory({ api: 'broken', simulation: simulation() }), /initialization failed/);
+    assert.ok(created[1].disposed);
+});
+
+test('keepAllocations needs a backend to keep them on', async () => {
+    await assert.rejects(probeMemory({ api: 'simulated', keepAllocations: true }), /keepAllocations/);
+
+    const backend = new SimulatedMemoryBenchmark({ simulation: simulation(), logToConsole: false });
+    const result = await probeMemory({ backend, scenario: 'stress', keepAllocations: true });
+    assert.equal(backend.allocatedMemory, result.budgetBytes);
+    backend.dispose();
+});
+
+test('churn around a steady budget is judged steady and verifies intact', async () => {
+    const result = await probeMemory({ api: 'simulated', scenario: 'churn', simulation: simulation({ memoryBytes: 512 * MB }) });
+
+    assert.equal(result.outcome, 'completed');
+    assert.equal(result.churn.verdict, 'steady');
+    assert.equal(result.verification.corrupted, 0);
+    assert.equal(result.verification.missing, 0);
+    assert.ok(result.report.timeline.some(entry => entry.status === 'freed'));
+});
+
+test('churn on a driver that leaks on free is judged a leak', async () => {
+    const result = await probeMemory({
+        api: 'simulated',
+        scenario: 'churn',
+        simulation: simulation({ memoryBytes: 512 * MB, leakFraction: 0.05 })
+    });
+
+    assert.equal(result.churn.verdict, 'leak');
+});
+
+test('reclaim gets the whole peak back right after clearing', async () => {
+    const result = await probeMemory({ api: 'simulated', scenario: 'reclaim', simulation: simulation() });
+
+    assert.equal(result.reclaim.peakBytes, 256 * MB);
+    assert.equal(result.reclaim.reclaimedBytes, 256 * MB);
+    assert.equal(result.reclaim.attempts.length, 1);
+    assert.notEqual(result.reclaim.reclaimedMs, null);
+});
+
+test('a lost device is restored and its budget compared with the lost run', async () => {
+    const backend = new SimulatedMemoryBenchmark({
+        simulation: simulation({ failure: FailureType.DEVICE_LOST, restoreDelayMs: 0 }),
+        logToConsole: false
+    });
+
+    const lost = await probeMemory({ backend, scenario: 'stress', keepAllocations: true });
+    assert.equal(lost.outcome, FailureType.DEVICE_LOST);
+    assert.ok(backend.canRecover());
+
+    const restored = await probeMemory({ backend, scenario: 'stress', recover: true });
+    assert.equal(restored.recovery.lostReason, FailureType.DEVICE_LOST);
+    assert.equal(restored.recovery.previousBudgetBytes, 256 * MB);
+    assert.equal(restored.recovery.budgetBytes, 256 * MB);
+    assert.equal(restored.recovery.change, 0);
+});
+
+test('devices tells a per-device limit from a per-process one and counts live contexts', async () => {
+    const perDevice = await probeMemory({
+        api: 'simulated',
+        scenario: 'devices',
+        simulation: simulation({ memoryBytes: 64 * MB, maxContexts: 8 })
+    });
+    assert.equal(perDevice.devices.scope, 'per-device');
+    assert.equal(perDevice.devices.ratio, 4);
+    assert.equal(perDevice.devices.maxLiveContexts, 8);
+
+    const perProcess = await probeMemory({
+        api: 'simulated',
+        scenario: 'devices',
+        simulation: simulation({ memoryBytes: 64 * MB, processMemoryBytes: 64 * MB, maxContexts: 8 })
+    });
+    assert.equal(perProcess.devices.scope, 'per-process');
+});
+
+test('memory is sampled through the run and peaks at the budget', async () => {
+    const result = await probeMemory({ api: 'simulated', scenario: 'stress', simulation: simulation() });
+    const { memory } = result.report;
+
+    assert.equal(memory.intervalMs, 1000);
+    // One sample when the run starts and one when it stops
+    assert.ok(memory.samples.length >= 2);
+    assert.equal(memory.peaks.gpuBytes, 256 * MB);
+});
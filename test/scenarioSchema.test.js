@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeScenario, BUILTIN_SCENARIOS } from '../src/index.js';
+
+const MB = 1024 * 1024;
+
+function scenario(overrides = {}) {
+    return {
+        id: 'test',
+        steps: [{ allocations: [{ kind: 'buffer', size: '4MB' }] }],
+        ...overrides
+    };
+}
+
+test('every built-in scenario is valid', () => {
+    BUILTIN_SCENARIOS.forEach(builtin => assert.doesNotThrow(() => normalizeScenario(builtin), builtin.id));
+});
+
+test('sizes, stops and defaults are resolved', () => {
+    const normalized = normalizeScenario(scenario({
+        stop: { maxBytes: '1GB', maxAllocations: 10 },
+        steps: [{
+            delayMs: 5,
+            allocations: [
+                { kind: 'buffer', size: '4MB', growth: { every: 2, factor: 2, max: '64MB' } },
+                { kind: 'texture', width: 256, height: 128, sizeSteps: [{ after: 8, size: 1024 }, { after: 4, size: 512 }] }
+            ]
+        }]
+    }));
+
+    assert.equal(normalized.name, 'test');
+    assert.equal(normalized.type, 'allocation');
+    assert.deepEqual(normalized.stop, { maxBytes: 1024 * MB, maxDurationMs: Infinity, maxAllocations: 10 });
+
+    const [step] = normalized.steps;
+    assert.equal(step.iterations, Infinity);
+    assert.equal(step.concurrency, 1);
+    assert.equal(step.delayMs, 5);
+
+    const [buffer, texture] = step.allocations;
+    assert.equal(buffer.size, 4 * MB);
+    assert.deepEqual(buffer.growth, { every: 2, factor: 2, max: 64 * MB });
+    assert.equal(texture.width, 256);
+    assert.equal(texture.height, 128);
+    assert.deepEqual(texture.sizeSteps.map(sizeStep => sizeStep.after), [4, 8]);
+});
+
+test('invalid scenarios are rejected with the offending field', () => {
+    assert.throws(() => normalizeScenario(null), /JSON object/);
+    assert.throws(() => normalizeScenario(scenario({ id: '' })), /"id"/);
+    assert.throws(() => normalizeScenario(scenario({ type: 'unknown' })), /unknown type/);
+    assert.throws(() => normalizeScenario(scenario({ steps: [] })), /at least one step/);
+    assert.throws(() => normalizeScenario(scenario({ steps: [{ allocations: [] }] })), /steps\[0\] needs at least one allocation/);
+    assert.throws(() => normalizeScenario(scenario({ steps: [{ allocations: [{ kind: 'sampler' }] }] })),
+        /steps\[0\]\.allocations\[0\]\.kind/);
+    assert.throws(() => normalizeScenario(scenario({ steps: [{ allocations: [{ kind: 'texture', size: -1 }] }] })),
+        /positive integer/);
+    assert.throws(() => normalizeScenario(scenario({ steps: [{ delayMs: -5, allocations: [{ kind: 'buffer', size: 4 }] }] })),
+        /delayMs must be a non-negative number/);
+});
+
+test('memory sampling is on at 1000ms unless turned off, and no faster than 10ms', () => {
+    assert.deepEqual(normalizeScenario(scenario()).memorySampling, { intervalMs: 1000 });
+    assert.equal(normalizeScenario(scenario({ memorySampling: false })).memorySampling, null);
+    assert.deepEqual(normalizeScenario(scenario({ memorySampling: { intervalMs: 250 } })).memorySampling, { intervalMs: 250 });
+    assert.deepEqual(normalizeScenario(scenario({ memorySampling: { intervalMs: 1 } })).memorySampling, { intervalMs: 10 });
+});
@@ -1,10 +1,20 @@
 import { defineConfig } from 'vite'
 
+// Cross-origin isolation, which performance.measureUserAgentSpecificMemory() requires
+const isolationHeaders = {
+  'Cross-Origin-Opener-Policy': 'same-origin',
+  'Cross-Origin-Embedder-Policy': 'require-corp'
+}
+
 export default defineConfig({
   server: {
     host: true, // Enable network access for mobile testing
     port: 5173,
-    open: true
+    open: true,
+    headers: isolationHeaders
+  },
+  preview: {
+    headers: isolationHeaders
   },
   build: {
     target: 'es2020',